@@ -0,0 +1,136 @@
+const fs = require('fs').promises;
+const path = require('path');
+const BucketService = require('../services/bucketService');
+const CSVWriter = require('../utils/csvWriter');
+const { readCsvRecords } = require('../utils/csvReader');
+const { getFieldMapping, getOutputColumns } = require('../config/fieldMapping');
+
+const RESULTS_DIR = path.join(__dirname, '../data/csv');
+const EXPORT_DIR = path.join(__dirname, '../data/export');
+const MASTER_PREFIX = 'zi-backups/master/';
+
+// Result files are companies-*.csv / contacts-*.csv ending in the time they were written
+const RESULT_FILE_PATTERN = /^(companies|contacts)-.*\.csv$/;
+const TIMESTAMP_PATTERN = /(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})\.csv$/;
+
+// Map a CSV record keyed by column titles back to CSVWriter's field ids
+function toFields(record, columns) {
+  return Object.fromEntries(columns.map(({ id, title }) => [id, record[title] ?? '']));
+}
+
+// Later files win for any non-empty value; Date Found keeps the earliest date
+function mergeRecord(existing, incoming) {
+  if (!existing) return incoming;
+
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value !== '' && key !== 'createdAt') merged[key] = value;
+  }
+  merged.createdAt = [existing.createdAt, incoming.createdAt].filter(Boolean).sort()[0] || '';
+  return merged;
+}
+
+function sortByTimestamp(files) {
+  const timestampOf = (file) => (path.basename(file).match(TIMESTAMP_PATTERN) || [])[1] || '';
+  return [...files].sort((a, b) => timestampOf(a).localeCompare(timestampOf(b)) || a.localeCompare(b));
+}
+
+async function listLocalResultFiles(resultsDir) {
+  const names = await fs.readdir(resultsDir).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  return names.filter(name => RESULT_FILE_PATTERN.test(name)).map(name => path.join(resultsDir, name));
+}
+
+// Stream every per-combination result file (local data/csv or the bucket's zi-backups/results)
+// into master companies, contacts and combined datasets keyed by ZoomInfo ID
+async function exportResults(options, logger) {
+  const source = options.source || 'local';
+  if (source !== 'local' && source !== 'bucket') {
+    console.error(`--source must be "local" or "bucket", got "${source}"`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const outputDir = path.resolve(options.output || EXPORT_DIR);
+  const resultsDir = options.resultsDir || RESULTS_DIR;
+  const bucketService = source === 'bucket' || options.upload ? new BucketService(logger) : null;
+
+  const files = source === 'bucket'
+    ? (await bucketService.listResultFiles()).filter(remotePath => RESULT_FILE_PATTERN.test(path.basename(remotePath)))
+    : await listLocalResultFiles(resultsDir);
+
+  if (files.length === 0) {
+    console.log(`No result files found in ${source === 'bucket' ? 'the bucket' : path.relative(process.cwd(), resultsDir)}.`);
+    return;
+  }
+
+  // Result files are read back by column title, so they need the field mapping they were written with
+  const fieldMapping = getFieldMapping();
+  const companyColumns = getOutputColumns(fieldMapping.company);
+  const contactColumns = getOutputColumns(fieldMapping.contact);
+  const companies = new Map();
+  const contacts = new Map();
+  let companyRows = 0;
+  let contactRows = 0;
+
+  await fs.mkdir(outputDir, { recursive: true });
+  const downloadPath = path.join(outputDir, `.download-${process.pid}.csv`);
+
+  try {
+    for (const file of sortByTimestamp(files)) {
+      let localPath = file;
+      if (source === 'bucket') {
+        await bucketService.downloadFile(file, downloadPath);
+        localPath = downloadPath;
+      }
+
+      const isCompanies = path.basename(file).startsWith('companies-');
+      const columns = isCompanies ? companyColumns : contactColumns;
+      const target = isCompanies ? companies : contacts;
+
+      for await (const record of readCsvRecords(localPath)) {
+        const fields = toFields(record, columns);
+        if (!fields.ziId) continue;
+        target.set(fields.ziId, mergeRecord(target.get(fields.ziId), fields));
+        if (isCompanies) companyRows++; else contactRows++;
+      }
+      logger.debug(`Merged ${file}`);
+    }
+  } finally {
+    await fs.rm(downloadPath, { force: true });
+  }
+
+  // Roll up contact counts from the deduplicated contacts
+  const contactCounts = new Map();
+  for (const contact of contacts.values()) {
+    contactCounts.set(contact.companyZiId, (contactCounts.get(contact.companyZiId) || 0) + 1);
+  }
+  const masterCompanies = [...companies.values()].map(company => ({ ...company, contactCount: contactCounts.get(company.ziId) || 0 }));
+  const masterContacts = [...contacts.values()];
+
+  const csvWriter = new CSVWriter(logger, { outputDir, fieldMapping });
+  const outputs = {
+    companies: await csvWriter.writeCompanies(masterCompanies, 'master'),
+    contacts: await csvWriter.writeContacts(masterContacts, 'master'),
+    combined: await csvWriter.writeCombined(masterCompanies, masterContacts, 'master')
+  };
+
+  console.log(`Merged ${files.length} result files from ${source}`);
+  console.log(`Companies: ${companyRows} rows -> ${masterCompanies.length} unique`);
+  console.log(`Contacts:  ${contactRows} rows -> ${masterContacts.length} unique`);
+  for (const [name, file] of Object.entries(outputs)) {
+    if (file) console.log(`  ${name.padEnd(10)}${path.relative(process.cwd(), file)}`);
+  }
+
+  if (options.upload) {
+    for (const [name, file] of Object.entries(outputs)) {
+      if (!file) continue;
+      await bucketService.uploadCSVFile(file, `${MASTER_PREFIX}${name}.csv`);
+      console.log(`  uploaded  ${MASTER_PREFIX}${name}.csv`);
+    }
+  }
+}
+
+module.exports = exportResults;
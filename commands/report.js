@@ -0,0 +1,65 @@
+const MetricsStore = require('../services/metricsStore');
+
+// Report groupings over the per-combination metrics; "title" is handled separately
+const GROUPINGS = {
+  naics: record => record.naicsCode,
+  location: record => record.location,
+  combination: record => `${record.location} + ${record.naicsCode}`
+};
+
+function formatYield(value) {
+  return value === null ? '-' : value.toFixed(1);
+}
+
+// Yield descending; groups without a yield yet go last
+function byYield(a, b) {
+  return (b.yield ?? -1) - (a.yield ?? -1);
+}
+
+// Print yield metrics from data/metrics grouped by NAICS code (default), location, combination or title.
+// Yield is contacts kept per 100 companies searched for contacts.
+async function report(options, logger) {
+  const by = options.by || 'naics';
+  if (by !== 'title' && !GROUPINGS[by]) {
+    console.error(`Unknown --by "${by}". Available: ${[...Object.keys(GROUPINGS), 'title'].join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const metricsStore = new MetricsStore(logger, { metricsDir: options.metricsDir });
+  const records = (await metricsStore.load())
+    .filter(record => !options.naics || record.naicsCode === options.naics);
+  if (records.length === 0) {
+    console.log('No metrics recorded yet - a record is written to data/metrics/combinations.jsonl as each combination finishes.');
+    return;
+  }
+
+  if (by === 'title') {
+    const rows = [...metricsStore.titleYields(records)]
+      .map(([title, totals]) => ({ key: title, ...totals }))
+      .sort(byYield)
+      .slice(0, options.limit);
+    console.log('title\tcompanies\tfound\tkept\tyield');
+    rows.forEach(row => console.log(`${row.key}\t${row.companies}\t${row.found}\t${row.kept}\t${formatYield(row.yield)}`));
+  } else {
+    const rows = metricsStore.groupBy(GROUPINGS[by], records)
+      .sort(byYield)
+      .slice(0, options.limit);
+    console.log(`${by}\tcombinations\tskipped\tcompaniesScanned\tnewCompanies\tcontactsFound\tenriched\tkept\tapiCalls\tyield\tkeptPerCall`);
+    rows.forEach(row => console.log([
+      row.key, row.combinations, row.skipped, row.companiesScanned, row.newCompanies, row.contactsFound,
+      row.enriched, row.kept, row.apiCalls, formatYield(row.yield),
+      row.apiCalls > 0 ? (row.kept / row.apiCalls).toFixed(2) : '-'
+    ].join('\t')));
+  }
+
+  const totals = metricsStore.summarise(records);
+  console.log('');
+  console.log(`Combinations: ${totals.combinations} processed, ${totals.skipped} skipped${options.naics ? ` (NAICS ${options.naics})` : ''}`);
+  console.log(`Companies:    ${totals.companiesScanned} scanned, ${totals.newCompanies} searched for contacts`);
+  console.log(`Contacts:     ${totals.contactsFound} found, ${totals.enriched} enriched, ${totals.kept} kept`);
+  console.log(`API calls:    ${totals.apiCalls}`);
+  console.log(`Yield:        ${formatYield(totals.yield)} contacts per 100 companies`);
+}
+
+module.exports = report;
@@ -0,0 +1,35 @@
+const readline = require('readline');
+const StateManager = require('../services/stateManager');
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+// Clear vm-state.json and partial results after confirmation (skip the prompt with --yes)
+async function reset(options, logger) {
+  const stateManager = new StateManager(logger);
+
+  if (!(await stateManager.hasSavedState())) {
+    console.log('No saved state to reset.');
+    return;
+  }
+
+  if (!options.yes) {
+    const confirmed = await confirm('This clears all run progress in data/vm-state.json and data/checkpoints. Continue? [y/N] ');
+    if (!confirmed) {
+      console.log('Reset cancelled.');
+      return;
+    }
+  }
+
+  await stateManager.reset();
+  console.log('State reset. The next run will start from the first combination.');
+}
+
+module.exports = reset;
@@ -0,0 +1,211 @@
+const ZoomInfoService = require('../services/zoomInfoService');
+const BucketService = require('../services/bucketService');
+const StateManager = require('../services/stateManager');
+const LeadProcessor = require('../services/leadProcessor');
+const MonitoringServer = require('../services/monitoringServer');
+const RunSummary = require('../services/runSummary');
+const { addReadinessCheck } = require('../services/telemetry');
+const { ZoomInfoError, BudgetExceededError } = require('../services/zoomInfoErrors');
+const { validateSearchStrategy } = require('../config/searchStrategies');
+const { describeFilters } = require('../config/searchFilters');
+const { printReport } = require('./validate');
+
+// Start or resume processing. `options.from`/`options.to` restrict the run to a
+// slice of combination indexes; `options.dryRun` only lists what would be processed.
+async function run(options, logger) {
+  if (options.dryRun) {
+    return dryRun(options, logger);
+  }
+
+  if (!checkParameters(options, logger)) {
+    process.exitCode = 1;
+    return;
+  }
+
+  let zoomInfoService = null;
+  let stateManager = null;
+  let runSummary = null;
+  const monitoringServer = new MonitoringServer(logger);
+
+  async function cleanup() {
+    logger.info('Cleaning up services...');
+
+    try {
+      if (zoomInfoService) {
+        await zoomInfoService.cleanup();
+      }
+      if (stateManager) {
+        await stateManager.cleanup();
+      }
+      await monitoringServer.stop();
+      logger.info('Cleanup completed');
+    } catch (error) {
+      logger.error('Error during cleanup:', error);
+    }
+  }
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, shutting down gracefully...');
+    await runSummary?.publish('interrupted');
+    await cleanup();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, shutting down gracefully...');
+    await runSummary?.publish('interrupted');
+    await cleanup();
+    process.exit(0);
+  });
+
+  try {
+    logger.info('Starting ZoomInfo VM Lead Generation System');
+
+    // Ready once state and exclusions are loaded, and while ZoomInfo requests are not paused
+    let phase = 'starting';
+    addReadinessCheck('run', () => (phase === 'processing' ? null : phase));
+    addReadinessCheck('zoominfo', () => (zoomInfoService?.circuitBreaker.isOpen() ? 'circuit breaker open' : null));
+    if (monitoringServer.isEnabled()) {
+      await monitoringServer.start();
+    }
+
+    // Initialize services
+    zoomInfoService = new ZoomInfoService(logger);
+    const bucketService = new BucketService(logger);
+    stateManager = new StateManager(logger);
+    const leadProcessor = new LeadProcessor(zoomInfoService, bucketService, stateManager, logger, {
+      paramsFile: options.params,
+      strategy: options.strategy,
+      formats: options.formats
+    });
+    // Written, uploaded and posted to SUMMARY_WEBHOOK_URL when the run ends, however it ends
+    runSummary = new RunSummary(leadProcessor, logger);
+    runSummary.start();
+
+    // Load or initialize state
+    await stateManager.loadState();
+    stateManager.startAutoSave();
+
+    // Download company and contact exclusion lists from bucket
+    await bucketService.downloadCompanyExclusions();
+    await bucketService.downloadContactExclusions();
+
+    // Start processing
+    phase = 'processing';
+    await leadProcessor.processAllCombinations({ from: options.from, to: options.to });
+    phase = 'finished';
+
+    logger.info('Processing finished');
+    await runSummary.publish('completed');
+
+    // Clean shutdown
+    await cleanup();
+
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      // Hitting a budget is a planned stop, not a failure
+      logger.warn(`${error.message}. Run paused with progress saved - raise the limit or wait for the budget to renew, then run "node index.js resume"`);
+      await runSummary?.publish('stopped', error);
+      await cleanup();
+      process.exit(0);
+    }
+    // Name and message only - logging the error object would write whatever request it carries to logs/
+    logger.error(`Fatal error in main process: ${error.name}: ${error.message}`);
+    if (error instanceof ZoomInfoError) {
+      logger.error(`Run stopped by ${error.name} from ${error.endpoint || 'ZoomInfo'} (status ${error.status ?? 'none'}) - progress is saved, continue with "node index.js resume"`);
+    } else {
+      logger.error(error.stack);
+    }
+    await runSummary?.publish('failed', error);
+    await cleanup();
+    process.exit(1);
+  }
+}
+
+// Validate the selected parameters before any API calls are made.
+// Returns false when there are errors and validation was not skipped.
+function checkParameters(options, logger) {
+  const report = validateSearchStrategy(options.strategy, options.params, { enrichCompanies: process.env.ENRICH_COMPANIES === 'true' });
+
+  report.errors.forEach(issue => logger.error(`Parameter error ${issue.path}: ${issue.message}`));
+  logger.info(`Parameter validation for "${report.strategy}": ${report.errors.length} errors, ${report.warnings.length} warnings, ${report.combinationCount ?? 'unknown'} combinations`);
+  if (report.warnings.length > 0) {
+    logger.info('Run "node index.js validate" to list parameter warnings');
+  }
+
+  if (report.errors.length > 0 && !options.skipValidation) {
+    logger.error('Parameter validation failed - fix the errors above or pass --skip-validation to run anyway');
+    return false;
+  }
+  return true;
+}
+
+// Like run, but refuses to start when there is no saved state to pick up from
+async function resume(options, logger) {
+  const stateManager = new StateManager(logger);
+  if (!(await stateManager.hasSavedState())) {
+    console.error('No saved state found in data/vm-state.json - nothing to resume. Use "run" to start.');
+    process.exitCode = 1;
+    return;
+  }
+  return run(options, logger);
+}
+
+// List the combinations a run would process and estimate the API calls, without touching ZoomInfo
+async function dryRun(options, logger) {
+  const leadProcessor = new LeadProcessor(null, null, null, logger, {
+    paramsFile: options.params,
+    strategy: options.strategy
+  });
+  const combinations = leadProcessor.searchCombinations;
+  const from = options.from || 0;
+  const to = Math.min(options.to ?? combinations.length, combinations.length);
+
+  const totals = { companySearches: 0, contactSearches: 0, enrichCalls: 0, total: 0 };
+  const adaptive = leadProcessor.adaptiveMode !== 'off';
+  if (adaptive) {
+    await leadProcessor.metricsStore.load();
+  }
+
+  console.log(`index\tlocation\tnaicsCode\tjobTitles\testimatedCalls\tfilters${adaptive ? '\tadaptive' : ''}`);
+  for (let index = from; index < to; index++) {
+    const combination = combinations[index];
+    const estimate = leadProcessor.estimateApiCalls(combination);
+    Object.keys(totals).forEach(key => { totals[key] += estimate[key]; });
+    const columns = [index, combination.location, combination.naicsCode, combination.jobTitles.length, estimate.total, describeFilters(combination.filters) || '-'];
+    if (adaptive) {
+      columns.push(describePlan(leadProcessor.planCombination(combination)));
+    }
+    console.log(columns.join('\t'));
+  }
+
+  console.log('');
+  console.log(`Strategy:     ${leadProcessor.strategyName}`);
+  if (adaptive) {
+    console.log(`Adaptive:     ${leadProcessor.adaptiveMode} (below ${leadProcessor.adaptiveMinYield} contacts per 100 companies over ${leadProcessor.adaptiveMinCompanies}+ companies)`);
+  }
+  console.log(`Combinations: ${to - from} of ${combinations.length}`);
+  console.log(`Estimated API calls (assuming one page of ${leadProcessor.batchSize} new companies with 1 contact each per combination):`);
+  console.log(`  Company searches: ${totals.companySearches}`);
+  console.log(`  Contact searches: ${totals.contactSearches}`);
+  console.log(`  Enrich calls:     ${totals.enrichCalls}`);
+  console.log(`  Total:            ${totals.total}`);
+  console.log('');
+  printReport(validateSearchStrategy(options.strategy, options.params, { enrichCompanies: leadProcessor.enrichCompanies }), { quietWarnings: true });
+}
+
+// Dry-run column for an adaptive plan, e.g. "skip", "one page, 2 fallback titles"
+function describePlan(plan) {
+  if (plan.skip) return 'skip';
+  const parts = [];
+  if (plan.maxPages === 1) parts.push('one page');
+  if (plan.droppedTitles.length) parts.push(`${plan.droppedTitles.length} dropped titles`);
+  if (plan.fallbackTitles.length) parts.push(`${plan.fallbackTitles.length} fallback titles`);
+  return parts.join(', ') || '-';
+}
+
+module.exports = {
+  run,
+  resume
+};
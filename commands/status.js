@@ -0,0 +1,76 @@
+const StateManager = require('../services/stateManager');
+const BudgetTracker = require('../services/budgetTracker');
+const LeadProcessor = require('../services/leadProcessor');
+const { describeFilters } = require('../config/searchFilters');
+const { describeRejections } = require('../config/qualityRules');
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'unknown';
+  const totalMinutes = Math.round(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m`;
+}
+
+// Budget spend and what is left, from data/budget.json
+async function printBudget(logger) {
+  const budget = new BudgetTracker(logger);
+  const ledger = await budget.load();
+
+  console.log('');
+  console.log(`Budget campaign:      ${budget.campaign}`);
+  console.log(`Today:                ${budget.describe('day')}`);
+  console.log(`Campaign:             ${budget.describe('campaign')}`);
+  const runLimits = budget.limits.run;
+  console.log(`Per-run limits:       ${runLimits.requests || 'no'} requests, ${runLimits.credits || 'no'} credits`);
+  if (ledger.apiUsage) {
+    console.log(`ZoomInfo usage:       as of ${ledger.apiUsage.checkedAt}`);
+    ledger.apiUsage.limits.forEach(limit => {
+      console.log(`  ${limit.description || limit.limitType}:`.padEnd(22) + `${limit.currentUsage} of ${limit.limit} used, ${limit.usageRemaining} left`);
+    });
+  }
+}
+
+// Print progress, counts and ETA from the saved state, and the budget
+async function status(options, logger) {
+  const stateManager = new StateManager(logger);
+
+  if (!(await stateManager.hasSavedState())) {
+    console.log('No saved state - no run has started yet.');
+    await printBudget(logger);
+    return;
+  }
+
+  await stateManager.loadState();
+  const state = stateManager.getCurrentState();
+  const leadProcessor = new LeadProcessor(null, null, null, logger, {
+    paramsFile: options.params,
+    strategy: options.strategy || state.searchStrategy
+  });
+  const totalCombinations = leadProcessor.getTotalCombinations();
+  const currentIndex = state.currentCombinationIndex || 0;
+  const current = leadProcessor.searchCombinations[currentIndex];
+
+  console.log(`Status:               ${state.completed ? 'completed' : 'in progress'}`);
+  console.log(`Search strategy:      ${leadProcessor.strategyName}`);
+  console.log(`Progress:             ${currentIndex}/${totalCombinations} combinations (${stateManager.getProgressPercentage(totalCombinations).toFixed(2)}%)`);
+  if (current && !state.completed) {
+    console.log(`Current combination:  ${current.location} + ${current.naicsCode}, page ${state.currentPage}`);
+    console.log(`Search filters:       ${describeFilters(state.currentFilters || current.filters) || 'none'}`);
+    console.log(`Finished companies:   ${(state.completedCompanyIds || []).length} in current combination`);
+  }
+  console.log(`Companies processed:  ${state.processedCompanies}`);
+  console.log(`Contacts processed:   ${state.processedContacts}`);
+  console.log(`Contacts rejected:    ${describeRejections(state.rejectedContacts) || 'none'}`);
+  console.log(`Started:              ${state.startTime || 'unknown'}`);
+  console.log(`Last saved:           ${state.lastSaveTime || 'never'}`);
+  if (state.completed) {
+    console.log(`Completed:            ${state.completedTime}`);
+  } else {
+    console.log(`Estimated remaining:  ${formatDuration(stateManager.getEstimatedTimeRemaining(totalCombinations))}`);
+  }
+  await printBudget(logger);
+}
+
+module.exports = status;
@@ -0,0 +1,67 @@
+const path = require('path');
+const { validateSearchStrategy } = require('../config/searchStrategies');
+const { validateFieldMapping, readFieldMappingFile } = require('../config/fieldMapping');
+const { validateQualityRules, readQualityRulesFile } = require('../config/qualityRules');
+
+function printReport(report, options = {}) {
+  const source = report.paramsFile ? path.relative(process.cwd(), report.paramsFile) : 'environment';
+  console.log(`${report.strategy} (${source}): ${report.errors.length} errors, ${report.warnings.length} warnings`);
+
+  report.errors.forEach(issue => console.log(`  ERROR   ${issue.path ? `${issue.path}: ` : ''}${issue.message}`));
+  if (!options.quietWarnings) {
+    report.warnings.forEach(issue => console.log(`  WARNING ${issue.path ? `${issue.path}: ` : ''}${issue.message}`));
+  }
+
+  if (report.combinationCount !== null) {
+    console.log(`  Combinations: ${report.combinationCount}`);
+  }
+}
+
+// Validate parameter files. With no --strategy or --params both the bulk and grouped files are checked
+// (plus the env strategy when TARGET_* is set); exits non-zero if any errors are found.
+async function validate(options) {
+  const strategies = options.strategy || options.params
+    ? [options.strategy]
+    : ['bulk', 'grouped', ...(process.env.TARGET_STATES ? ['env'] : [])];
+
+  let errorCount = 0;
+  for (const strategy of strategies) {
+    const report = validateSearchStrategy(strategy, options.params, { enrichCompanies: process.env.ENRICH_COMPANIES === 'true' });
+    printReport(report);
+    errorCount += report.errors.length;
+  }
+
+  // A custom field mapping is checked too; the defaults are always valid
+  if (process.env.FIELD_MAPPING_FILE) {
+    const file = path.resolve(process.env.FIELD_MAPPING_FILE);
+    let report;
+    try {
+      report = validateFieldMapping(readFieldMappingFile(file));
+    } catch (error) {
+      report = { errors: [{ path: '', message: `Could not read field mapping: ${error.message}` }], warnings: [] };
+    }
+    printReport({ strategy: 'field mapping', paramsFile: file, ...report, combinationCount: null });
+    errorCount += report.errors.length;
+  }
+
+  if (process.env.QUALITY_RULES_FILE) {
+    const file = path.resolve(process.env.QUALITY_RULES_FILE);
+    let report;
+    try {
+      report = validateQualityRules(readQualityRulesFile(file));
+    } catch (error) {
+      report = { errors: [{ path: '', message: `Could not read quality rules: ${error.message}` }], warnings: [] };
+    }
+    printReport({ strategy: 'quality rules', paramsFile: file, ...report, combinationCount: null });
+    errorCount += report.errors.length;
+  }
+
+  if (errorCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  validate,
+  printReport
+};
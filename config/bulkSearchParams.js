@@ -1,6 +1,8 @@
 // Create new bulk search params module
 const fs = require('fs');
 const path = require('path');
+const { checkFilters, getRunFilters, mergeFilters } = require('./searchFilters');
+const { resolveLocation } = require('./locations');
 
 // JSON file containing the expanded parameter object
 const PARAMS_FILE = path.join(__dirname, '../data/expanded_parameters.json');
@@ -9,14 +11,15 @@ const PARAMS_FILE = path.join(__dirname, '../data/expanded_parameters.json');
  * Load the expanded parameters JSON.
  * Expected structure:
  * {
- *    "states": [ { "Name": "Alabama", ... } ],
+ *    "states": [ { "Id": "usa.alabama", "Name": "Alabama" }, ... ],   (Id optional, see locations.js)
  *    "unique_naics_codes": [ { "naicsCode": "23", "name": "Construction" }, ... ],
- *    "unique_job_titles": [ "Operations Manager", ... ]
+ *    "unique_job_titles": [ "Operations Manager", ... ],
+ *    "filters": { "employee_count": { "min": 50 }, ... }   (optional, see searchFilters.js)
  * }
  */
-function loadBulkParameters() {
+function loadBulkParameters(paramsFile = PARAMS_FILE) {
   try {
-    const raw = fs.readFileSync(PARAMS_FILE, 'utf8');
+    const raw = fs.readFileSync(paramsFile, 'utf8');
     const json = JSON.parse(raw);
 
     if (!json.states || !json.unique_naics_codes || !json.unique_job_titles) {
@@ -43,25 +46,30 @@ function cleanJobTitles(jobTitles) {
     .flatMap(t => t.split(',').map(s => s.trim()).filter(Boolean));
 }
 
-function getSearchCombinations() {
-  const { states, unique_naics_codes: naicsCodes, unique_job_titles } = loadBulkParameters();
+function getSearchCombinations(paramsFile = PARAMS_FILE) {
+  const json = loadBulkParameters(paramsFile);
+  const { states, unique_naics_codes: naicsCodes, unique_job_titles } = json;
 
   const cleanedJobTitles = cleanJobTitles(unique_job_titles);
+  // File filters override FILTER_* ones; invalid filters are reported by the validator
+  const filters = mergeFilters(getRunFilters(), checkFilters(json.filters, () => '', { errors: [], warnings: [] }));
 
+  const locations = states.map(state => resolveLocation(state.Name, { id: state.Id }));
   const combinations = [];
 
-  // Order: naicsCode (outer), then state, then job title (innermost)
+  // Order: naicsCode (outer), then state. Job titles are no longer part of the
+  // combination - every company found is searched against the full title list.
   for (const naics of naicsCodes) {
-    for (const state of states) {
-      for (const jobTitle of cleanedJobTitles) {
-        combinations.push({
-          location: state.Name.trim(),
-          naicsCode: naics.naicsCode,
-          naicsName: naics.name || '',
-          jobTitle: jobTitle,
-          groupIndex: 0 // single group in bulk mode
-        });
-      }
+    for (const location of locations) {
+      combinations.push({
+        location: location.label,
+        resolvedLocation: location,
+        naicsCode: naics.naicsCode,
+        naicsName: naics.name || '',
+        jobTitles: cleanedJobTitles,
+        groupIndex: 0, // single group in bulk mode
+        filters
+      });
     }
   }
 
@@ -74,6 +82,7 @@ function getValidGroupCount() {
 }
 
 module.exports = {
+  PARAMS_FILE,
   getSearchCombinations,
   getValidGroupCount,
   cleanJobTitles
@@ -0,0 +1,58 @@
+// Environment-driven search parameters: TARGET_STATES, TARGET_NAICS_CODES and
+// TARGET_JOB_TITLES, each a comma-separated list
+const { cleanJobTitles } = require('./bulkSearchParams');
+const { getRunFilters } = require('./searchFilters');
+const { resolveLocation } = require('./locations');
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Read and validate the TARGET_* variables
+function loadEnvParameters() {
+  // Abbreviations, names, ZoomInfo ids, metros, counties, ZIP codes or countries (see locations.js)
+  const states = splitList(process.env.TARGET_STATES).map(state => resolveLocation(state));
+  const naicsCodes = splitList(process.env.TARGET_NAICS_CODES);
+  const jobTitles = cleanJobTitles(splitList(process.env.TARGET_JOB_TITLES));
+
+  if (!states.length || !naicsCodes.length || !jobTitles.length) {
+    throw new Error('The env search strategy requires TARGET_STATES, TARGET_NAICS_CODES and TARGET_JOB_TITLES to be set');
+  }
+
+  return { states, naicsCodes, jobTitles };
+}
+
+function getSearchCombinations() {
+  const { states, naicsCodes, jobTitles } = loadEnvParameters();
+  const filters = getRunFilters();
+
+  const combinations = [];
+
+  // Same ordering as the bulk strategy: naicsCode (outer), then state
+  for (const naicsCode of naicsCodes) {
+    for (const state of states) {
+      combinations.push({
+        location: state.label,
+        resolvedLocation: state,
+        naicsCode: naicsCode,
+        naicsName: '',
+        jobTitles: jobTitles,
+        groupIndex: 0,
+        filters
+      });
+    }
+  }
+
+  return combinations;
+}
+
+function getValidGroupCount() {
+  // The environment describes a single group
+  return 1;
+}
+
+module.exports = {
+  loadEnvParameters,
+  getSearchCombinations,
+  getValidGroupCount
+};
@@ -0,0 +1,278 @@
+// Declarative field mapping for company and contact records. One list per record type drives which
+// search fields are kept, the enrich outputFields requested, and the output columns (names and order)
+// of every writer. FIELD_MAPPING_FILE points at a JSON file { "company": [...], "contact": [...] }
+// that replaces the defaults below.
+//
+// Each field is { id, title, source, format, output, combined }:
+// - id: key on the record (and Parquet column name); title: column name in CSV outputs
+// - source: "<scope>.<field>", or a list of them where the first non-empty value wins. Scopes are
+//   search (the company or contact search result), enrich (the contact or company enrich result; these
+//   fields are added to that enrich call's outputFields - company enrichment only runs with
+//   ENRICH_COMPANIES=true), company (the contact's company record, by field id) and combination
+//   (the location and NAICS code of the combination being processed - see COMBINATION_FIELDS).
+//   Fields without a source are filled in by the pipeline - see COMPUTED_FIELDS.
+// - format: how a list value is flattened - see FORMATS (other lists and objects are stored as JSON)
+// - output: false keeps the field on records (JSONL, CRM profiles) but out of the column outputs
+// - combined: column title in the export's combined file, or false to leave it out (default: title)
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = {
+  company: ['search', 'enrich', 'combination'],
+  contact: ['search', 'enrich', 'company', 'combination']
+};
+
+// combination.* fields: the resolved location (config/locations.js) and the NAICS code
+const COMBINATION_FIELDS = ['location', 'locationId', 'country', 'state', 'metroRegion', 'county', 'zipCode', 'naicsCode'];
+
+const COMPUTED_FIELDS = {
+  company: ['contactCount', 'createdAt'],
+  contact: ['name', 'createdAt']
+};
+
+// Fields the pipeline relies on (dedup, contact grouping); export reads them back, so they must be output
+const REQUIRED_FIELDS = {
+  company: ['ziId', 'name'],
+  contact: ['ziId', 'companyZiId']
+};
+
+// Always requested from enrich/contact (dedup and the "has contact info" check read these) and enrich/company
+const BASE_ENRICH_FIELDS = {
+  company: ['id'],
+  contact: ['id', 'email', 'phone', 'mobilePhone', 'contactAccuracyScore']
+};
+
+const FORMATS = {
+  // [{ id, name }] industry code lists (naicsCodes, sicCodes) -> "236220; 238160"
+  codes: (value) => Array.isArray(value) ? value.map(code => (code && code.id) ?? code).join('; ') : value,
+  // Plain lists -> "a; b"
+  list: (value) => Array.isArray(value) ? value.join('; ') : value
+};
+
+const DEFAULT_FIELD_MAPPING = {
+  company: [
+    { id: 'ziId', title: 'ZoomInfo ID', source: 'search.id', combined: 'Company ZoomInfo ID' },
+    { id: 'name', title: 'Company Name', source: 'search.name' },
+    { id: 'state', title: 'State', source: 'combination.state' },
+    { id: 'metroRegion', title: 'Metro Region', source: 'combination.metroRegion' },
+    { id: 'country', title: 'Country', source: 'combination.country' },
+    { id: 'naicsCode', title: 'NAICS Code', source: 'combination.naicsCode' },
+    { id: 'website', title: 'Website', source: 'search.website' },
+    { id: 'phone', title: 'Phone', source: 'search.phone', combined: 'Company Phone' },
+    // Firmographics: from search when it has them, otherwise from company enrichment
+    { id: 'revenue', title: 'Revenue (USD thousands)', source: ['enrich.revenue', 'search.revenue'] },
+    { id: 'employeeCount', title: 'Employee Count', source: ['enrich.employeeCount', 'search.employeeCount'] },
+    { id: 'naicsCodes', title: 'NAICS Codes', source: ['enrich.naicsCodes', 'search.naicsCodes'], format: 'codes' },
+    { id: 'sicCodes', title: 'SIC Codes', source: ['enrich.sicCodes', 'search.sicCodes'], format: 'codes' },
+    { id: 'street', title: 'Street', source: ['enrich.street', 'search.street'] },
+    { id: 'city', title: 'City', source: ['enrich.city', 'search.city'] },
+    { id: 'addressState', title: 'Address State', source: ['enrich.state'] },
+    { id: 'zipCode', title: 'ZIP Code', source: ['enrich.zipCode', 'search.zipCode'] },
+    { id: 'parentZiId', title: 'Parent ZoomInfo ID', source: ['enrich.parentId', 'search.parentId'] },
+    { id: 'parentName', title: 'Parent Company', source: ['enrich.parentName', 'search.parentName'] },
+    { id: 'contactCount', title: 'Contact Count', combined: false },
+    { id: 'createdAt', title: 'Date Found', combined: false }
+  ],
+  contact: [
+    { id: 'ziId', title: 'Contact ZoomInfo ID', source: 'search.id' },
+    { id: 'companyZiId', title: 'Company ZoomInfo ID', source: 'company.ziId', combined: false },
+    { id: 'companyName', title: 'Company Name', source: 'company.name', combined: false },
+    { id: 'name', title: 'Contact Name' },
+    { id: 'firstName', title: 'First Name', source: ['search.firstName', 'enrich.firstName'], output: false },
+    { id: 'lastName', title: 'Last Name', source: ['search.lastName', 'enrich.lastName'], output: false },
+    { id: 'jobTitle', title: 'Job Title', source: ['search.jobTitle', 'enrich.jobTitle'] },
+    { id: 'email', title: 'Email', source: 'enrich.email' },
+    { id: 'phone', title: 'Phone', source: 'enrich.phone' },
+    { id: 'mobilePhone', title: 'Mobile Phone', source: 'enrich.mobilePhone' },
+    { id: 'managementLevel', title: 'Management Level', source: ['enrich.managementLevel', 'search.managementLevel'], output: false },
+    { id: 'state', title: 'State', source: 'combination.state', combined: false },
+    { id: 'metroRegion', title: 'Metro Region', source: 'combination.metroRegion', combined: false },
+    { id: 'country', title: 'Country', source: 'combination.country', combined: false },
+    { id: 'naicsCode', title: 'NAICS Code', source: 'combination.naicsCode', combined: false },
+    { id: 'createdAt', title: 'Date Found' }
+  ]
+};
+
+const loaded = new Map();
+
+function toSources(source) {
+  if (source === undefined || source === null) return [];
+  return Array.isArray(source) ? source : [source];
+}
+
+// Check a mapping object; returns { errors, warnings } of { path, message } like the parameter validator
+function validateFieldMapping(mapping) {
+  const report = { errors: [], warnings: [] };
+
+  for (const kind of Object.keys(SCOPES)) {
+    const fields = mapping && mapping[kind];
+    if (!Array.isArray(fields) || fields.length === 0) {
+      report.errors.push({ path: kind, message: `"${kind}" must be a non-empty list of fields` });
+      continue;
+    }
+
+    const ids = new Set();
+    const titles = new Set();
+    fields.forEach((field, index) => {
+      const fieldPath = `${kind}[${index}]`;
+      if (!field || typeof field.id !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(field.id)) {
+        report.errors.push({ path: fieldPath, message: 'id must be a plain identifier (letters, digits, _)' });
+        return;
+      }
+      if (field.id === 'raw') {
+        report.errors.push({ path: fieldPath, message: '"raw" is reserved for the raw ZoomInfo payloads' });
+      }
+      if (ids.has(field.id)) {
+        report.errors.push({ path: fieldPath, message: `Duplicate field "${field.id}"` });
+      }
+      ids.add(field.id);
+
+      if (field.output !== false) {
+        if (typeof field.title !== 'string' || !field.title.trim()) {
+          report.errors.push({ path: fieldPath, message: `Field "${field.id}" needs a title (or "output": false)` });
+        } else if (titles.has(field.title)) {
+          report.errors.push({ path: fieldPath, message: `Column title "${field.title}" is used twice` });
+        } else {
+          titles.add(field.title);
+        }
+      }
+
+      if (field.format !== undefined && !FORMATS[field.format]) {
+        report.errors.push({ path: fieldPath, message: `Unknown format "${field.format}" (available: ${Object.keys(FORMATS).join(', ')})` });
+      }
+
+      const sources = toSources(field.source);
+      if (sources.length === 0 && !COMPUTED_FIELDS[kind].includes(field.id)) {
+        report.errors.push({ path: fieldPath, message: `Field "${field.id}" has no source (only ${COMPUTED_FIELDS[kind].join(', ')} are computed)` });
+      }
+      sources.forEach(source => {
+        const [scope, ...rest] = typeof source === 'string' ? source.split('.') : [];
+        if (!SCOPES[kind].includes(scope) || rest.length !== 1 || !rest[0]) {
+          report.errors.push({ path: fieldPath, message: `Source "${source}" must be <scope>.<field> with scope ${SCOPES[kind].join(', ')}` });
+        } else if (scope === 'combination' && !COMBINATION_FIELDS.includes(rest[0])) {
+          report.errors.push({ path: fieldPath, message: `Source "${source}" - combination provides ${COMBINATION_FIELDS.join(', ')}` });
+        }
+      });
+    });
+
+    REQUIRED_FIELDS[kind]
+      .filter(id => !ids.has(id))
+      .forEach(id => report.errors.push({ path: kind, message: `Missing required field "${id}"` }));
+    fields
+      .filter(field => field && REQUIRED_FIELDS[kind].includes(field.id) && field.output === false)
+      .forEach(field => report.errors.push({ path: kind, message: `Required field "${field.id}" cannot have "output": false` }));
+  }
+
+  // company.<field> sources refer to the company record's field ids
+  if (report.errors.length === 0) {
+    const companyIds = new Set(mapping.company.map(field => field.id));
+    mapping.contact.forEach((field, index) => {
+      toSources(field.source)
+        .filter(source => source.startsWith('company.') && !companyIds.has(source.slice('company.'.length)))
+        .forEach(source => report.warnings.push({ path: `contact[${index}]`, message: `Source "${source}" is not a company field and will be empty` }));
+    });
+  }
+
+  return report;
+}
+
+function readFieldMappingFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The mapping in use: FIELD_MAPPING_FILE (or the given file) if set, otherwise the defaults.
+// Invalid mappings throw with every error listed.
+function getFieldMapping(file = process.env.FIELD_MAPPING_FILE) {
+  const key = file ? path.resolve(file) : '';
+  if (loaded.has(key)) return loaded.get(key);
+
+  const mapping = file ? readFieldMappingFile(key) : DEFAULT_FIELD_MAPPING;
+  const { errors } = validateFieldMapping(mapping);
+  if (errors.length > 0) {
+    const details = errors.map(issue => `${issue.path}: ${issue.message}`).join('; ');
+    throw new Error(`Invalid field mapping${file ? ` in ${file}` : ''}: ${details}`);
+  }
+
+  const normalise = field => ({ ...field, source: toSources(field.source) });
+  const result = {
+    file: file ? key : null,
+    company: mapping.company.map(normalise),
+    contact: mapping.contact.map(normalise)
+  };
+  loaded.set(key, result);
+  return result;
+}
+
+// Output columns ({ id, title }) for csv-writer and friends, in mapping order
+function getOutputColumns(fields) {
+  return fields.filter(field => field.output !== false).map(({ id, title }) => ({ id, title }));
+}
+
+// Columns of the combined company + contact file; ids are prefixed company_ / contact_
+function getCombinedColumns(mapping) {
+  const columns = [];
+  for (const kind of ['company', 'contact']) {
+    for (const field of mapping[kind]) {
+      if (field.output === false || field.combined === false) continue;
+      columns.push({ id: `${kind}_${field.id}`, title: typeof field.combined === 'string' ? field.combined : field.title });
+    }
+  }
+  return columns;
+}
+
+// Enrich outputFields for contacts or companies: the base set plus every enrich.<field> source
+function getEnrichOutputFields(mapping, kind = 'contact') {
+  const fields = mapping[kind]
+    .flatMap(field => field.source)
+    .filter(source => source.startsWith('enrich.'))
+    .map(source => source.slice('enrich.'.length));
+  return [...new Set([...BASE_ENRICH_FIELDS[kind], ...fields])];
+}
+
+// Whether any company field reads from company enrichment
+function usesCompanyEnrichment(mapping) {
+  return mapping.company.some(field => field.source.some(source => source.startsWith('enrich.')));
+}
+
+// Scalars are stored as strings (zi-ids are map keys), objects and lists as JSON
+function toValue(value) {
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Build a record from the mapping. `context` holds the scopes ({ search, enrich, company, combination })
+// plus the computed field values by id; missing values become ''.
+function buildRecord(fields, context, computed = {}) {
+  const record = {};
+  for (const field of fields) {
+    if (field.source.length === 0) {
+      if (computed[field.id] !== undefined) record[field.id] = computed[field.id];
+      continue;
+    }
+    record[field.id] = '';
+    for (const source of field.source) {
+      const [scope, key] = source.split('.');
+      let value = context[scope] ? context[scope][key] : undefined;
+      if (field.format && value !== undefined && value !== null) {
+        value = FORMATS[field.format](value);
+      }
+      if (value !== undefined && value !== null && value !== '') {
+        record[field.id] = toValue(value);
+        break;
+      }
+    }
+  }
+  return record;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING,
+  getFieldMapping,
+  validateFieldMapping,
+  readFieldMappingFile,
+  getOutputColumns,
+  getCombinedColumns,
+  getEnrichOutputFields,
+  usesCompanyEnrichment,
+  buildRecord
+};
@@ -0,0 +1,160 @@
+// Typed search locations. Parameter files and TARGET_STATES name locations as strings; resolveLocation
+// turns one into { type, label, id, country, state, metroRegion, county, zipCode }, resolved against
+// the ZoomInfo identifiers in zoomInfoLocations.js:
+//
+//   Written as                                  Type      ZoomInfo id / search parameter
+//   "California", "CA", "usa.california"        state     state: usa.california
+//   "CA - Los Angeles"                          metro     metroRegion: usa.california.losangeles
+//   "Denver County, CO" (or "Denver County CO") county    state: usa.colorado + county: Denver
+//   "80202", "ZIP 80202"                        zip       zipCode: 80202
+//   "Canada", "United Kingdom", "unitedkingdom" country   country: unitedkingdom
+//
+// The same object fills the State, Metro Region (and country, county, ZIP) output columns, so search
+// parameters and results always agree on what a location is.
+const { ZOOMINFO_COUNTRIES, ZOOMINFO_STATES, STATE_ABBREVIATIONS } = require('./zoomInfoLocations');
+
+const LOCATION_TYPES = ['country', 'state', 'metro', 'county', 'zip'];
+
+const countriesByKey = new Map(ZOOMINFO_COUNTRIES.flatMap(country => [
+  [country.id, country],
+  [country.name.toLowerCase(), country]
+]));
+const statesByKey = new Map(ZOOMINFO_STATES.flatMap(state => [
+  [state.id, state],
+  [state.name.toLowerCase(), state]
+]));
+
+// "Los Angeles" -> "losangeles", the form ZoomInfo uses in location ids
+function slug(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function countryOf(state) {
+  return countriesByKey.get(state.id.split('.')[0]) || null;
+}
+
+function findState(value) {
+  const key = value.trim();
+  const byAbbreviation = STATE_ABBREVIATIONS[key.toUpperCase()];
+  return statesByKey.get((byAbbreviation || key).toLowerCase()) || null;
+}
+
+function createLocation(type, label, fields = {}) {
+  return {
+    type,
+    label,
+    id: null,
+    country: '',
+    state: '',
+    metroRegion: '',
+    county: '',
+    zipCode: '',
+    ...fields
+  };
+}
+
+function stateFields(state) {
+  return { country: countryOf(state)?.name || '', state: state.name };
+}
+
+// Resolve a location string (and, for expanded_parameters.json, its ZoomInfo Id). Problems are added to
+// `report` as { path, message } under `issuePath`; a location that cannot be resolved is returned with
+// type "unknown" and searched as a state name, as before the location model.
+function resolveLocation(value, options = {}) {
+  const { id, issuePath = '', report = { errors: [], warnings: [] } } = options;
+  const text = (value ?? '').toString().trim();
+
+  // A known ZoomInfo Id is authoritative; the name only has to agree with it
+  if (id) {
+    const byId = statesByKey.get(id) || countriesByKey.get(id);
+    if (!byId || byId.id !== id) {
+      report.errors.push({ path: issuePath, message: `Unknown ZoomInfo location id "${id}"` });
+    } else {
+      if (text && text.toLowerCase() !== byId.name.toLowerCase()) {
+        report.warnings.push({ path: issuePath, message: `Location "${text}" does not match ZoomInfo id "${id}" (${byId.name}) - the id is used` });
+      }
+      return statesByKey.get(id)
+        ? createLocation('state', byId.name, { id, ...stateFields(byId) })
+        : createLocation('country', byId.name, { id, country: byId.name });
+    }
+  }
+
+  const zipMatch = text.match(/^(?:ZIP\s+)?(\d{5})$/i);
+  if (zipMatch) {
+    return createLocation('zip', `ZIP ${zipMatch[1]}`, { country: 'United States', zipCode: zipMatch[1] });
+  }
+
+  const metroMatch = text.match(/^([A-Za-z]{2}) - (.+)$/);
+  if (metroMatch) {
+    const state = findState(metroMatch[1]);
+    if (!state) {
+      report.errors.push({ path: issuePath, message: `Metro region "${text}" has an unknown state code "${metroMatch[1]}"` });
+      return createLocation('unknown', text);
+    }
+    const label = `${metroMatch[1].toUpperCase()} - ${metroMatch[2].trim()}`;
+    return createLocation('metro', label, { id: `${state.id}.${slug(metroMatch[2])}`, ...stateFields(state), metroRegion: label });
+  }
+
+  const countyMatch = text.match(/^(.+?)\s+(County|Parish|Borough),?\s+([A-Za-z]{2})$/i);
+  if (countyMatch) {
+    const state = findState(countyMatch[3]);
+    if (!state) {
+      report.errors.push({ path: issuePath, message: `County "${text}" has an unknown state code "${countyMatch[3]}"` });
+      return createLocation('unknown', text);
+    }
+    const county = countyMatch[1].trim();
+    const label = `${county} ${countyMatch[2]}, ${countyMatch[3].toUpperCase()}`;
+    return createLocation('county', label, { id: state.id, ...stateFields(state), county });
+  }
+
+  const state = findState(text);
+  if (state) {
+    if (text !== state.name && text.toLowerCase() === state.name.toLowerCase()) {
+      report.warnings.push({ path: issuePath, message: `Location "${text}" should be written "${state.name}"` });
+    }
+    return createLocation('state', state.name, { id: state.id, ...stateFields(state) });
+  }
+
+  const country = countriesByKey.get(text.toLowerCase());
+  if (country) {
+    return createLocation('country', country.name, { id: country.id, country: country.name });
+  }
+
+  report.errors.push({
+    path: issuePath,
+    message: `Location "${text}" is not a known ZoomInfo country or state, a "ST - Metro" region, a "Name County, ST" county or a 5-digit ZIP code`
+  });
+  return createLocation('unknown', text, { state: text });
+}
+
+// search/company parameters for a location
+function toLocationSearchParams(location) {
+  switch (location.type) {
+    case 'country': return { country: location.id };
+    case 'state': return { state: location.id };
+    case 'metro': return { metroRegion: location.id };
+    case 'county': return { state: location.id, county: location.county };
+    case 'zip': return { zipCode: location.zipCode };
+    default: return { state: location.label };
+  }
+}
+
+// The combination.* fields a location contributes to records (see fieldMapping.js)
+function toLocationFields(location) {
+  return {
+    location: location.label,
+    locationId: location.id || '',
+    country: location.country,
+    state: location.state,
+    metroRegion: location.metroRegion,
+    county: location.county,
+    zipCode: location.zipCode
+  };
+}
+
+module.exports = {
+  LOCATION_TYPES,
+  resolveLocation,
+  toLocationSearchParams,
+  toLocationFields
+};
@@ -0,0 +1,249 @@
+// Validation for search parameter files. Each check returns a report of
+// { errors, warnings } where every issue is { path, message }.
+const fs = require('fs');
+const { resolveLocation } = require('./locations');
+const { checkFilters, getRunFilters } = require('./searchFilters');
+
+// Two-digit NAICS sectors; every valid code starts with one of these
+const NAICS_SECTORS = new Set([
+  '11', '21', '22', '23', '31', '32', '33', '42', '44', '45', '48', '49', '51', '52',
+  '53', '54', '55', '56', '61', '62', '71', '72', '81', '92'
+]);
+
+// Role words that match far too many contacts when searched on their own
+const GENERIC_TITLE_WORDS = new Set([
+  'manager', 'director', 'supervisor', 'coordinator', 'executive', 'specialist', 'analyst',
+  'engineer', 'officer', 'lead', 'vp', 'vice president', 'president', 'partner', 'principal',
+  'owner', 'assistant', 'associate', 'consultant', 'technician'
+]);
+
+// A single-word title contained in at least this many other titles is treated as generic
+const GENERIC_SUBSUMES_THRESHOLD = 3;
+
+const TITLE_ABBREVIATIONS = {
+  vp: 'vice president',
+  svp: 'senior vice president',
+  evp: 'executive vice president',
+  sr: 'senior',
+  jr: 'junior',
+  mgr: 'manager',
+  dir: 'director'
+};
+
+function createReport() {
+  return { errors: [], warnings: [] };
+}
+
+// Validate a single NAICS code: 2-6 digits under a known sector
+function checkNaicsCode(code, issuePath, report) {
+  const value = (code || '').toString().trim();
+
+  if (/^\d{2}-\d{2}$/.test(value)) {
+    const [first, last] = value.split('-').map(Number);
+    const sectors = Array.from({ length: Math.max(0, last - first + 1) }, (_, offset) => first + offset);
+    report.errors.push({ path: issuePath, message: `NAICS "${value}" is a sector range - list the sectors (${sectors.join(', ')}) instead` });
+    return false;
+  }
+  if (!/^\d{2,6}$/.test(value)) {
+    report.errors.push({ path: issuePath, message: `NAICS "${value}" is not a 2-6 digit code` });
+    return false;
+  }
+  if (!NAICS_SECTORS.has(value.slice(0, 2))) {
+    report.errors.push({ path: issuePath, message: `NAICS "${value}" does not belong to a known sector (${value.slice(0, 2)})` });
+    return false;
+  }
+  return true;
+}
+
+// Duplicate codes, and codes already covered by a shorter parent code in the same list
+function checkNaicsList(codes, listPath, report) {
+  const valid = [];
+  const seen = new Set();
+
+  codes.forEach((code, index) => {
+    const value = (code || '').toString().trim();
+    if (!checkNaicsCode(value, `${listPath}[${index}]`, report)) return;
+
+    if (seen.has(value)) {
+      report.warnings.push({ path: `${listPath}[${index}]`, message: `Duplicate NAICS "${value}"` });
+      return;
+    }
+    seen.add(value);
+    valid.push({ value, index });
+  });
+
+  for (const { value, index } of valid) {
+    const parent = valid.find(other => other.value !== value && value.startsWith(other.value));
+    if (parent) {
+      report.warnings.push({ path: `${listPath}[${index}]`, message: `NAICS "${value}" is already covered by parent code "${parent.value}"` });
+    }
+  }
+}
+
+function normaliseTitle(title) {
+  return title
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap(word => (TITLE_ABBREVIATIONS[word] || word).split(' '))
+    .filter(word => word !== 'of' && word !== 'and' && word !== 'the')
+    .map(word => (word.length > 3 ? word.replace(/ies$/, 'y').replace(/s$/, '') : word))
+    .join(' ');
+}
+
+// Malformed, duplicate, near-duplicate and overly generic job titles
+function checkJobTitles(titles, listPath, report) {
+  const exact = new Map();
+  const normalised = new Map();
+  const cleanTitles = [];
+
+  titles.forEach((rawTitle, index) => {
+    const issuePath = `${listPath}[${index}]`;
+    if (typeof rawTitle !== 'string' || !rawTitle.trim()) {
+      report.errors.push({ path: issuePath, message: 'Job title is empty or not a string' });
+      return;
+    }
+
+    const title = rawTitle.trim();
+    if (/[{}"]/.test(title) || title.includes(',')) {
+      report.errors.push({ path: issuePath, message: `Malformed job title ${JSON.stringify(rawTitle)} - it would be split on commas into separate titles` });
+      return;
+    }
+
+    const lower = title.toLowerCase();
+    if (exact.has(lower)) {
+      report.warnings.push({ path: issuePath, message: `Duplicate job title "${title}" (same as "${exact.get(lower)}")` });
+      return;
+    }
+    exact.set(lower, title);
+
+    const key = normaliseTitle(title);
+    if (normalised.has(key)) {
+      report.warnings.push({ path: issuePath, message: `Job title "${title}" is a near-duplicate of "${normalised.get(key)}"` });
+    } else {
+      normalised.set(key, title);
+    }
+
+    cleanTitles.push({ title, index });
+  });
+
+  for (const { title, index } of cleanTitles) {
+    const lower = title.toLowerCase();
+    if (lower.includes(' ') && !GENERIC_TITLE_WORDS.has(lower)) continue;
+
+    const wordPattern = new RegExp(`\\b${lower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    const subsumed = cleanTitles.filter(other => other.title !== title && wordPattern.test(other.title)).length;
+
+    if (GENERIC_TITLE_WORDS.has(lower) || subsumed >= GENERIC_SUBSUMES_THRESHOLD) {
+      report.warnings.push({
+        path: `${listPath}[${index}]`,
+        message: `Job title "${title}" is overly generic${subsumed > 0 ? ` (also matches ${subsumed} other title${subsumed === 1 ? '' : 's'} in this list)` : ''}`
+      });
+    }
+  }
+}
+
+// Locations must resolve to a ZoomInfo country, state, metro region, county or ZIP code (see locations.js)
+function checkLocation(location, issuePath, report, id) {
+  return resolveLocation(location, { id, issuePath, report });
+}
+
+// expanded_parameters.json: { states: [{ Id, Name }], unique_naics_codes: [{ naicsCode, name }], unique_job_titles: [string], filters? }
+function validateBulkParameters(json, options = {}) {
+  const report = createReport();
+
+  if (!Array.isArray(json.states) || !Array.isArray(json.unique_naics_codes) || !Array.isArray(json.unique_job_titles)) {
+    report.errors.push({ path: '', message: 'Expected "states", "unique_naics_codes" and "unique_job_titles" arrays' });
+    return report;
+  }
+
+  json.states.forEach((state, index) => {
+    const issuePath = `states[${index}]`;
+    if (!state || typeof state.Name !== 'string') {
+      report.errors.push({ path: issuePath, message: 'State entry is missing "Name"' });
+      return;
+    }
+    checkLocation(state.Name, state.Id ? `${issuePath}.Id` : `${issuePath}.Name`, report, state.Id);
+  });
+
+  checkNaicsList(json.unique_naics_codes.map(naics => naics && naics.naicsCode), 'unique_naics_codes', report);
+  checkJobTitles(json.unique_job_titles, 'unique_job_titles', report);
+  checkFilters(json.filters, key => (key ? `filters.${key}` : 'filters'), report, options);
+
+  return report;
+}
+
+// extracted_parameters.json: { search_parameters: [{ locations, job_titles, naics_codes, filters? }] }
+function validateGroupedParameters(json, options = {}) {
+  const report = createReport();
+
+  if (!Array.isArray(json.search_parameters)) {
+    report.errors.push({ path: '', message: 'Expected a "search_parameters" array' });
+    return report;
+  }
+
+  json.search_parameters.forEach((group, groupIndex) => {
+    const groupPath = `search_parameters[${groupIndex}]`;
+    const { locations, job_titles: jobTitles, naics_codes: naicsCodes } = group || {};
+
+    if (!locations?.length || !jobTitles?.length || !naicsCodes?.length) {
+      const missing = ['locations', 'job_titles', 'naics_codes'].filter(key => !group?.[key]?.length);
+      report.warnings.push({ path: groupPath, message: `Group is skipped - no ${missing.join(', ')}` });
+      return;
+    }
+
+    locations.forEach((location, index) => checkLocation(location, `${groupPath}.locations[${index}]`, report));
+    checkNaicsList(naicsCodes.map(naics => naics && naics.naicsCode), `${groupPath}.naics_codes`, report);
+    checkJobTitles(jobTitles, `${groupPath}.job_titles`, report);
+    checkFilters(group.filters, key => `${groupPath}.filters${key ? `.${key}` : ''}`, report, options);
+  });
+
+  return report;
+}
+
+// FILTER_* run-level search filters, checked for every strategy
+function validateRunFilters(options = {}) {
+  const report = createReport();
+  getRunFilters(report, options);
+  return report;
+}
+
+// TARGET_STATES / TARGET_NAICS_CODES / TARGET_JOB_TITLES for the env strategy
+function validateEnvParameters(env = process.env) {
+  const report = createReport();
+  const split = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const states = split(env.TARGET_STATES);
+  const naicsCodes = split(env.TARGET_NAICS_CODES);
+  const jobTitles = split(env.TARGET_JOB_TITLES);
+
+  if (!states.length || !naicsCodes.length || !jobTitles.length) {
+    report.errors.push({ path: '', message: 'TARGET_STATES, TARGET_NAICS_CODES and TARGET_JOB_TITLES must all be set' });
+    return report;
+  }
+
+  states.forEach((state, index) => checkLocation(state, `TARGET_STATES[${index}]`, report));
+  checkNaicsList(naicsCodes, 'TARGET_NAICS_CODES', report);
+  checkJobTitles(jobTitles, 'TARGET_JOB_TITLES', report);
+
+  return report;
+}
+
+function readParameterFile(paramsFile) {
+  return JSON.parse(fs.readFileSync(paramsFile, 'utf8'));
+}
+
+module.exports = {
+  NAICS_SECTORS,
+  checkNaicsCode,
+  checkNaicsList,
+  checkJobTitles,
+  checkLocation,
+  normaliseTitle,
+  validateBulkParameters,
+  validateGroupedParameters,
+  validateEnvParameters,
+  validateRunFilters,
+  readParameterFile
+};
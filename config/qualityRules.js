@@ -0,0 +1,245 @@
+// Contact quality rules. QUALITY_RULES_FILE points at a campaign's JSON rules file; any rule it leaves
+// out keeps the default below:
+//
+//   {
+//     "minAccuracyScore": 85,                        // contactAccuracyScoreMin of the contact search
+//     "excludePartialProfiles": true,                // excludePartialProfiles of the contact search
+//     "requiredChannels": ["email", "directPhone"],  // every one must be present
+//     "anyChannels": ["email", "directPhone", "mobilePhone"],  // at least one must be present ([] = no check)
+//     "managementLevels": { "include": ["C-Level", "VP-Level", "Director"] },
+//     "departments": { "exclude": ["Human Resources"] },
+//     "seniority": { "include": [], "exclude": [] }
+//   }
+//
+// Contacts are checked twice: on the search result, before paying for enrichment, against whatever it
+// carries (accuracy score, hasEmail / hasDirectPhone / hasMobilePhone flags, attributes), and again on
+// the enriched contact. Include/exclude lists match case-insensitively; a contact without a value for
+// an attribute with an include list is rejected after enrichment. Rejections are counted by reason.
+const fs = require('fs');
+const path = require('path');
+
+// Channel name -> enriched field and the search result flag announcing it
+const CHANNELS = {
+  email: { field: 'email', flag: 'hasEmail' },
+  directPhone: { field: 'phone', flag: 'hasDirectPhone' },
+  mobilePhone: { field: 'mobilePhone', flag: 'hasMobilePhone' }
+};
+
+// Include/exclude rule -> contact attribute (and rejection reason)
+const ATTRIBUTE_RULES = {
+  managementLevels: 'managementLevel',
+  departments: 'department',
+  seniority: 'seniority'
+};
+
+// Rejection reason -> label for logs and status
+const REJECTION_REASONS = {
+  accuracy: 'accuracy score below minimum',
+  noChannel: 'no contact channel',
+  missingEmail: 'missing email',
+  missingDirectPhone: 'missing direct phone',
+  missingMobilePhone: 'missing mobile phone',
+  managementLevel: 'management level',
+  department: 'department',
+  seniority: 'seniority',
+  enrichFailed: 'enrichment failed'
+};
+
+// The checks the pipeline always made: accuracy 75+, full profiles, email or any phone after enrichment
+const DEFAULT_QUALITY_RULES = {
+  minAccuracyScore: 75,
+  excludePartialProfiles: true,
+  requiredChannels: [],
+  anyChannels: ['email', 'directPhone', 'mobilePhone'],
+  managementLevels: {},
+  departments: {},
+  seniority: {}
+};
+
+const loaded = new Map();
+
+// Check a rules object; returns { errors, warnings } of { path, message } like the parameter validator
+function validateQualityRules(rules) {
+  const report = { errors: [], warnings: [] };
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    report.errors.push({ path: '', message: 'Quality rules must be a JSON object' });
+    return report;
+  }
+
+  Object.keys(rules)
+    .filter(key => !(key in DEFAULT_QUALITY_RULES))
+    .forEach(key => report.errors.push({ path: key, message: `Unknown rule "${key}" (available: ${Object.keys(DEFAULT_QUALITY_RULES).join(', ')})` }));
+
+  if (rules.minAccuracyScore !== undefined) {
+    const score = rules.minAccuracyScore;
+    if (!Number.isInteger(score) || score < 0 || score > 100) {
+      report.errors.push({ path: 'minAccuracyScore', message: 'minAccuracyScore must be a whole number from 0 to 100' });
+    } else if (score < 70) {
+      report.warnings.push({ path: 'minAccuracyScore', message: `Accuracy scores below 70 (${score}) are mostly unverified contacts` });
+    }
+  }
+
+  if (rules.excludePartialProfiles !== undefined && typeof rules.excludePartialProfiles !== 'boolean') {
+    report.errors.push({ path: 'excludePartialProfiles', message: 'excludePartialProfiles must be true or false' });
+  }
+
+  for (const key of ['requiredChannels', 'anyChannels']) {
+    if (rules[key] === undefined) continue;
+    if (!Array.isArray(rules[key])) {
+      report.errors.push({ path: key, message: `${key} must be a list of channels` });
+      continue;
+    }
+    rules[key]
+      .filter(channel => !CHANNELS[channel])
+      .forEach(channel => report.errors.push({ path: key, message: `Unknown channel "${channel}" (available: ${Object.keys(CHANNELS).join(', ')})` }));
+  }
+
+  for (const key of Object.keys(ATTRIBUTE_RULES)) {
+    const rule = rules[key];
+    if (rule === undefined) continue;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      report.errors.push({ path: key, message: `${key} must be { "include": [...], "exclude": [...] }` });
+      continue;
+    }
+    Object.keys(rule)
+      .filter(list => !['include', 'exclude'].includes(list))
+      .forEach(list => report.errors.push({ path: `${key}.${list}`, message: 'Only "include" and "exclude" lists are supported' }));
+    for (const list of ['include', 'exclude']) {
+      if (rule[list] === undefined) continue;
+      if (!Array.isArray(rule[list]) || rule[list].some(value => typeof value !== 'string' || !value.trim())) {
+        report.errors.push({ path: `${key}.${list}`, message: `${key}.${list} must be a list of non-empty strings` });
+      }
+    }
+    if (Array.isArray(rule.include) && Array.isArray(rule.exclude)) {
+      const excluded = new Set(rule.exclude.map(value => String(value).toLowerCase()));
+      rule.include
+        .filter(value => excluded.has(String(value).toLowerCase()))
+        .forEach(value => report.warnings.push({ path: key, message: `"${value}" is both included and excluded - it will be rejected` }));
+    }
+  }
+
+  return report;
+}
+
+function readQualityRulesFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The rules in use: QUALITY_RULES_FILE (or the given file) over the defaults.
+// Loaded once per file; throws when the file does not validate.
+function getQualityRules(file = process.env.QUALITY_RULES_FILE) {
+  const key = file ? path.resolve(file) : '';
+  if (loaded.has(key)) return loaded.get(key);
+
+  const overrides = file ? readQualityRulesFile(key) : {};
+  const { errors } = validateQualityRules(overrides);
+  if (errors.length > 0) {
+    const details = errors.map(issue => `${issue.path}: ${issue.message}`).join('; ');
+    throw new Error(`Invalid quality rules in ${file}: ${details}`);
+  }
+
+  const lower = list => (list || []).map(value => value.toLowerCase());
+  const rules = { file: file ? key : null, ...DEFAULT_QUALITY_RULES, ...overrides };
+  for (const ruleKey of Object.keys(ATTRIBUTE_RULES)) {
+    rules[ruleKey] = { include: lower(rules[ruleKey].include), exclude: lower(rules[ruleKey].exclude) };
+  }
+  loaded.set(key, rules);
+  return rules;
+}
+
+// Contact search parameters set by the rules
+function toContactSearchParams(rules) {
+  const params = {};
+  if (rules.minAccuracyScore > 0) params.contactAccuracyScoreMin = String(rules.minAccuracyScore);
+  if (rules.excludePartialProfiles) params.excludePartialProfiles = true;
+  return params;
+}
+
+// Enrich outputFields the attribute rules need
+function getRuleEnrichFields(rules) {
+  return Object.entries(ATTRIBUTE_RULES)
+    .filter(([ruleKey]) => rules[ruleKey].include.length > 0 || rules[ruleKey].exclude.length > 0)
+    .map(([, field]) => field);
+}
+
+// Whether a contact has a channel: true/false, or undefined when a search result does not say
+function hasChannel(channel, contact, enriched) {
+  const { field, flag } = CHANNELS[channel];
+  if (enriched) return Boolean(enriched[field]);
+  return typeof contact[flag] === 'boolean' ? contact[flag] : undefined;
+}
+
+// Check a contact against the rules. Without `enriched` only what the search result shows is checked.
+// Returns the rejection reason, or null when the contact passes.
+function checkContact(rules, contact, enriched) {
+  const score = enriched?.contactAccuracyScore ?? contact.contactAccuracyScore;
+  if (score !== undefined && score !== null && Number(score) < rules.minAccuracyScore) {
+    return 'accuracy';
+  }
+
+  for (const channel of rules.requiredChannels) {
+    if (hasChannel(channel, contact, enriched) === false) {
+      return `missing${channel[0].toUpperCase()}${channel.slice(1)}`;
+    }
+  }
+  if (rules.anyChannels.length > 0 && rules.anyChannels.every(channel => hasChannel(channel, contact, enriched) === false)) {
+    return 'noChannel';
+  }
+
+  for (const [ruleKey, field] of Object.entries(ATTRIBUTE_RULES)) {
+    const { include, exclude } = rules[ruleKey];
+    const value = enriched?.[field] || contact[field];
+    if (!value) {
+      if (enriched && include.length > 0) return field;
+      continue;
+    }
+    const normalised = String(value).toLowerCase();
+    if (exclude.includes(normalised) || (include.length > 0 && !include.includes(normalised))) {
+      return field;
+    }
+  }
+
+  return null;
+}
+
+// Add `counts` ({ reason: n }) into `totals` and return it
+function addRejections(totals = {}, counts = {}) {
+  Object.entries(counts).forEach(([reason, count]) => { totals[reason] = (totals[reason] || 0) + count; });
+  return totals;
+}
+
+// "accuracy score below minimum 3, missing email 9", or '' when nothing was rejected
+function describeRejections(counts = {}) {
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .sort(([, a], [, b]) => b - a)
+    .map(([reason, count]) => `${REJECTION_REASONS[reason] || reason} ${count}`)
+    .join(', ');
+}
+
+// Short description for the startup log, e.g. "accuracy 85+, requires email+directPhone"
+function describeQualityRules(rules) {
+  const parts = [`accuracy ${rules.minAccuracyScore}+`];
+  if (rules.requiredChannels.length) parts.push(`requires ${rules.requiredChannels.join('+')}`);
+  if (rules.anyChannels.length) parts.push(`any of ${rules.anyChannels.join('/')}`);
+  for (const ruleKey of Object.keys(ATTRIBUTE_RULES)) {
+    if (rules[ruleKey].include.length) parts.push(`${ruleKey} in ${rules[ruleKey].include.join('/')}`);
+    if (rules[ruleKey].exclude.length) parts.push(`${ruleKey} not ${rules[ruleKey].exclude.join('/')}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  CHANNELS,
+  REJECTION_REASONS,
+  DEFAULT_QUALITY_RULES,
+  validateQualityRules,
+  readQualityRulesFile,
+  getQualityRules,
+  toContactSearchParams,
+  getRuleEnrichFields,
+  checkContact,
+  addRejections,
+  describeRejections,
+  describeQualityRules
+};
@@ -0,0 +1,207 @@
+// Company search filters. Every combination carries a filter set that is sent to search/company with
+// its location and NAICS code. Filters come from, in increasing precedence:
+//   - FILTER_* environment variables (every strategy, the whole run)
+//   - the top-level "filters" of expanded_parameters.json (bulk strategy)
+//   - a group's "filters" in extracted_parameters.json (grouped strategy)
+//
+//   File key              Environment                    Value
+//   employee_count        FILTER_EMPLOYEE_COUNT=50-500   { "min": 50, "max": 500 } (either end optional)
+//   revenue               FILTER_REVENUE=1000-50000      { "min", "max" } in USD thousands
+//   zip_code              FILTER_ZIP_CODE=80202          5-digit ZIP code
+//   zip_radius_miles      FILTER_ZIP_RADIUS_MILES=25     Radius around zip_code
+//   company_type          FILTER_COMPANY_TYPE=private    One or more of COMPANY_TYPES
+//   excluded_parent_ids   FILTER_EXCLUDED_PARENT_IDS=1,2 ZoomInfo ids of parent companies to leave out
+//
+// Excluded parents are matched against the parentId / ultimateParentId of search results and, with
+// ENRICH_COMPANIES=true, of company enrichment; the other filters are search/company parameters.
+
+const COMPANY_TYPES = ['private', 'public', 'nonprofit', 'government', 'education', 'other'];
+
+const FILTER_KEYS = {
+  employee_count: { env: 'FILTER_EMPLOYEE_COUNT', name: 'employeeCount' },
+  revenue: { env: 'FILTER_REVENUE', name: 'revenue' },
+  zip_code: { env: 'FILTER_ZIP_CODE', name: 'zipCode' },
+  zip_radius_miles: { env: 'FILTER_ZIP_RADIUS_MILES', name: 'zipRadiusMiles' },
+  company_type: { env: 'FILTER_COMPANY_TYPE', name: 'companyType' },
+  excluded_parent_ids: { env: 'FILTER_EXCLUDED_PARENT_IDS', name: 'excludedParentIds' }
+};
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// FILTER_* variables as a raw filters object (file keys, string values)
+function readEnvFilters(env = process.env) {
+  const raw = {};
+  for (const [key, { env: variable }] of Object.entries(FILTER_KEYS)) {
+    if (env[variable] !== undefined && env[variable].trim() !== '') {
+      raw[key] = env[variable].trim();
+    }
+  }
+  return raw;
+}
+
+// "50-500", "50-" or "-500", or { min, max }
+function parseRange(value, issuePath, report) {
+  let min;
+  let max;
+  if (typeof value === 'string') {
+    const match = value.match(/^\s*(\d*)\s*-\s*(\d*)\s*$/);
+    if (!match || (!match[1] && !match[2])) {
+      report.errors.push({ path: issuePath, message: `Range "${value}" must be written min-max (either end optional)` });
+      return null;
+    }
+    min = match[1] ? Number(match[1]) : undefined;
+    max = match[2] ? Number(match[2]) : undefined;
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    ({ min, max } = value);
+  } else {
+    report.errors.push({ path: issuePath, message: 'Range must be { "min", "max" } or "min-max"' });
+    return null;
+  }
+
+  for (const [label, bound] of [['min', min], ['max', max]]) {
+    if (bound !== undefined && bound !== null && (!Number.isFinite(Number(bound)) || Number(bound) < 0)) {
+      report.errors.push({ path: issuePath, message: `Range ${label} "${bound}" is not a non-negative number` });
+      return null;
+    }
+  }
+  const range = {};
+  if (min !== undefined && min !== null) range.min = Number(min);
+  if (max !== undefined && max !== null) range.max = Number(max);
+  if (range.min === undefined && range.max === undefined) {
+    report.errors.push({ path: issuePath, message: 'Range needs a min, a max or both' });
+    return null;
+  }
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    report.errors.push({ path: issuePath, message: `Range min ${range.min} is greater than max ${range.max}` });
+    return null;
+  }
+  return range;
+}
+
+// Validate a raw filters object and return the normalised filters (invalid entries left out).
+// `pathOf(key)` names the issue path for a file key, e.g. filters.revenue or FILTER_REVENUE.
+// `options.enrichCompanies` says whether the run enriches companies, which decides how parents are matched.
+function checkFilters(raw, pathOf, report, options = {}) {
+  const filters = {};
+  if (raw === undefined || raw === null) return filters;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    report.errors.push({ path: pathOf(''), message: '"filters" must be an object' });
+    return filters;
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!FILTER_KEYS[key]) {
+      report.errors.push({ path: pathOf(key), message: `Unknown filter "${key}" (available: ${Object.keys(FILTER_KEYS).join(', ')})` });
+    }
+  }
+
+  for (const key of ['employee_count', 'revenue']) {
+    if (raw[key] === undefined) continue;
+    const range = parseRange(raw[key], pathOf(key), report);
+    if (range) filters[FILTER_KEYS[key].name] = range;
+  }
+
+  if (raw.zip_code !== undefined) {
+    const zipCode = String(raw.zip_code).trim();
+    if (/^\d{5}$/.test(zipCode)) {
+      filters.zipCode = zipCode;
+    } else {
+      report.errors.push({ path: pathOf('zip_code'), message: `ZIP code "${zipCode}" is not 5 digits` });
+    }
+  }
+
+  if (raw.zip_radius_miles !== undefined) {
+    const radius = Number(raw.zip_radius_miles);
+    if (!Number.isFinite(radius) || radius <= 0) {
+      report.errors.push({ path: pathOf('zip_radius_miles'), message: `Radius "${raw.zip_radius_miles}" is not a positive number of miles` });
+    } else if (!filters.zipCode) {
+      report.errors.push({ path: pathOf('zip_radius_miles'), message: 'A ZIP radius needs a valid zip_code' });
+    } else {
+      filters.zipRadiusMiles = radius;
+    }
+  }
+
+  if (raw.company_type !== undefined) {
+    const types = splitList(raw.company_type).map(type => type.toLowerCase());
+    const unknown = types.filter(type => !COMPANY_TYPES.includes(type));
+    if (unknown.length > 0 || types.length === 0) {
+      report.errors.push({ path: pathOf('company_type'), message: `Unknown company type "${unknown.join('", "')}" (available: ${COMPANY_TYPES.join(', ')})` });
+    } else {
+      filters.companyType = [...new Set(types)];
+    }
+  }
+
+  if (raw.excluded_parent_ids !== undefined) {
+    const ids = splitList(raw.excluded_parent_ids);
+    const invalid = ids.filter(id => !/^\d+$/.test(id));
+    if (invalid.length > 0 || ids.length === 0) {
+      report.errors.push({ path: pathOf('excluded_parent_ids'), message: `Parent ids must be numeric ZoomInfo company ids, got "${invalid.join('", "')}"` });
+    } else {
+      filters.excludedParentIds = [...new Set(ids)];
+      if (!options.enrichCompanies) {
+        report.warnings.push({ path: pathOf('excluded_parent_ids'), message: 'Parent companies are only matched when search results carry parent ids - set ENRICH_COMPANIES=true to check every company' });
+      }
+    }
+  }
+
+  return filters;
+}
+
+// Run-level filters from FILTER_*; issues are collected into `report` when given
+function getRunFilters(report = { errors: [], warnings: [] }, options = {}) {
+  return checkFilters(readEnvFilters(), key => FILTER_KEYS[key]?.env || 'FILTER_*', report, options);
+}
+
+// Later filter sets override earlier ones filter by filter
+function mergeFilters(...filterSets) {
+  return Object.assign({}, ...filterSets.filter(Boolean));
+}
+
+// search/company parameters for a filter set (excluded parents are applied to the results instead)
+function toSearchParams(filters = {}) {
+  const params = {};
+  if (filters.employeeCount?.min !== undefined) params.employeeRangeMin = filters.employeeCount.min;
+  if (filters.employeeCount?.max !== undefined) params.employeeRangeMax = filters.employeeCount.max;
+  if (filters.revenue?.min !== undefined) params.revenueMin = filters.revenue.min;
+  if (filters.revenue?.max !== undefined) params.revenueMax = filters.revenue.max;
+  if (filters.zipCode) params.zipCode = filters.zipCode;
+  if (filters.zipRadiusMiles) params.zipCodeRadiusMiles = filters.zipRadiusMiles;
+  if (filters.companyType?.length) params.companyType = filters.companyType.join(',');
+  return params;
+}
+
+// Whether a company belongs to an excluded parent, going by any of the given records
+// (search result, enrich result) that carry parentId / ultimateParentId
+function hasExcludedParent(filters = {}, ...records) {
+  if (!filters.excludedParentIds?.length) return false;
+  const excluded = new Set(filters.excludedParentIds);
+  return records.some(record => record && [record.parentId, record.ultimateParentId]
+    .some(parentId => parentId !== undefined && parentId !== null && excluded.has(String(parentId))));
+}
+
+// Short description for logs and the dry run, e.g. "employees 50-500, company type private"
+function describeFilters(filters = {}) {
+  const range = ({ min, max }) => `${min ?? ''}-${max ?? ''}`;
+  const parts = [];
+  if (filters.employeeCount) parts.push(`employees ${range(filters.employeeCount)}`);
+  if (filters.revenue) parts.push(`revenue ${range(filters.revenue)}k`);
+  if (filters.zipCode) parts.push(`ZIP ${filters.zipCode}${filters.zipRadiusMiles ? ` +${filters.zipRadiusMiles}mi` : ''}`);
+  if (filters.companyType) parts.push(`company type ${filters.companyType.join('/')}`);
+  if (filters.excludedParentIds) parts.push(`${filters.excludedParentIds.length} excluded parents`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  COMPANY_TYPES,
+  FILTER_KEYS,
+  readEnvFilters,
+  checkFilters,
+  getRunFilters,
+  mergeFilters,
+  toSearchParams,
+  hasExcludedParent,
+  describeFilters
+};
@@ -1,12 +1,15 @@
 // Search parameter configuration for VM deployment
 const fs = require('fs');
 const path = require('path');
+const { checkFilters, getRunFilters, mergeFilters } = require('./searchFilters');
+const { resolveLocation } = require('./locations');
+
+const PARAMS_FILE = path.join(__dirname, '../data/extracted_parameters.json');
 
 // Load search parameter groups from JSON file
-function loadSearchParameterGroups() {
+function loadSearchParameterGroups(paramsFile = PARAMS_FILE) {
   try {
-    const filePath = path.join(__dirname, '../data/extracted_parameters.json');
-    const jsonData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const jsonData = JSON.parse(fs.readFileSync(paramsFile, 'utf8'));
     
     if (!jsonData.search_parameters || !Array.isArray(jsonData.search_parameters)) {
       throw new Error('Invalid JSON structure: missing search_parameters array');
@@ -35,8 +38,9 @@ function cleanJobTitles(jobTitles) {
 }
 
 // Process each search parameter group into individual combinations
-function getSearchCombinations() {
-  const searchParameterGroups = loadSearchParameterGroups();
+function getSearchCombinations(paramsFile = PARAMS_FILE) {
+  const searchParameterGroups = loadSearchParameterGroups(paramsFile);
+  const runFilters = getRunFilters();
   const combinations = [];
   
   for (let groupIndex = 0; groupIndex < searchParameterGroups.length; groupIndex++) {
@@ -49,19 +53,22 @@ function getSearchCombinations() {
     }
     
     const cleanedJobTitles = cleanJobTitles(job_titles);
+    // Group filters override FILTER_* ones; invalid filters are reported by the validator
+    const filters = mergeFilters(runFilters, checkFilters(group.filters, () => '', { errors: [], warnings: [] }));
     
-    // Generate combinations within this specific group
-    for (const location of locations) {
+    // Generate location + NAICS combinations within this specific group,
+    // each carrying the group's full job title list
+    for (const location of locations.map(value => resolveLocation(value))) {
       for (const naicsCode of naics_codes) {
-        for (const jobTitle of cleanedJobTitles) {
-          combinations.push({
-            groupIndex: groupIndex,
-            location: location.trim(),
-            naicsCode: naicsCode.naicsCode,
-            naicsName: naicsCode.name,
-            jobTitle: jobTitle.trim()
-          });
-        }
+        combinations.push({
+          groupIndex: groupIndex,
+          location: location.label,
+          resolvedLocation: location,
+          naicsCode: naicsCode.naicsCode,
+          naicsName: naicsCode.name,
+          jobTitles: cleanedJobTitles,
+          filters
+        });
       }
     }
   }
@@ -70,8 +77,8 @@ function getSearchCombinations() {
 }
 
 // Get count of valid search parameter groups
-function getValidGroupCount() {
-  const groups = loadSearchParameterGroups();
+function getValidGroupCount(paramsFile = PARAMS_FILE) {
+  const groups = loadSearchParameterGroups(paramsFile);
   return groups.filter(group => 
     group.locations?.length && 
     group.job_titles?.length && 
@@ -80,6 +87,7 @@ function getValidGroupCount() {
 }
 
 module.exports = {
+  PARAMS_FILE,
   loadSearchParameterGroups,
   getSearchCombinations,
   getValidGroupCount,
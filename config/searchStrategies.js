@@ -0,0 +1,87 @@
+// Registry of search parameter strategies. Each strategy turns a parameter
+// source into the location + NAICS combinations LeadProcessor works through.
+const bulkSearchParams = require('./bulkSearchParams');
+const searchParams = require('./searchParams');
+const envSearchParams = require('./envSearchParams');
+const {
+  validateBulkParameters,
+  validateGroupedParameters,
+  validateEnvParameters,
+  validateRunFilters,
+  readParameterFile
+} = require('./parameterValidator');
+
+const DEFAULT_STRATEGY = 'bulk';
+
+const strategies = {
+  bulk: {
+    description: 'Every state x NAICS code in expanded_parameters.json, with the full job title list',
+    defaultParamsFile: bulkSearchParams.PARAMS_FILE,
+    getSearchCombinations: bulkSearchParams.getSearchCombinations,
+    getValidGroupCount: bulkSearchParams.getValidGroupCount,
+    validate: (paramsFile = bulkSearchParams.PARAMS_FILE, options) => validateBulkParameters(readParameterFile(paramsFile), options)
+  },
+  grouped: {
+    description: 'Per-group locations (including metro regions), NAICS codes and job titles from extracted_parameters.json',
+    defaultParamsFile: searchParams.PARAMS_FILE,
+    getSearchCombinations: searchParams.getSearchCombinations,
+    getValidGroupCount: searchParams.getValidGroupCount,
+    validate: (paramsFile = searchParams.PARAMS_FILE, options) => validateGroupedParameters(readParameterFile(paramsFile), options)
+  },
+  env: {
+    description: 'TARGET_STATES x TARGET_NAICS_CODES with TARGET_JOB_TITLES from the environment',
+    defaultParamsFile: null,
+    getSearchCombinations: envSearchParams.getSearchCombinations,
+    getValidGroupCount: envSearchParams.getValidGroupCount,
+    validate: () => validateEnvParameters()
+  }
+};
+
+// Resolve a strategy by name, falling back to SEARCH_STRATEGY and then the default
+function getSearchStrategy(name) {
+  const strategyName = name || process.env.SEARCH_STRATEGY || DEFAULT_STRATEGY;
+  const strategy = strategies[strategyName];
+
+  if (!strategy) {
+    throw new Error(`Unknown search strategy "${strategyName}". Available: ${Object.keys(strategies).join(', ')}`);
+  }
+
+  return { name: strategyName, ...strategy };
+}
+
+function listSearchStrategies() {
+  return Object.entries(strategies).map(([name, { description }]) => ({ name, description }));
+}
+
+// Validate a strategy's parameters and, if they load, count the combinations they produce.
+// `options.enrichCompanies` is whether the run enriches companies (see checkFilters).
+function validateSearchStrategy(name, paramsFile, options = {}) {
+  const strategy = getSearchStrategy(name);
+  let report;
+  try {
+    report = strategy.validate(paramsFile || undefined, options);
+  } catch (error) {
+    report = { errors: [{ path: '', message: `Could not read parameters: ${error.message}` }], warnings: [] };
+  }
+  // FILTER_* apply to every strategy
+  const filterReport = validateRunFilters(options);
+  report = { errors: [...report.errors, ...filterReport.errors], warnings: [...report.warnings, ...filterReport.warnings] };
+
+  let combinationCount = null;
+  if (report.errors.every(issue => issue.path !== '')) {
+    combinationCount = strategy.getSearchCombinations(paramsFile || undefined).length;
+  }
+
+  return {
+    strategy: strategy.name,
+    paramsFile: paramsFile || strategy.defaultParamsFile,
+    ...report,
+    combinationCount
+  };
+}
+
+module.exports = {
+  getSearchStrategy,
+  listSearchStrategies,
+  validateSearchStrategy
+};
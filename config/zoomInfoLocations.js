@@ -0,0 +1,129 @@
+// Locations known to ZoomInfo's location search, as { id, name } pairs (id is the ZoomInfo location
+// identifier). State ids are "<country id>.<state>", metro region ids "<state id>.<metro>".
+
+const ZOOMINFO_COUNTRIES = [
+  { id: 'usa', name: 'United States' },
+  { id: 'canada', name: 'Canada' },
+  { id: 'mexico', name: 'Mexico' },
+  { id: 'unitedkingdom', name: 'United Kingdom' },
+  { id: 'ireland', name: 'Ireland' },
+  { id: 'germany', name: 'Germany' },
+  { id: 'france', name: 'France' },
+  { id: 'netherlands', name: 'Netherlands' },
+  { id: 'belgium', name: 'Belgium' },
+  { id: 'spain', name: 'Spain' },
+  { id: 'italy', name: 'Italy' },
+  { id: 'switzerland', name: 'Switzerland' },
+  { id: 'sweden', name: 'Sweden' },
+  { id: 'australia', name: 'Australia' },
+  { id: 'newzealand', name: 'New Zealand' },
+  { id: 'india', name: 'India' },
+  { id: 'singapore', name: 'Singapore' },
+  { id: 'japan', name: 'Japan' },
+  { id: 'brazil', name: 'Brazil' },
+  { id: 'southafrica', name: 'South Africa' }
+];
+
+// States, provinces and territories
+const ZOOMINFO_STATES = [
+  { id: 'usa.alabama', name: 'Alabama' },
+  { id: 'usa.alaska', name: 'Alaska' },
+  { id: 'canada.alberta', name: 'Alberta' },
+  { id: 'usa.americansamoa', name: 'American Samoa' },
+  { id: 'usa.arizona', name: 'Arizona' },
+  { id: 'usa.arkansas', name: 'Arkansas' },
+  { id: 'canada.britishcolumbia', name: 'British Columbia' },
+  { id: 'usa.california', name: 'California' },
+  { id: 'usa.canalzone', name: 'Canal Zone' },
+  { id: 'usa.colorado', name: 'Colorado' },
+  { id: 'usa.connecticut', name: 'Connecticut' },
+  { id: 'usa.delaware', name: 'Delaware' },
+  { id: 'usa.dc', name: 'District of Columbia' },
+  { id: 'usa.florida', name: 'Florida' },
+  { id: 'usa.georgia', name: 'Georgia' },
+  { id: 'usa.guam', name: 'Guam' },
+  { id: 'usa.hawaii', name: 'Hawaii' },
+  { id: 'usa.idaho', name: 'Idaho' },
+  { id: 'usa.illinois', name: 'Illinois' },
+  { id: 'usa.indiana', name: 'Indiana' },
+  { id: 'usa.iowa', name: 'Iowa' },
+  { id: 'usa.kansas', name: 'Kansas' },
+  { id: 'usa.kentucky', name: 'Kentucky' },
+  { id: 'usa.louisiana', name: 'Louisiana' },
+  { id: 'usa.maine', name: 'Maine' },
+  { id: 'canada.manitoba', name: 'Manitoba' },
+  { id: 'usa.maryland', name: 'Maryland' },
+  { id: 'usa.massachusetts', name: 'Massachusetts' },
+  { id: 'usa.michigan', name: 'Michigan' },
+  { id: 'usa.minnesota', name: 'Minnesota' },
+  { id: 'usa.mississippi', name: 'Mississippi' },
+  { id: 'usa.missouri', name: 'Missouri' },
+  { id: 'usa.montana', name: 'Montana' },
+  { id: 'usa.nebraska', name: 'Nebraska' },
+  { id: 'usa.nevada', name: 'Nevada' },
+  { id: 'canada.newbrunswick', name: 'New Brunswick' },
+  { id: 'usa.newhampshire', name: 'New Hampshire' },
+  { id: 'usa.newjersey', name: 'New Jersey' },
+  { id: 'usa.newmexico', name: 'New Mexico' },
+  { id: 'usa.newyork', name: 'New York' },
+  { id: 'canada.newfoundland', name: 'Newfoundland' },
+  { id: 'usa.northcarolina', name: 'North Carolina' },
+  { id: 'usa.northdakota', name: 'North Dakota' },
+  { id: 'canada.nwt', name: 'Northwest Territories' },
+  { id: 'canada.novascotia', name: 'Nova Scotia' },
+  { id: 'canada.nunavut', name: 'Nunavut' },
+  { id: 'usa.ohio', name: 'Ohio' },
+  { id: 'usa.oklahoma', name: 'Oklahoma' },
+  { id: 'canada.ontario', name: 'Ontario' },
+  { id: 'usa.oregon', name: 'Oregon' },
+  { id: 'usa.pennsylvania', name: 'Pennsylvania' },
+  { id: 'canada.pei', name: 'Prince Edward Island' },
+  { id: 'usa.puertorico', name: 'Puerto Rico' },
+  { id: 'canada.quebec', name: 'Quebec' },
+  { id: 'usa.rhodeisland', name: 'Rhode Island' },
+  { id: 'canada.saskatchewan', name: 'Saskatchewan' },
+  { id: 'usa.southcarolina', name: 'South Carolina' },
+  { id: 'usa.southdakota', name: 'South Dakota' },
+  { id: 'usa.tennessee', name: 'Tennessee' },
+  { id: 'usa.texas', name: 'Texas' },
+  { id: 'usa.utah', name: 'Utah' },
+  { id: 'usa.vermont', name: 'Vermont' },
+  { id: 'usa.virginislands', name: 'Virgin Islands' },
+  { id: 'usa.virginia', name: 'Virginia' },
+  { id: 'usa.washington', name: 'Washington' },
+  { id: 'usa.westvirginia', name: 'West Virginia' },
+  { id: 'usa.wisconsin', name: 'Wisconsin' },
+  { id: 'usa.wyoming', name: 'Wyoming' },
+  { id: 'canada.yukon', name: 'Yukon' },
+  { id: 'australia.act', name: 'Australian Capital Territory' },
+  { id: 'australia.newsouthwales', name: 'New South Wales' },
+  { id: 'australia.northernterritory', name: 'Northern Territory' },
+  { id: 'australia.queensland', name: 'Queensland' },
+  { id: 'australia.southaustralia', name: 'South Australia' },
+  { id: 'australia.tasmania', name: 'Tasmania' },
+  { id: 'australia.victoria', name: 'Victoria' },
+  { id: 'australia.westernaustralia', name: 'Western Australia' }
+];
+
+// Postal abbreviations -> state/province names, used for TARGET_STATES and "ST - Metro" regions
+const STATE_ABBREVIATIONS = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  AS: 'American Samoa', GU: 'Guam', PR: 'Puerto Rico', VI: 'Virgin Islands',
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland',
+  NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+  QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+module.exports = {
+  ZOOMINFO_COUNTRIES,
+  ZOOMINFO_STATES,
+  STATE_ABBREVIATIONS
+};
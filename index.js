@@ -1,98 +1,145 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const winston = require('winston');
-const ZoomInfoService = require('./services/zoomInfoService');
-const BucketService = require('./services/bucketService');
-const StateManager = require('./services/stateManager');
-const LeadProcessor = require('./services/leadProcessor');
+const { parseArgs } = require('util');
+const createLogger = require('./utils/logger');
+const { listSearchStrategies } = require('./config/searchStrategies');
+const { listFormats } = require('./utils/writers');
+const { run, resume } = require('./commands/run');
+const status = require('./commands/status');
+const reset = require('./commands/reset');
+const { validate } = require('./commands/validate');
+const exportResults = require('./commands/export');
+const report = require('./commands/report');
 
-// Configure logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
-});
+const USAGE = `Usage: node index.js [command] [options]
 
-// Global service references for cleanup
-let zoomInfoService = null;
-let stateManager = null;
+Commands:
+  run       Start processing, resuming saved state if present (default)
+  resume    Continue a previous run; fails if there is no saved state
+  status    Show progress, counts and ETA from data/vm-state.json
+  reset     Clear saved state and partial results
+  validate  Check parameter files (NAICS codes, locations, job titles) and count combinations
+  export    Merge all result CSVs into deduplicated master companies/contacts/combined files
+  report    Yield metrics (contacts per 100 companies, API calls) by NAICS code, location, combination or title
 
-async function main() {
-  try {
-    logger.info('Starting ZoomInfo VM Lead Generation System');
-    
-    // Initialize services
-    zoomInfoService = new ZoomInfoService(logger);
-    const bucketService = new BucketService(logger);
-    stateManager = new StateManager(logger);
-    const leadProcessor = new LeadProcessor(zoomInfoService, bucketService, stateManager, logger);
-    
-    // Load or initialize state
-    await stateManager.loadState();
-    
-    // Download company exclusion list from bucket
-    await bucketService.downloadCompanyExclusions();
-    
-    // Start processing
-    await leadProcessor.processAllCombinations();
-    
-    logger.info('All combinations processed successfully');
-    
-    // Clean shutdown
-    await cleanup();
-    
-  } catch (error) {
-    logger.error('Fatal error in main process:', error);
-    await cleanup();
-    process.exit(1);
+Options:
+  --from <n>         First combination index to process (0-based, inclusive)
+  --to <n>           Stop before this combination index (exclusive)
+  --dry-run          List combinations and estimated API calls without calling ZoomInfo
+  --strategy <name>  Search parameter strategy (default: SEARCH_STRATEGY or bulk)
+  --params <file>    Parameter file for the bulk or grouped strategy
+  --skip-validation  Start a run even if the parameters have validation errors
+  --formats <list>   Comma-separated output formats (default: OUTPUT_FORMATS or csv)
+  --yes              Skip the reset confirmation prompt
+  --source <where>   export: read result files from local data/csv (default) or the bucket
+  --output <dir>     export: directory for the master files (default: data/export)
+  --upload           export: also upload the master files to zi-backups/master/
+  --by <grouping>    report: naics (default), location, combination or title
+  --naics <code>     report: only combinations with this NAICS code
+  --limit <n>        report: show the n highest-yield rows
+  -h, --help         Show this help
+
+Strategies:
+${listSearchStrategies().map(({ name, description }) => `  ${name.padEnd(10)}${description}`).join('\n')}
+
+Output formats:
+${listFormats().map(({ name, description }) => `  ${name.padEnd(12)}${description}`).join('\n')}`;
+
+const commands = {
+  run: { handler: run },
+  resume: { handler: resume },
+  status: { handler: status, consoleLevel: 'warn' },
+  reset: { handler: reset, consoleLevel: 'warn' },
+  validate: { handler: validate, consoleLevel: 'warn' },
+  export: { handler: exportResults, consoleLevel: 'warn' },
+  report: { handler: report, consoleLevel: 'warn' }
+};
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      params: { type: 'string' },
+      strategy: { type: 'string' },
+      'skip-validation': { type: 'boolean' },
+      formats: { type: 'string' },
+      yes: { type: 'boolean', short: 'y' },
+      source: { type: 'string' },
+      output: { type: 'string' },
+      upload: { type: 'boolean' },
+      by: { type: 'string' },
+      naics: { type: 'string' },
+      limit: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const parseIndex = (name) => {
+    if (values[name] === undefined) return undefined;
+    const index = Number(values[name]);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+    return index;
+  };
+
+  const from = parseIndex('from');
+  const to = parseIndex('to');
+  if (from !== undefined && to !== undefined && from >= to) {
+    throw new Error(`--from (${from}) must be less than --to (${to})`);
   }
+
+  return {
+    command: positionals[0] || 'run',
+    help: values.help,
+    options: {
+      from,
+      to,
+      dryRun: values['dry-run'] || false,
+      params: values.params,
+      strategy: values.strategy,
+      skipValidation: values['skip-validation'] || false,
+      formats: values.formats,
+      yes: values.yes || false,
+      source: values.source,
+      output: values.output,
+      upload: values.upload || false,
+      by: values.by,
+      naics: values.naics,
+      limit: parseIndex('limit')
+    }
+  };
 }
 
-async function cleanup() {
-  logger.info('Cleaning up services...');
-  
+async function main() {
+  let cli;
   try {
-    if (zoomInfoService) {
-      await zoomInfoService.cleanup();
-    }
-    if (stateManager) {
-      await stateManager.cleanup();
-    }
-    logger.info('Cleanup completed');
+    cli = parseCli(process.argv.slice(2));
   } catch (error) {
-    logger.error('Error during cleanup:', error);
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
   }
-}
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  await cleanup();
-  process.exit(0);
-});
+  const command = commands[cli.command];
+  if (cli.help || !command) {
+    if (!cli.help) console.error(`Unknown command: ${cli.command}\n`);
+    console.log(USAGE);
+    process.exit(cli.help ? 0 : 2);
+  }
 
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  await cleanup();
-  process.exit(0);
-});
+  // Dry runs only print to the console, so keep log noise down like the read-only commands
+  const logger = createLogger({ consoleLevel: cli.options.dryRun ? 'warn' : command.consoleLevel });
+  await command.handler(cli.options, logger);
+}
 
 // Start the application
 main().catch(error => {
-  logger.error('Unhandled error:', error);
+  console.error('Unhandled error:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
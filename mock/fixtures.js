@@ -0,0 +1,158 @@
+// Seeded fixture data for the mock ZoomInfo server. The same seed always
+// produces the same companies and contacts, so runs against the mock are repeatable.
+const { resolveLocation } = require('../config/locations');
+
+// Location + NAICS segments the fixtures cover, and how many companies each holds
+const DEFAULT_SEGMENTS = [
+  { location: 'Alabama', naicsCode: '236118', companies: 120 },
+  { location: 'California', naicsCode: '484121', companies: 35 },
+  { location: 'CO - Denver', naicsCode: '23622', companies: 12 },
+  { location: 'Texas', naicsCode: '23891', companies: 0 }
+];
+
+const JOB_TITLES = [
+  'Project Manager', 'Operations Manager', 'Procurement Director', 'Site Superintendent',
+  'Facilities Manager', 'CEO', 'President', 'VP of Operations', 'Logistics Coordinator',
+  'Office Administrator', 'Receptionist', 'Software Engineer'
+];
+
+// Department and seniority follow from the title, so they draw nothing from the seeded generator
+const TITLE_PROFILES = {
+  'Project Manager': { department: 'Operations', seniority: 'Manager' },
+  'Operations Manager': { department: 'Operations', seniority: 'Manager' },
+  'Procurement Director': { department: 'Procurement', seniority: 'Director' },
+  'Site Superintendent': { department: 'Operations', seniority: 'Manager' },
+  'Facilities Manager': { department: 'Facilities', seniority: 'Manager' },
+  'CEO': { department: 'C-Suite', seniority: 'Executive' },
+  'President': { department: 'C-Suite', seniority: 'Executive' },
+  'VP of Operations': { department: 'Operations', seniority: 'Vice President' },
+  'Logistics Coordinator': { department: 'Operations', seniority: 'Staff' },
+  'Office Administrator': { department: 'Administration', seniority: 'Staff' },
+  'Receptionist': { department: 'Administration', seniority: 'Entry' },
+  'Software Engineer': { department: 'Engineering', seniority: 'Staff' }
+};
+
+const CITIES = ['Springfield', 'Riverside', 'Franklin', 'Greenville', 'Fairview', 'Madison', 'Clinton', 'Salem'];
+const STREETS = ['Main St', 'Oak Ave', 'Industrial Pkwy', 'Commerce Dr', 'Market St', 'Park Blvd'];
+const COUNTIES = ['Jefferson', 'Washington', 'Franklin', 'Madison'];
+const SIC_CODES = [
+  { id: '1542', name: 'General Contractors-Nonresidential Buildings' },
+  { id: '1731', name: 'Electrical Work' },
+  { id: '4213', name: 'Trucking, Except Local' },
+  { id: '4225', name: 'General Warehousing and Storage' },
+  { id: '7389', name: 'Business Services, Not Elsewhere Classified' }
+];
+
+const FIRST_NAMES = ['Alex', 'Jordan', 'Sam', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Drew', 'Avery'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Patel', 'Johnson', 'Nguyen', 'Brown', 'Lopez', 'Kim', 'Davis'];
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6D2B79F5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function digits(random, count) {
+  return Array.from({ length: count }, () => Math.floor(random() * 10)).join('');
+}
+
+// Firmographics returned by enrich/company. They come from their own generator per company,
+// so adding them leaves the rest of the fixtures unchanged for a given seed.
+function buildFirmographics(seed, id, segment) {
+  const random = createRandom(seed * 100003 + id);
+  const employeeCount = Math.floor(Math.exp(random() * Math.log(5000))) + 1;
+  const metroState = (segment.location.match(/^([A-Z]{2}) - /) || [])[1];
+  const hasParent = random() < 0.25;
+  return {
+    revenue: employeeCount * (80 + Math.floor(random() * 220)),
+    employeeCount,
+    naicsCodes: [{ id: segment.naicsCode, name: `NAICS ${segment.naicsCode}` }],
+    sicCodes: [pick(random, SIC_CODES)],
+    street: `${1 + Math.floor(random() * 9000)} ${pick(random, STREETS)}`,
+    city: pick(random, CITIES),
+    addressState: metroState || segment.location,
+    zipCode: digits(random, 5),
+    country: 'United States',
+    parentId: hasParent ? 500000 + Math.floor(random() * 1000) : null,
+    parentName: hasParent ? `${pick(random, LAST_NAMES)} Holdings` : null,
+    companyType: pick(random, ['private', 'private', 'private', 'public', 'nonprofit']),
+    county: pick(random, COUNTIES)
+  };
+}
+
+// Build { companies, contacts } for the given segments
+function buildFixtures(options = {}) {
+  const random = createRandom(options.seed ?? 42);
+  const segments = options.segments || DEFAULT_SEGMENTS;
+  const companies = [];
+  const contacts = [];
+  let nextCompanyId = 100000;
+  let nextContactId = 900000;
+
+  for (const segment of segments) {
+    const isMetroRegion = segment.location.includes(' - ');
+    // ZoomInfo ids the mock's location search matches on; metro companies are also in their state
+    const location = resolveLocation(segment.location);
+
+    for (let i = 0; i < segment.companies; i++) {
+      const id = nextCompanyId++;
+      const name = `${pick(random, LAST_NAMES)} ${pick(random, ['Builders', 'Logistics', 'Group', 'Industries', 'Partners'])} ${id}`;
+      companies.push({
+        id,
+        name,
+        website: `www.company${id}.example.com`,
+        phone: `(555) ${digits(random, 3)}-${digits(random, 4)}`,
+        state: isMetroRegion ? '' : segment.location,
+        metroRegion: isMetroRegion ? segment.location : '',
+        countryId: location.id ? location.id.split('.')[0] : '',
+        stateId: location.id ? location.id.split('.').slice(0, 2).join('.') : '',
+        metroRegionId: isMetroRegion ? location.id : '',
+        naicsCode: segment.naicsCode,
+        ...buildFirmographics(options.seed ?? 42, id, segment)
+      });
+
+      // 0-6 contacts per company; some without any contact channel
+      const contactCount = Math.floor(random() * 7);
+      for (let c = 0; c < contactCount; c++) {
+        const firstName = pick(random, FIRST_NAMES);
+        const lastName = pick(random, LAST_NAMES);
+        const hasEmail = random() < 0.8;
+        const hasPhone = random() < 0.5;
+        const hasMobile = random() < 0.3;
+        const jobTitle = pick(random, JOB_TITLES);
+        contacts.push({
+          id: nextContactId++,
+          firstName,
+          lastName,
+          jobTitle,
+          companyId: id,
+          companyName: name,
+          email: hasEmail ? `${firstName}.${lastName}@company${id}.example.com`.toLowerCase() : '',
+          phone: hasPhone ? `(555) ${digits(random, 3)}-${digits(random, 4)}` : '',
+          mobilePhone: hasMobile ? `(555) ${digits(random, 3)}-${digits(random, 4)}` : '',
+          contactAccuracyScore: 60 + Math.floor(random() * 40),
+          managementLevel: pick(random, ['C-Level', 'VP-Level', 'Director', 'Manager', 'Non-Manager']),
+          ...TITLE_PROFILES[jobTitle]
+        });
+      }
+    }
+  }
+
+  return { companies, contacts };
+}
+
+module.exports = {
+  DEFAULT_SEGMENTS,
+  JOB_TITLES,
+  buildFixtures
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Local stand-in for a Slack incoming webhook, to try SUMMARY_WEBHOOK_URL without posting anywhere.
+// Prints every message it receives; `status` can be set to make it answer with an error instead.
+//
+// Standalone:  MOCK_WEBHOOK_PORT=8090 node mock/webhookReceiver.js
+//              SUMMARY_WEBHOOK_URL=http://localhost:8090/ node index.js run
+// In code:     const receiver = new MockWebhookReceiver();
+//              const url = await receiver.start();   // receiver.messages holds the posted bodies
+const http = require('http');
+
+class MockWebhookReceiver {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    // Status to answer with; Slack answers 200 "ok"
+    this.status = options.status || 200;
+    this.onMessage = options.onMessage || null;
+    this.messages = [];
+    this.server = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(`http://127.0.0.1:${this.port}/`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // Slack's answer to a body that is not JSON
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('invalid_payload');
+      }
+      if (req.method !== 'POST' || typeof body.text !== 'string') {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('no_text');
+      }
+
+      this.messages.push(body);
+      if (this.onMessage) this.onMessage(body);
+      res.writeHead(this.status, { 'Content-Type': 'text/plain' });
+      res.end(this.status === 200 ? 'ok' : 'error');
+    });
+  }
+}
+
+module.exports = MockWebhookReceiver;
+
+if (require.main === module) {
+  const receiver = new MockWebhookReceiver({
+    port: parseInt(process.env.MOCK_WEBHOOK_PORT) || 8090,
+    onMessage: body => console.log(`--- ${new Date().toISOString()}\n${body.text}\n`)
+  });
+
+  receiver.start().then(url => {
+    console.log(`Mock webhook receiver listening on ${url}`);
+    console.log(`Point the app at it with SUMMARY_WEBHOOK_URL=${url}`);
+  });
+
+  const shutdown = () => receiver.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+
+// Local fake of the ZoomInfo API endpoints this project uses (authenticate,
+// search/company, search/contact, enrich/contact, enrich/company, lookup/usage), serving seeded fixture data.
+// Faults (401, 403 quota exhausted, 429 with retry-after, 400 page-out-of-range, 5xx, dropped
+// connections) can be injected per endpoint to exercise the retry, circuit breaker and pagination
+// paths without live credentials.
+//
+// Standalone:  MOCK_ZOOMINFO_PORT=8089 node mock/zoomInfoServer.js
+//              ZOOMINFO_BASE_URL=http://localhost:8089/ node index.js run
+// In code:     const server = new MockZoomInfoServer({ faults: [...] });
+//              const baseURL = await server.start();
+const http = require('http');
+const crypto = require('crypto');
+const { buildFixtures } = require('./fixtures');
+const { resolveLocation } = require('../config/locations');
+
+const PAGE_OUT_OF_RANGE_MESSAGE = 'Page number (page) requested is greater than the available results';
+const MAX_ENRICH_INPUTS = 25;
+
+class MockZoomInfoServer {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.seed = options.seed ?? 42;
+    this.fixtures = options.fixtures || buildFixtures({ seed: this.seed });
+    // { username, password } to require specific credentials; null accepts any
+    this.credentials = options.credentials || null;
+    // { clientId, publicKey } to require a PKI client assertion from that client, signed with its key
+    this.pki = options.pki || null;
+    // Lifetime of issued access tokens, carried in their JWT `exp` claim
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+    this.rateLimit = { limit: 1500, windowSeconds: 60, ...options.rateLimit };
+    // Account limits reported by lookup/usage; enrich calls get a 403 once the record credits are used
+    this.usageLimits = { requestLimit: 25000, recordLimit: 10000, ...options.usageLimits };
+    this.server = null;
+    this.reset();
+    (options.faults || []).forEach(fault => this.addFault(fault));
+  }
+
+  // Clear faults, issued tokens, the request log and rate-limit counters
+  reset() {
+    this.faults = [];
+    this.requests = [];
+    // Issued access token -> expiry (ms since epoch)
+    this.tokens = new Map();
+    this.tokenCounter = 0;
+    this.windowStart = Date.now();
+    this.windowCount = 0;
+    this.requestCount = 0;
+    // Like the real API, a record costs a credit the first time it is enriched only
+    this.creditedRecords = new Set();
+  }
+
+  // Queue a fault: { endpoint: 'search/contact' | '*', status, times = 1, after = 0, retryAfter, message }.
+  // The fault answers `times` requests once `after` matching requests have been served normally.
+  // Status 0 drops the connection without a response.
+  addFault(fault) {
+    this.faults.push({ endpoint: '*', times: 1, after: 0, ...fault });
+  }
+
+  // Invalidate every issued JWT so the next call gets a 401
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.getBaseURL());
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  getBaseURL() {
+    return `http://127.0.0.1:${this.port}/`;
+  }
+
+  async handle(req, res) {
+    let body = {};
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      return send(res, 400, { error: 'Invalid JSON body' });
+    }
+
+    const endpoint = req.url.replace(/^\/+/, '').split('?')[0];
+    this.requests.push({ method: req.method, endpoint, body, time: new Date().toISOString() });
+
+    if (endpoint.startsWith('__mock/')) {
+      return this.handleControl(req.method, endpoint, body, res);
+    }
+
+    if (req.method !== (endpoint === 'lookup/usage' ? 'GET' : 'POST')) {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const fault = this.takeFault(endpoint);
+    if (fault) {
+      if (fault.status === 0) {
+        return req.socket.destroy();
+      }
+      return this.sendFault(res, fault);
+    }
+
+    if (endpoint === 'authenticate') {
+      return this.authenticate(body, res, req.headers);
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!(this.tokens.get(token) > Date.now())) {
+      return send(res, 401, { error: 'Invalid or expired token' });
+    }
+
+    const headers = this.countRequest();
+    switch (endpoint) {
+      case 'search/company':
+        return this.searchCompanies(body, res, headers);
+      case 'search/contact':
+        return this.searchContacts(body, res, headers);
+      case 'enrich/contact':
+        return this.enrichContacts(body, res, headers);
+      case 'enrich/company':
+        return this.enrichCompanies(body, res, headers);
+      case 'lookup/usage':
+        return this.usage(res, headers);
+      default:
+        return send(res, 404, { error: `Unknown endpoint ${endpoint}` });
+    }
+  }
+
+  handleControl(method, endpoint, body, res) {
+    if (method === 'GET' && endpoint === '__mock/requests') {
+      return send(res, 200, this.requests);
+    }
+    if (method === 'POST' && endpoint === '__mock/faults') {
+      (Array.isArray(body) ? body : [body]).forEach(fault => this.addFault(fault));
+      return send(res, 200, { faults: this.faults });
+    }
+    if (method === 'POST' && endpoint === '__mock/expire-tokens') {
+      this.expireTokens();
+      return send(res, 200, { expired: true });
+    }
+    if (method === 'POST' && endpoint === '__mock/reset') {
+      this.reset();
+      return send(res, 200, { reset: true });
+    }
+    return send(res, 404, { error: `Unknown control endpoint ${endpoint}` });
+  }
+
+  takeFault(endpoint) {
+    let fault = null;
+    for (const candidate of this.faults) {
+      if (candidate.endpoint !== endpoint && (candidate.endpoint !== '*' || endpoint === 'authenticate')) continue;
+      // Every delayed fault counts the request; the first one that is due answers it
+      if (candidate.after > 0) {
+        candidate.after -= 1;
+      } else if (!fault) {
+        fault = candidate;
+      }
+    }
+    if (!fault) return null;
+
+    fault.times -= 1;
+    if (fault.times <= 0) {
+      this.faults.splice(this.faults.indexOf(fault), 1);
+    }
+    return fault;
+  }
+
+  sendFault(res, fault) {
+    const headers = {};
+    if (fault.status === 429) {
+      headers['retry-after'] = String(fault.retryAfter ?? 1);
+    }
+
+    const defaultMessages = {
+      400: PAGE_OUT_OF_RANGE_MESSAGE,
+      401: 'Invalid or expired token',
+      403: 'Request quota exhausted for this account',
+      429: 'Rate limit exceeded',
+      500: 'Internal server error',
+      503: 'Service unavailable'
+    };
+    return send(res, fault.status, { error: fault.message || defaultMessages[fault.status] || 'Injected fault' }, headers);
+  }
+
+  // Username/password in the body, or a PKI client assertion as the bearer token
+  authenticate(body, res, headers = {}) {
+    const assertion = (headers.authorization || '').replace(/^Bearer /, '');
+    if (assertion) {
+      if (!this.verifyClientAssertion(assertion)) {
+        return send(res, 401, { error: 'Invalid client assertion' });
+      }
+    } else if (this.pki) {
+      return send(res, 401, { error: 'PKI authentication required' });
+    } else if (this.credentials && (body.username !== this.credentials.username || body.password !== this.credentials.password)) {
+      return send(res, 401, { error: 'Invalid username or password' });
+    }
+
+    const expiresAt = Date.now() + this.tokenTtlSeconds * 1000;
+    const jwt = [
+      base64url({ alg: 'HS256', typ: 'JWT' }),
+      base64url({ sub: 'mock', jti: ++this.tokenCounter, exp: Math.floor(expiresAt / 1000) }),
+      'mock-signature'
+    ].join('.');
+    this.tokens.set(jwt, expiresAt);
+    return send(res, 200, { jwt });
+  }
+
+  // Claims (and, with pki.publicKey, the RS256 signature) of a client assertion
+  verifyClientAssertion(assertion) {
+    const [header, payload, signature] = assertion.split('.');
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return false;
+    }
+    if (claims.aud !== 'enterprise_api' || !claims.username || !claims.client_id || !(claims.exp * 1000 > Date.now())) {
+      return false;
+    }
+    if (this.pki?.clientId && claims.client_id !== this.pki.clientId) {
+      return false;
+    }
+    if (this.pki?.publicKey) {
+      return crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), this.pki.publicKey, Buffer.from(signature || '', 'base64url'));
+    }
+    return true;
+  }
+
+  // x-ratelimit-* headers for a fixed window
+  countRequest() {
+    const windowMs = this.rateLimit.windowSeconds * 1000;
+    if (Date.now() - this.windowStart >= windowMs) {
+      this.windowStart = Date.now();
+      this.windowCount = 0;
+    }
+    this.windowCount += 1;
+    this.requestCount += 1;
+    return {
+      'x-ratelimit-remaining-requests': String(Math.max(0, this.rateLimit.limit - this.windowCount)),
+      'x-ratelimit-reset-requests': String(Math.ceil((this.windowStart + windowMs - Date.now()) / 1000))
+    };
+  }
+
+  // Slice results into a page, or 400 like the real API when the page is past the end
+  paginate(items, body, res, headers, mapItem) {
+    const rpp = Math.min(parseInt(body.rpp) || 25, 100);
+    const page = parseInt(body.page) || 1;
+    const maxPage = Math.max(1, Math.ceil(items.length / rpp));
+
+    if (page > maxPage) {
+      return send(res, 400, { error: PAGE_OUT_OF_RANGE_MESSAGE }, headers);
+    }
+
+    return send(res, 200, {
+      maxResults: rpp,
+      totalResults: items.length,
+      currentPage: page,
+      data: items.slice((page - 1) * rpp, page * rpp).map(mapItem)
+    }, headers);
+  }
+
+  searchCompanies(body, res, headers) {
+    const naicsCodes = splitList(body.naicsCodes);
+    const companyTypes = splitList(body.companyType);
+    const inRange = (value, min, max) =>
+      (min === undefined || value >= Number(min)) && (max === undefined || value <= Number(max));
+    // A radius is approximated as the same 3-digit ZIP prefix
+    const zipMatches = (zipCode) => !body.zipCode ||
+      (body.zipCodeRadiusMiles ? zipCode.slice(0, 3) === String(body.zipCode).slice(0, 3) : zipCode === String(body.zipCode));
+    // Locations may be sent as ZoomInfo ids or as names
+    const locationId = (value) => resolveLocation(value).id || String(value).toLowerCase();
+    const stateId = body.state && locationId(body.state);
+    const countryId = body.country && locationId(body.country);
+    const matches = this.fixtures.companies.filter(company =>
+      (!body.country || company.countryId === countryId) &&
+      (!body.state || company.stateId === stateId) &&
+      (!body.metroRegion || company.metroRegionId === String(body.metroRegion).toLowerCase() ||
+        company.metroRegionId === locationId(body.metroRegion)) &&
+      (!body.county || company.county.toLowerCase() === String(body.county).toLowerCase()) &&
+      (!naicsCodes.length || naicsCodes.some(code => company.naicsCode.startsWith(code))) &&
+      inRange(company.employeeCount, body.employeeRangeMin, body.employeeRangeMax) &&
+      inRange(company.revenue, body.revenueMin, body.revenueMax) &&
+      zipMatches(company.zipCode) &&
+      (!companyTypes.length || companyTypes.includes(company.companyType))
+    );
+
+    return this.paginate(matches, body, res, headers, company => ({
+      id: company.id,
+      name: company.name,
+      website: company.website,
+      phone: company.phone
+    }));
+  }
+
+  searchContacts(body, res, headers) {
+    const titleTerms = (body.jobTitle || '').split(/\s+OR\s+/i).map(term => term.trim().toLowerCase()).filter(Boolean);
+    const minScore = parseInt(body.contactAccuracyScoreMin) || 0;
+    const matches = this.fixtures.contacts.filter(contact =>
+      (!body.companyId || String(contact.companyId) === String(body.companyId)) &&
+      (!titleTerms.length || titleTerms.some(term => contact.jobTitle.toLowerCase().includes(term))) &&
+      contact.contactAccuracyScore >= minScore
+    );
+
+    return this.paginate(matches, body, res, headers, contact => ({
+      id: contact.id,
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      jobTitle: contact.jobTitle,
+      contactAccuracyScore: contact.contactAccuracyScore,
+      hasEmail: Boolean(contact.email),
+      hasDirectPhone: Boolean(contact.phone),
+      hasMobilePhone: Boolean(contact.mobilePhone),
+      company: { id: contact.companyId, name: contact.companyName }
+    }));
+  }
+
+  enrichContacts(body, res, headers) {
+    const inputs = body.matchPersonInput || [];
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return send(res, 400, { error: 'matchPersonInput is required' }, headers);
+    }
+    if (inputs.length > MAX_ENRICH_INPUTS) {
+      return send(res, 400, { error: `matchPersonInput accepts at most ${MAX_ENRICH_INPUTS} entries` }, headers);
+    }
+    if (this.creditedRecords.size >= this.usageLimits.recordLimit) {
+      return send(res, 403, { error: 'Record credit quota exhausted for this account' }, headers);
+    }
+
+    const outputFields = body.outputFields || ['id', 'firstName', 'lastName', 'email', 'phone'];
+    const result = inputs.map(input => {
+      const contact = this.fixtures.contacts.find(candidate => String(candidate.id) === String(input.personId));
+      if (!contact) {
+        return { input: { personid: input.personId }, matchStatus: 'NO_MATCH', data: [] };
+      }
+      const data = {};
+      outputFields.forEach(field => {
+        if (contact[field] !== undefined) data[field] = contact[field];
+      });
+      this.creditedRecords.add(`person:${contact.id}`);
+      return { input: { personid: input.personId }, matchStatus: 'FULL_MATCH', data: [data] };
+    });
+
+    return send(res, 200, { success: true, data: { outputFields: [outputFields], result } }, headers);
+  }
+
+  enrichCompanies(body, res, headers) {
+    const inputs = body.matchCompanyInput || [];
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return send(res, 400, { error: 'matchCompanyInput is required' }, headers);
+    }
+    if (inputs.length > MAX_ENRICH_INPUTS) {
+      return send(res, 400, { error: `matchCompanyInput accepts at most ${MAX_ENRICH_INPUTS} entries` }, headers);
+    }
+    if (this.creditedRecords.size >= this.usageLimits.recordLimit) {
+      return send(res, 403, { error: 'Record credit quota exhausted for this account' }, headers);
+    }
+
+    const outputFields = body.outputFields || ['id', 'name', 'website'];
+    const result = inputs.map(input => {
+      const company = this.fixtures.companies.find(candidate => String(candidate.id) === String(input.companyId));
+      if (!company) {
+        return { input: { companyid: input.companyId }, matchStatus: 'NO_MATCH', data: [] };
+      }
+      // The address state is the company's own, unlike the search segment's state
+      const view = { ...company, state: company.addressState };
+      const data = {};
+      outputFields.forEach(field => {
+        if (view[field] !== undefined && view[field] !== null) data[field] = view[field];
+      });
+      this.creditedRecords.add(`company:${company.id}`);
+      return { input: { companyid: input.companyId }, matchStatus: 'FULL_MATCH', data: [data] };
+    });
+
+    return send(res, 200, { success: true, data: { outputFields: [outputFields], result } }, headers);
+  }
+
+  // Account usage in the lookup/usage format
+  usage(res, headers) {
+    const limit = (limitType, description, limitValue, currentUsage) => ({
+      limitType,
+      description,
+      limit: limitValue,
+      currentUsage,
+      usageRemaining: Math.max(0, limitValue - currentUsage)
+    });
+    return send(res, 200, {
+      usage: [
+        limit('requestLimit', 'API requests', this.usageLimits.requestLimit, this.requestCount),
+        limit('recordLimit', 'Record credits', this.usageLimits.recordLimit, this.creditedRecords.size)
+      ]
+    }, headers);
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function splitList(value) {
+  return (value || '').toString().split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+module.exports = MockZoomInfoServer;
+
+if (require.main === module) {
+  const server = new MockZoomInfoServer({
+    port: parseInt(process.env.MOCK_ZOOMINFO_PORT) || 8089,
+    seed: parseInt(process.env.MOCK_ZOOMINFO_SEED) || 42,
+    tokenTtlSeconds: parseInt(process.env.MOCK_ZOOMINFO_TOKEN_TTL_SECONDS) || undefined,
+    faults: process.env.MOCK_ZOOMINFO_FAULTS ? JSON.parse(process.env.MOCK_ZOOMINFO_FAULTS) : []
+  });
+
+  server.start().then(baseURL => {
+    console.log(`Mock ZoomInfo API listening on ${baseURL}`);
+    console.log(`Serving ${server.fixtures.companies.length} companies and ${server.fixtures.contacts.length} contacts`);
+    console.log(`Point the app at it with ZOOMINFO_BASE_URL=${baseURL}`);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,36 @@
+// Auth providers share one interface used by TokenManager:
+//   describe()               -> human-readable method and credential source
+//   authenticate(baseURL)    -> a new ZoomInfo access token (JWT)
+//
+// Providers read their credentials through a secret source (see secretSources.js), so the same
+// provider works with env variables, a secrets file or a secrets manager.
+const PasswordAuth = require('./passwordAuth');
+const PkiAuth = require('./pkiAuth');
+const TokenManager = require('./tokenManager');
+const { createSecretSource } = require('./secretSources');
+
+const providers = {
+  password: PasswordAuth,
+  pki: PkiAuth
+};
+
+// Create the provider named by `name` or ZOOMINFO_AUTH_METHOD (default: password), reading
+// credentials from `options.secretSource` or the ZOOMINFO_SECRET_SOURCE source
+function createAuthProvider(logger, name, options = {}) {
+  const methodName = name || process.env.ZOOMINFO_AUTH_METHOD || 'password';
+  const Provider = providers[methodName];
+
+  if (!Provider) {
+    throw new Error(`Unknown ZoomInfo auth method "${methodName}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(logger, options.secretSource || createSecretSource());
+}
+
+module.exports = {
+  createAuthProvider,
+  createSecretSource,
+  TokenManager,
+  PasswordAuth,
+  PkiAuth
+};
@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// Username/password authentication: POST authenticate { username, password } -> { jwt }
+class PasswordAuth {
+  constructor(logger, secretSource) {
+    this.logger = logger;
+    this.secretSource = secretSource;
+  }
+
+  describe() {
+    return `username/password from ${this.secretSource.describe()}`;
+  }
+
+  async authenticate(baseURL) {
+    const username = await this.secretSource.get('ZOOMINFO_USERNAME');
+    const password = await this.secretSource.get('ZOOMINFO_PASSWORD');
+    if (!username || !password) {
+      throw new Error(`ZOOMINFO_USERNAME and ZOOMINFO_PASSWORD must be set (${this.secretSource.describe()})`);
+    }
+
+    const response = await axios.post(`${baseURL}authenticate`, { username, password });
+    return response.data.jwt;
+  }
+}
+
+module.exports = PasswordAuth;
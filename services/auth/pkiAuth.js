@@ -0,0 +1,56 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Claims ZoomInfo expects in the client assertion
+const AUDIENCE = 'enterprise_api';
+const ISSUER = 'api-client@zoominfo.com';
+// Lifetime of the signed client assertion, not of the access token it is exchanged for
+const ASSERTION_TTL_SECONDS = 300;
+
+// PKI (client credentials) authentication: a short-lived JWT signed with the client's RSA private key
+// is sent as the bearer token of POST authenticate, which answers with the access token { jwt }.
+class PkiAuth {
+  constructor(logger, secretSource) {
+    this.logger = logger;
+    this.secretSource = secretSource;
+  }
+
+  describe() {
+    return `PKI client credentials from ${this.secretSource.describe()}`;
+  }
+
+  async authenticate(baseURL) {
+    const username = await this.secretSource.get('ZOOMINFO_USERNAME');
+    const clientId = await this.secretSource.get('ZOOMINFO_CLIENT_ID');
+    const privateKey = await this.secretSource.get('ZOOMINFO_PRIVATE_KEY');
+    if (!username || !clientId || !privateKey) {
+      throw new Error(`ZOOMINFO_USERNAME, ZOOMINFO_CLIENT_ID and ZOOMINFO_PRIVATE_KEY must be set for PKI authentication (${this.secretSource.describe()})`);
+    }
+
+    const response = await axios.post(`${baseURL}authenticate`, {}, {
+      headers: { Authorization: `Bearer ${createClientAssertion(username, clientId, privateKey)}` }
+    });
+    return response.data.jwt;
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// RS256-signed client assertion. Keys kept in env variables often have their newlines escaped.
+function createClientAssertion(username, clientId, privateKey) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const unsigned = `${base64url({ alg: 'RS256', typ: 'JWT' })}.${base64url({
+    aud: AUDIENCE,
+    iss: ISSUER,
+    username,
+    client_id: clientId,
+    iat: issuedAt,
+    exp: issuedAt + ASSERTION_TTL_SECONDS
+  })}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey.replace(/\\n/g, '\n'));
+  return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+module.exports = PkiAuth;
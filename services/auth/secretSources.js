@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const axios = require('axios');
+
+// Secret sources share one interface used by the auth providers:
+//   describe()   -> human-readable origin for logs and errors
+//   get(name)    -> the secret's value, or undefined when it is not set
+//
+// Names are the env variable names (ZOOMINFO_USERNAME, ZOOMINFO_PRIVATE_KEY, ...); each source maps
+// them onto its own storage.
+
+// Environment variables. NAME_FILE may point at a file holding the value instead (handy for PEM keys).
+class EnvSecretSource {
+  describe() {
+    return 'environment';
+  }
+
+  async get(name) {
+    if (process.env[name]) return process.env[name];
+    const file = process.env[`${name}_FILE`];
+    return file ? (await fs.readFile(file, 'utf8')).trim() : undefined;
+  }
+}
+
+// A JSON file of { NAME: value } (ZOOMINFO_SECRETS_FILE), read once
+class FileSecretSource {
+  constructor(options = {}) {
+    this.file = options.file || process.env.ZOOMINFO_SECRETS_FILE;
+    if (!this.file) {
+      throw new Error('ZOOMINFO_SECRETS_FILE must be set for the file secret source');
+    }
+    this.secrets = null;
+  }
+
+  describe() {
+    return `file ${this.file}`;
+  }
+
+  async get(name) {
+    if (!this.secrets) {
+      this.secrets = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    }
+    return this.secrets[name] ?? undefined;
+  }
+}
+
+// Google Cloud Secret Manager, authenticated as the VM's service account through the metadata server.
+// ZOOMINFO_PRIVATE_KEY is read from the secret "zoominfo-private-key" (GCP_SECRET_PREFIX is put in
+// front), latest version, in GCP_SECRETS_PROJECT or the VM's own project.
+class GcpSecretSource {
+  constructor(options = {}) {
+    this.project = options.project || process.env.GCP_SECRETS_PROJECT || null;
+    this.prefix = options.prefix ?? process.env.GCP_SECRET_PREFIX ?? '';
+    this.metadataURL = options.metadataURL || 'http://metadata.google.internal/computeMetadata/v1/';
+    this.apiURL = options.apiURL || 'https://secretmanager.googleapis.com/v1/';
+  }
+
+  describe() {
+    return `GCP Secret Manager${this.project ? ` (${this.project})` : ''}`;
+  }
+
+  secretId(name) {
+    return `${this.prefix}${name.toLowerCase().replace(/_/g, '-')}`;
+  }
+
+  async metadata(pathName) {
+    const response = await axios.get(`${this.metadataURL}${pathName}`, { headers: { 'Metadata-Flavor': 'Google' } });
+    return response.data;
+  }
+
+  async get(name) {
+    const project = this.project || (this.project = await this.metadata('project/project-id'));
+    const { access_token: accessToken } = await this.metadata('instance/service-accounts/default/token');
+    try {
+      const response = await axios.get(`${this.apiURL}projects/${project}/secrets/${this.secretId(name)}/versions/latest:access`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      return Buffer.from(response.data.payload.data, 'base64').toString('utf8');
+    } catch (error) {
+      if (error.response?.status === 404) return undefined;
+      throw new Error(`Could not read secret ${this.secretId(name)} from GCP Secret Manager: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+}
+
+const sources = {
+  env: EnvSecretSource,
+  file: FileSecretSource,
+  gcp: GcpSecretSource
+};
+
+// Create the source named by `name` or ZOOMINFO_SECRET_SOURCE (default: env)
+function createSecretSource(name, options = {}) {
+  const sourceName = name || process.env.ZOOMINFO_SECRET_SOURCE || 'env';
+  const Source = sources[sourceName];
+
+  if (!Source) {
+    throw new Error(`Unknown secret source "${sourceName}". Available: ${Object.keys(sources).join(', ')}`);
+  }
+  return new Source(options);
+}
+
+module.exports = {
+  createSecretSource,
+  EnvSecretSource,
+  FileSecretSource,
+  GcpSecretSource
+};
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AuthError, TransientError, classifyError } = require('../zoomInfoErrors');
+
+// Assumed lifetime of a token whose JWT carries no readable `exp`
+const DEFAULT_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Hands out the ZoomInfo access token. Tokens are fetched lazily through the auth provider and refreshed
+// `refreshMarginMs` before the expiry in their JWT `exp` claim, with at most one authenticate call in
+// flight however many workers need a token. The token is kept in memory only, unless ZOOMINFO_TOKEN_CACHE
+// is "file" (data/zi-token.json, readable by its owner only) so short consecutive runs can share it.
+class TokenManager {
+  constructor(logger, provider, options = {}) {
+    this.logger = logger;
+    this.provider = provider;
+    this.baseURL = options.baseURL;
+    this.cache = options.cache || process.env.ZOOMINFO_TOKEN_CACHE || 'memory';
+    this.tokenFile = options.tokenFile || path.join(__dirname, '../../data/zi-token.json');
+    this.refreshMarginMs = options.refreshMarginMs ?? ((parseInt(process.env.ZOOMINFO_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000);
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshAt = null;
+    this.refreshing = null;
+    this.cacheChecked = false;
+  }
+
+  isFresh() {
+    return Boolean(this.token) && Date.now() < this.refreshAt;
+  }
+
+  setToken(token, expiresAt) {
+    this.token = token;
+    this.expiresAt = expiresAt;
+    // Short-lived tokens are refreshed halfway through their life rather than never counting as fresh
+    this.refreshAt = expiresAt - Math.min(this.refreshMarginMs, (expiresAt - Date.now()) / 2);
+  }
+
+  async getToken() {
+    if (this.isFresh()) return this.token;
+
+    // Single flight: every caller waiting for a new token shares one cache read and authenticate request
+    if (!this.refreshing) {
+      this.refreshing = this.loadToken().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  // The cached token if it is still fresh (the cache is read once per process), otherwise a new one
+  async loadToken() {
+    if (!this.cacheChecked) {
+      this.cacheChecked = true;
+      await this.readCache();
+      if (this.isFresh()) return this.token;
+    }
+    return this.refresh();
+  }
+
+  // Drop `token` after the API rejected it. A token that was already replaced is left alone, so a burst
+  // of 401s for the same expired token only leads to one refresh.
+  async invalidate(token) {
+    if (token && token !== this.token) return;
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshAt = null;
+    if (this.cache === 'file') {
+      await fs.unlink(this.tokenFile).catch(() => {});
+    }
+  }
+
+  async refresh() {
+    this.logger.info(`Authenticating with ZoomInfo (${this.provider.describe()})...`);
+    let token;
+    try {
+      token = await this.provider.authenticate(this.baseURL);
+    } catch (error) {
+      this.logger.error('Token refresh failed:', {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        url: error.config?.url
+      });
+      const typedError = classifyError(error, 'Token refresh', 'authenticate');
+      // Status, code and message only: the failed request's body and headers hold the password or client assertion
+      const details = {
+        operation: 'Token refresh',
+        endpoint: 'authenticate',
+        status: typedError.status,
+        cause: { name: error.name, code: error.code, message: error.message }
+      };
+      // A rejected login or missing credentials is an auth problem whatever the status; network trouble stays transient
+      if (typedError instanceof TransientError) throw new TransientError(typedError.message, details);
+      throw new AuthError(typedError.message, details);
+    }
+
+    const expiresAt = getJwtExpiry(token) || Date.now() + DEFAULT_TOKEN_TTL_MS;
+    this.setToken(token, expiresAt);
+    await this.writeCache();
+    this.logger.info(`ZoomInfo token refreshed, expires ${new Date(expiresAt).toISOString()}`);
+    return token;
+  }
+
+  async readCache() {
+    if (this.cache !== 'file') {
+      // Earlier versions always left the token here in plaintext
+      await fs.unlink(this.tokenFile).then(() => this.logger.info(`Removed cached token ${path.basename(this.tokenFile)} (ZOOMINFO_TOKEN_CACHE=memory)`), () => {});
+      return;
+    }
+    try {
+      const { token, expiresAt } = JSON.parse(await fs.readFile(this.tokenFile, 'utf8'));
+      this.setToken(token, getJwtExpiry(token) || new Date(expiresAt).getTime());
+    } catch (error) {
+      // No usable cached token, authenticate instead
+    }
+  }
+
+  async writeCache() {
+    if (this.cache !== 'file') return;
+    await fs.mkdir(path.dirname(this.tokenFile), { recursive: true });
+    await fs.writeFile(this.tokenFile, JSON.stringify({ token: this.token, expiresAt: new Date(this.expiresAt).toISOString() }, null, 2), { mode: 0o600 });
+    // Tokens cached by earlier versions were world-readable
+    await fs.chmod(this.tokenFile, 0o600);
+  }
+}
+
+// Expiry (ms since epoch) from a JWT's `exp` claim, or null when the token is not a readable JWT
+function getJwtExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = TokenManager;
@@ -1,161 +1,384 @@
-const { Storage } = require('@google-cloud/storage');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorage, PreconditionFailedError } = require('./storage');
+const ExclusionJournal = require('./exclusionJournal');
+const { addEntry, parseExclusionsCsv, writeExclusionsCsv } = require('./exclusionJournal');
+const { mapWithConcurrency } = require('../utils/concurrency');
 
+// Each exclusion list is a compacted snapshot in the bucket plus delta shards added since (merged
+// on load), mirrored locally by an ExclusionJournal. Contacts also record when they were enriched
+// and their accuracy score, for the re-enrichment policies.
+const EXCLUSION_LISTS = {
+  company: {
+    remotePath: 'zi-backups/existing_ziids.csv',
+    deltasPrefix: 'zi-backups/existing_ziids.d/',
+    snapshotFile: 'existing_ziids.csv',
+    journalFile: 'existing_ziids.journal.jsonl',
+    columns: ['zi_id']
+  },
+  contact: {
+    remotePath: 'zi-backups/existing_contacts.csv',
+    deltasPrefix: 'zi-backups/existing_contacts.d/',
+    snapshotFile: 'existing_contacts.csv',
+    journalFile: 'existing_contacts.journal.jsonl',
+    columns: ['zi_id', 'enriched_at', 'accuracy_score'],
+    // Keep the most recent enrichment when a contact appears more than once
+    merge: (existing, incoming) => ((incoming.enrichedAt || '') >= (existing.enrichedAt || '') ? incoming : existing)
+  }
+};
+const LEGACY_EXCLUSIONS_PATH = 'existing_ziids.csv';
+const RESULTS_PREFIX = 'zi-backups/results/';
+const CONTENT_TYPES = {
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.parquet': 'application/vnd.apache.parquet',
+  '.md': 'text/markdown'
+};
+
+// What to do with a contact that is already in the contact exclusion list
+//   skip          - never enrich or export it again
+//   stale         - re-enrich once its last enrichment is older than CONTACT_STALE_DAYS
+//   best-accuracy - re-enrich only if the new search result has a higher accuracy score
+//   off           - no contact-level deduplication
+const CONTACT_DEDUP_POLICIES = ['skip', 'stale', 'best-accuracy', 'off'];
+
+// Exclusion lists and result file handling on top of a storage backend (GCS, local directory or S3)
 class BucketService {
-  constructor(logger) {
+  // `options.dataDir` holds the local exclusion snapshots and journals (default data/)
+  constructor(logger, storage = null, options = {}) {
     this.logger = logger;
-    this.bucketName = process.env.GCS_BUCKET_NAME || 'commander-ai-staging-assets';
-    this.storage = new Storage();
-    this.bucket = this.storage.bucket(this.bucketName);
-    this.companyExclusions = new Set();
-    this.exclusionsFile = path.join(__dirname, '../data/existing_ziids.csv');
+    const dataDir = options.dataDir || path.join(__dirname, '../data');
+    // Host name as it appears in result file names
+    this.hostId = (options.hostId || os.hostname()).replace(/[^a-zA-Z0-9-]/g, '-');
+    this.storage = storage || createStorage(logger);
+    this.maxSyncAttempts = parseInt(process.env.EXCLUSION_SYNC_ATTEMPTS) || 5;
+    this.journalCompactSize = parseInt(process.env.EXCLUSION_JOURNAL_COMPACT_SIZE) || 10000;
+    this.deltaCompactCount = parseInt(process.env.EXCLUSION_DELTA_COMPACT_COUNT) || 50;
+    this.contactDedupPolicy = process.env.CONTACT_DEDUP_POLICY || 'skip';
+    this.contactStaleDays = parseInt(process.env.CONTACT_STALE_DAYS) || 90;
+    this.tempCounter = 0;
+
+    if (!CONTACT_DEDUP_POLICIES.includes(this.contactDedupPolicy)) {
+      throw new Error(`Unknown CONTACT_DEDUP_POLICY "${this.contactDedupPolicy}". Available: ${CONTACT_DEDUP_POLICIES.join(', ')}`);
+    }
+
+    this.exclusionLists = {};
+    for (const [name, config] of Object.entries(EXCLUSION_LISTS)) {
+      // Lists without extra columns have nothing to update, so a known zi-id stays as it is
+      const merge = config.merge || (existing => existing);
+      this.exclusionLists[name] = {
+        name,
+        ...config,
+        merge,
+        journal: new ExclusionJournal(logger, {
+          snapshotFile: path.join(dataDir, config.snapshotFile),
+          journalFile: path.join(dataDir, config.journalFile),
+          columns: config.columns,
+          merge
+        }),
+        entries: new Map(),
+        // Journaled locally but not yet uploaded as a delta shard
+        pending: new Map()
+      };
+    }
   }
 
   async downloadCompanyExclusions() {
+    await this.loadExclusionList(this.exclusionLists.company);
+  }
+
+  async downloadContactExclusions() {
+    if (this.contactDedupPolicy === 'off') {
+      this.logger.info('Contact deduplication is off (CONTACT_DEDUP_POLICY=off)');
+      return;
+    }
+    await this.loadExclusionList(this.exclusionLists.contact);
+  }
+
+  // Load an exclusion list as the union of the local snapshot + journal and the bucket snapshot +
+  // delta shards. IDs only known locally are uploaded as a delta so the next VM sees them - except
+  // pending ones, whose results were not uploaded before a restart; those wait for the next flush.
+  // Both copies are compacted once their journal / shard count passes the configured threshold.
+  async loadExclusionList(list) {
+    this.logger.info(`Loading ${list.name} exclusion list - merging local journal and bucket copy`);
+    list.entries = new Map();
+    list.pending = new Map();
+
     try {
-      this.logger.info('Loading company exclusion list - checking local vs bucket');
-      
-      const file = this.bucket.file('zi-backups/existing_ziids.csv');
-      const [bucketExists] = await file.exists();
-      
-      // Check if local file exists
-      const localExists = await fs.access(this.exclusionsFile).then(() => true).catch(() => false);
-      
-      let useLocalFile = false;
-      
-      if (!bucketExists && !localExists) {
-        this.logger.info('No exclusion list found locally or in bucket, starting with empty set');
-        this.companyExclusions = new Set();
-        return;
+      const local = await list.journal.load();
+      list.entries = local.entries;
+      list.pending = local.pending;
+
+      // Older versions uploaded to the bucket root instead of zi-backups/ - fold those IDs in
+      if (list.name === 'company' && await this.storage.exists(LEGACY_EXCLUSIONS_PATH)) {
+        const legacy = await this.readRemoteExclusionFile(list, LEGACY_EXCLUSIONS_PATH);
+        legacy.forEach((entry, ziId) => addEntry(list.entries, ziId, entry, list.merge));
+        this.logger.info(`Merged ${legacy.size} zi-ids from legacy ${LEGACY_EXCLUSIONS_PATH}`);
       }
-      
-      if (!bucketExists && localExists) {
-        this.logger.info('No bucket file found, using local exclusion list');
-        useLocalFile = true;
-      } else if (bucketExists && !localExists) {
-        this.logger.info('No local file found, downloading from bucket');
-        useLocalFile = false;
-      } else {
-        // Both files exist - compare sizes
-        const [bucketMetadata] = await file.getMetadata();
-        const localStats = await fs.stat(this.exclusionsFile);
-        
-        const bucketSize = parseInt(bucketMetadata.size) || 0;
-        const localSize = localStats.size;
-        
-        this.logger.info(`Comparing file sizes - Local: ${localSize} bytes, Bucket: ${bucketSize} bytes`);
-        
-        if (localSize >= bucketSize) {
-          this.logger.info('Local file is larger or equal, using local exclusion list');
-          useLocalFile = true;
-        } else {
-          this.logger.info('Bucket file is larger, downloading from bucket');
-          useLocalFile = false;
-        }
+
+      const remote = await this.readRemoteExclusions(list);
+      remote.entries.forEach((entry, ziId) => addEntry(list.entries, ziId, entry, list.merge));
+      this.logger.info(`Loaded ${remote.entries.size} ${list.name} zi-ids from bucket (snapshot + ${remote.deltas.length} delta shards)`);
+
+      const missingRemotely = Array.from(list.entries)
+        .filter(([ziId]) => !remote.entries.has(ziId) && !list.pending.has(ziId));
+      if (missingRemotely.length > 0) {
+        await this.uploadExclusionDelta(list, new Map(missingRemotely));
       }
-      
-      // Download from bucket if needed
-      if (!useLocalFile) {
-        await file.download({ destination: this.exclusionsFile });
-        this.logger.info('Downloaded exclusion list from bucket');
+
+      if (remote.deltas.length >= this.deltaCompactCount) {
+        await this.compactRemoteExclusions(list);
       }
-      
-      // Load into memory set - handle CSV format
-      const content = await fs.readFile(this.exclusionsFile, 'utf8');
-      const ziIds = content.split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0 && !line.startsWith('zi_id')) // Skip header if present
-        .map(line => line.replace(/[",]/g, '')); // Remove CSV formatting
-      
-      this.companyExclusions = new Set(ziIds);
-      this.logger.info(`Loaded ${this.companyExclusions.size} company zi-ids for exclusion from ${useLocalFile ? 'local file' : 'bucket'}`);
-      
+      await list.journal.compact(list.entries, list.pending);
     } catch (error) {
-      this.logger.error('Error loading company exclusions:', error);
-      // Continue with empty set if loading fails
-      this.companyExclusions = new Set();
+      this.logger.error(`Error syncing ${list.name} exclusions, continuing with the list loaded so far:`, error);
     }
+
+    this.logger.info(`Loaded ${list.entries.size} ${list.name} zi-ids for exclusion`);
   }
 
-  isCompanyExcluded(ziId) {
-    return this.companyExclusions.has(ziId.toString());
+  // Record newly processed company zi-ids. Only the local journal is written here (one fsynced
+  // append); they reach the bucket in flushExclusions once the results are uploaded.
+  async updateCompanyExclusions(newZiIds) {
+    const list = this.exclusionLists.company;
+    await this.recordExclusions(list, newZiIds.map(ziId => [ziId.toString(), {}]));
   }
 
-  async uploadCSVFile(localFilePath, bucketPath) {
+  // Record enriched contacts: [{ ziId, accuracyScore }], stamped with the enrichment time
+  async updateContactExclusions(contacts) {
+    if (this.contactDedupPolicy === 'off') return;
+
+    const list = this.exclusionLists.contact;
+    const enrichedAt = new Date().toISOString();
+    await this.recordExclusions(list, contacts.map(contact => [contact.ziId.toString(), {
+      enrichedAt,
+      accuracyScore: contact.accuracyScore ?? ''
+    }]));
+  }
+
+  async recordExclusions(list, entries) {
+    const added = entries.filter(([ziId, entry]) => {
+      const existing = list.entries.get(ziId);
+      return !existing || list.merge(existing, entry) !== existing;
+    });
+    if (added.length === 0) return;
+
     try {
-      this.logger.info(`Uploading ${localFilePath} to bucket path: ${bucketPath}`);
-      
-      const file = this.bucket.file(bucketPath);
-      await file.save(await fs.readFile(localFilePath), {
-        metadata: {
-          contentType: 'text/csv'
-        }
-      });
-      
-      this.logger.info(`Successfully uploaded ${bucketPath}`);
-      
+      await list.journal.append(added);
     } catch (error) {
-      this.logger.error(`Error uploading ${bucketPath}:`, error);
+      this.logger.error(`Error updating ${list.name} exclusions:`, error);
       throw error;
     }
+
+    added.forEach(([ziId, entry]) => {
+      addEntry(list.entries, ziId, entry, list.merge);
+      list.pending.set(ziId, list.entries.get(ziId));
+    });
+    this.logger.debug(`Journaled ${added.length} new ${list.name} zi-ids for exclusion`);
+
+    if (list.journal.getJournalSize() >= this.journalCompactSize) {
+      await list.journal.compact(list.entries, list.pending);
+    }
   }
 
-  async uploadResults(companiesFile, contactsFile) {
+  // Upload the zi-ids recorded since the last flush as one delta shard per list. Call only after the
+  // results for those companies and contacts are uploaded. A failed upload is retried on the next
+  // flush, and anything still missing from the bucket is uploaded at the next startup.
+  async flushExclusions() {
+    for (const list of Object.values(this.exclusionLists)) {
+      if (list.pending.size === 0) continue;
+
+      const pending = new Map(list.pending);
+      try {
+        await this.uploadExclusionDelta(list, pending);
+        await list.journal.markFlushed(Array.from(pending.keys()));
+        pending.forEach((entry, ziId) => list.pending.delete(ziId));
+      } catch (error) {
+        this.logger.error(`Error uploading ${pending.size} new ${list.name} exclusions, will retry on the next flush:`, error);
+      }
+    }
+  }
+
+  async uploadExclusionDelta(list, entries) {
     const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-    
-    const uploads = [];
-    let companiesPath = null;
-    let contactsPath = null;
-    
-    if (companiesFile && companiesFile !== null) {
-      companiesPath = `zi-backups/results/companies-${timestamp}.csv`;
-      this.logger.info(`Uploading companies file: ${companiesFile} -> ${companiesPath}`);
-      uploads.push(this.uploadCSVFile(companiesFile, companiesPath));
-    } else {
-      this.logger.warn('No companies file to upload (null or undefined)');
+    const remotePath = `${list.deltasPrefix}${timestamp}-${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}.csv`;
+    const tempPath = this.getTempPath(list, 'delta');
+
+    try {
+      await writeExclusionsCsv(tempPath, entries, list.columns);
+      // Create-only, so a name collision fails rather than overwriting another VM's shard
+      await this.storage.upload(tempPath, remotePath, { contentType: 'text/csv', ifGenerationMatch: 0 });
+    } finally {
+      await fs.rm(tempPath, { force: true });
     }
-    
-    if (contactsFile && contactsFile !== null) {
-      contactsPath = `zi-backups/results/contacts-${timestamp}.csv`;
-      this.logger.info(`Uploading contacts file: ${contactsFile} -> ${contactsPath}`);
-      uploads.push(this.uploadCSVFile(contactsFile, contactsPath));
-    } else {
-      this.logger.warn('No contacts file to upload (null or undefined)');
+    this.logger.info(`Uploaded ${list.name} exclusion delta ${remotePath} with ${entries.size} zi-ids`);
+  }
+
+  // Fold the delta shards into the bucket snapshot. The snapshot upload is conditional on the
+  // generation that was read, so if another VM compacts at the same time one of them re-reads and
+  // retries. Only shards that were merged are deleted; shards written meanwhile stay for the next load.
+  async compactRemoteExclusions(list) {
+    for (let attempt = 1; attempt <= this.maxSyncAttempts; attempt++) {
+      const remote = await this.readRemoteExclusions(list);
+      const tempPath = this.getTempPath(list, 'snapshot');
+
+      try {
+        await writeExclusionsCsv(tempPath, remote.entries, list.columns);
+        await this.storage.upload(tempPath, list.remotePath, {
+          contentType: 'text/csv',
+          ifGenerationMatch: remote.generation
+        });
+      } catch (error) {
+        if (!(error instanceof PreconditionFailedError) || attempt === this.maxSyncAttempts) {
+          throw error;
+        }
+        const delay = 250 * attempt + Math.floor(Math.random() * 250);
+        this.logger.warn(`${list.remotePath} was updated by another VM, re-merging (attempt ${attempt}/${this.maxSyncAttempts}) in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      } finally {
+        await fs.rm(tempPath, { force: true });
+      }
+
+      await mapWithConcurrency(remote.deltas, 4, delta => this.storage.delete(delta));
+      this.logger.info(`Compacted ${remote.deltas.length} exclusion deltas into ${list.remotePath} (${remote.entries.size} zi-ids)`);
+      return;
     }
-    
-    if (uploads.length > 0) {
-      await Promise.all(uploads);
-    } else {
-      this.logger.warn('No files to upload - both companiesFile and contactsFile are null');
+  }
+
+  // Read the bucket snapshot and every delta shard. `generation` is the snapshot's generation
+  // (0 when it does not exist, making the next snapshot upload create-only). If a shard disappears
+  // mid-read another VM compacted it into a newer snapshot, so the whole read starts over.
+  async readRemoteExclusions(list) {
+    for (let attempt = 1; attempt <= this.maxSyncAttempts; attempt++) {
+      let entries = new Map();
+      let generation = 0;
+
+      if (await this.storage.exists(list.remotePath)) {
+        ({ generation } = await this.storage.getMetadata(list.remotePath));
+        entries = await this.readRemoteExclusionFile(list, list.remotePath);
+      }
+
+      const deltas = (await this.storage.list(list.deltasPrefix)).filter(remotePath => remotePath.endsWith('.csv'));
+      const shards = await mapWithConcurrency(deltas, 4, delta =>
+        this.readRemoteExclusionFile(list, delta).catch(async error => {
+          if (await this.storage.exists(delta)) throw error;
+          return null;
+        })
+      );
+
+      if (shards.every(Boolean)) {
+        shards.forEach(shard => shard.forEach((entry, ziId) => addEntry(entries, ziId, entry, list.merge)));
+        return { entries, generation, deltas };
+      }
+      this.logger.warn(`${list.name} exclusion deltas were compacted by another VM while loading, re-reading`);
     }
-    
-    return { companiesPath, contactsPath };
+    throw new Error(`${list.name} exclusion deltas kept changing while loading`);
   }
 
-  async updateCompanyExclusions(newZiIds) {
+  async readRemoteExclusionFile(list, remotePath) {
+    const tempPath = this.getTempPath(list, 'remote');
     try {
-      // Add new zi-ids to local set
-      newZiIds.forEach(ziId => this.companyExclusions.add(ziId.toString()));
-      
-      // Write updated list to local file
-      const exclusionList = Array.from(this.companyExclusions).join('\n');
-      await fs.writeFile(this.exclusionsFile, exclusionList);
+      await this.storage.download(remotePath, tempPath);
+      return parseExclusionsCsv(await fs.readFile(tempPath, 'utf8'), list.merge);
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  getTempPath(list, kind) {
+    return `${list.journal.snapshotFile}.${process.pid}-${++this.tempCounter}.${kind}`;
+  }
+
+  isCompanyExcluded(ziId) {
+    return this.exclusionLists.company.entries.has(ziId.toString());
+  }
+
+  // Whether a contact found by search should be enriched (and exported), per CONTACT_DEDUP_POLICY
+  shouldEnrichContact(ziId, accuracyScore) {
+    const existing = this.exclusionLists.contact.entries.get(ziId.toString());
+    if (!existing || this.contactDedupPolicy === 'off') {
+      return true;
+    }
+
+    switch (this.contactDedupPolicy) {
+      case 'stale': {
+        const enrichedAt = Date.parse(existing.enrichedAt);
+        return Number.isNaN(enrichedAt) || Date.now() - enrichedAt > this.contactStaleDays * 24 * 60 * 60 * 1000;
+      }
+      case 'best-accuracy':
+        return (parseInt(accuracyScore) || 0) > (parseInt(existing.accuracyScore) || 0);
+      default:
+        return false;
+    }
+  }
+
+  async uploadCSVFile(localFilePath, bucketPath) {
+    await this.uploadFile(localFilePath, bucketPath, 'text/csv');
+  }
+
+  async uploadFile(localFilePath, bucketPath, contentType, options = {}) {
+    try {
+      this.logger.info(`Uploading ${localFilePath} to bucket path: ${bucketPath}`);
       
-      // Upload updated list to bucket  
-      await this.uploadCSVFile(this.exclusionsFile, 'existing_ziids.csv');
+      await this.storage.upload(localFilePath, bucketPath, { contentType, ...options });
       
-      this.logger.info(`Updated company exclusions list with ${newZiIds.length} new zi-ids`);
+      this.logger.info(`Successfully uploaded ${bucketPath}`);
       
     } catch (error) {
-      this.logger.error('Error updating company exclusions:', error);
+      this.logger.error(`Error uploading ${bucketPath}:`, error);
       throw error;
     }
   }
 
+  // Upload one combination's result files: [{ format, kind, path }] from the output writers.
+  // CSV results keep the flat zi-backups/results/<kind>-<label>-<host>-<timestamp>.csv layout the
+  // export command reads (timestamp last); other formats go under zi-backups/results/<format>/. The
+  // label (e.g. location and NAICS code) and host keep combinations finishing in the same second, and
+  // VMs running at once, apart. Pass the combination's timestamp so its files (and their metadata)
+  // share one.
+  //
+  // A result is never overwritten: uploads require that the object does not exist yet and fail with
+  // PreconditionFailedError otherwise. `options.replace` allows it for files that are re-uploaded on
+  // purpose, like the run summary.
+  async uploadResults(files, timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, ''), options = {}) {
+    const name = [options.label, this.hostId, timestamp].filter(Boolean).join('-');
+    
+    const uploaded = await Promise.all(files.map(async (file) => {
+      const extension = path.extname(file.path);
+      const remotePath = file.format === 'csv'
+        ? `${RESULTS_PREFIX}${file.kind}-${name}${extension}`
+        : `${RESULTS_PREFIX}${file.format}/${file.kind}-${name}${extension}`;
+      
+      this.logger.info(`Uploading ${file.format} ${file.kind} file: ${file.path} -> ${remotePath}`);
+      await this.uploadFile(file.path, remotePath, CONTENT_TYPES[extension] || 'application/octet-stream',
+        options.replace ? {} : { ifGenerationMatch: 0 });
+      return { ...file, remotePath };
+    }));
+    
+    return uploaded;
+  }
+
+  // Result CSVs uploaded by uploadResults across every run (the csv format only, not subfolders)
+  async listResultFiles() {
+    return (await this.storage.list(RESULTS_PREFIX))
+      .filter(remotePath => remotePath.endsWith('.csv') && !remotePath.slice(RESULTS_PREFIX.length).includes('/'));
+  }
+
+  async downloadFile(remotePath, localPath) {
+    await this.storage.download(remotePath, localPath);
+  }
+
   getExclusionCount() {
-    return this.companyExclusions.size;
+    return this.exclusionLists.company.entries.size;
+  }
+
+  getContactExclusionCount() {
+    return this.exclusionLists.contact.entries.size;
   }
 }
 
-module.exports = BucketService;
\ No newline at end of file
+module.exports = BucketService;
@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BudgetExceededError } = require('./zoomInfoErrors');
+
+// Request and credit budgets for ZoomInfo spend. Every request is counted, and enrich requests are
+// counted as one credit per record returned, against three scopes:
+//
+//   run        this process                  BUDGET_RUN_REQUESTS, BUDGET_RUN_CREDITS
+//   day        the UTC calendar day          BUDGET_DAILY_REQUESTS, BUDGET_DAILY_CREDITS
+//   campaign   everything under BUDGET_CAMPAIGN (default "default")   BUDGET_CAMPAIGN_REQUESTS, BUDGET_CAMPAIGN_CREDITS
+//
+// Unset or 0 means no limit. Day and campaign totals are kept in data/budget.json across runs and
+// `reset`, together with the account usage last reported by ZoomInfo's lookup/usage endpoint. Once a
+// run has read that usage, the account's own request and record limits are checked too (scope "account").
+// A request that would pass a limit is not sent: reserve() throws BudgetExceededError instead.
+const SCOPES = {
+  run: { label: 'Per-run', env: 'RUN' },
+  day: { label: 'Daily', env: 'DAILY' },
+  campaign: { label: 'Campaign', env: 'CAMPAIGN' }
+};
+const METRICS = ['requests', 'credits'];
+
+// lookup/usage limit types and the metric each one caps
+const ACCOUNT_LIMITS = {
+  requestLimit: 'requests',
+  recordLimit: 'credits'
+};
+
+// Enrich endpoints and the input list whose length is the most credits a request can cost
+const ENRICH_INPUTS = {
+  'enrich/contact': 'matchPersonInput',
+  'enrich/company': 'matchCompanyInput'
+};
+
+// Daily totals older than this are dropped from the ledger
+const DAYS_KEPT = 35;
+// Longest a settled request waits before the ledger is written (page checkpoints and exit write it sooner)
+const SAVE_DELAY_MS = 5000;
+
+class BudgetTracker {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.ledgerFile = options.ledgerFile || path.join(__dirname, '../data/budget.json');
+    this.campaign = options.campaign || process.env.BUDGET_CAMPAIGN || 'default';
+    this.limits = {};
+    for (const [scope, { env }] of Object.entries(SCOPES)) {
+      this.limits[scope] = {
+        requests: parseInt(process.env[`BUDGET_${env}_REQUESTS`]) || 0,
+        credits: parseInt(process.env[`BUDGET_${env}_CREDITS`]) || 0
+      };
+    }
+    this.runTotals = createTotals();
+    // Account limits from this run's last usage read: { requests, credits } of { limit, remaining }
+    this.account = {};
+    this.ledger = null;
+    // Serialises ledger writes so concurrent calls never interleave
+    this.saveQueue = Promise.resolve();
+    // Requests only mark the ledger changed; one write covers every request settled within saveDelayMs
+    this.saveDelayMs = options.saveDelayMs || SAVE_DELAY_MS;
+    this.saveTimer = null;
+    this.dirty = false;
+  }
+
+  async load() {
+    if (this.ledger) return this.ledger;
+    try {
+      this.ledger = JSON.parse(await fs.readFile(this.ledgerFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read ${path.basename(this.ledgerFile)}, starting a new budget ledger: ${error.message}`);
+      }
+      this.ledger = { days: {}, campaigns: {}, apiUsage: null };
+    }
+    return this.ledger;
+  }
+
+  hasLimits() {
+    return Object.values(this.limits).some(limits => METRICS.some(metric => limits[metric] > 0));
+  }
+
+  // Current totals per scope: { run, day, campaign } of { requests, credits, endpoints }
+  getTotals() {
+    const day = today();
+    return {
+      run: this.runTotals,
+      day: this.ledger.days[day] || createTotals(),
+      campaign: this.ledger.campaigns[this.campaign] || createTotals()
+    };
+  }
+
+  // What is left per scope and metric: { run: { requests, credits }, ... } with null for no limit
+  getRemaining() {
+    const totals = this.getTotals();
+    const remaining = {};
+    for (const scope of Object.keys(SCOPES)) {
+      remaining[scope] = {};
+      for (const metric of METRICS) {
+        const limit = this.limits[scope][metric];
+        remaining[scope][metric] = limit > 0 ? Math.max(0, limit - totals[scope][metric]) : null;
+      }
+    }
+    return remaining;
+  }
+
+  // Count a request (and, for enrich calls, a credit per record it asks for) before it is sent.
+  // Throws BudgetExceededError when that would pass a limit; returns the credits reserved.
+  reserve(endpoint, params) {
+    const credits = ENRICH_INPUTS[endpoint] ? (params?.[ENRICH_INPUTS[endpoint]] || []).length : 0;
+    const scopes = this.getScopeTotals();
+
+    // lookup/usage is always let through, so a later read can update what the account has left
+    if (endpoint !== 'lookup/usage') {
+      for (const metric of METRICS) {
+        const account = this.account[metric];
+        const cost = metric === 'requests' ? 1 : credits;
+        if (account && cost > 0 && cost > account.remaining) {
+          throw new BudgetExceededError(
+            `ZoomInfo account ${metric === 'requests' ? 'request' : 'record'} limit reached: ${Math.max(0, account.remaining)} of ${account.limit} left, ${endpoint} needs ${cost}`,
+            { endpoint, scope: 'account', metric, limit: account.limit, used: account.limit - account.remaining }
+          );
+        }
+      }
+    }
+
+    for (const [scope, totals] of Object.entries(scopes)) {
+      for (const metric of METRICS) {
+        const limit = this.limits[scope][metric];
+        const cost = metric === 'requests' ? 1 : credits;
+        if (limit > 0 && cost > 0 && totals[metric] + cost > limit) {
+          throw new BudgetExceededError(
+            `${SCOPES[scope].label} ${metric === 'requests' ? 'request' : 'credit'} budget reached: ${totals[metric]} of ${limit} used, ${endpoint} needs ${cost} more`,
+            { endpoint, scope, metric, limit, used: totals[metric] }
+          );
+        }
+      }
+    }
+
+    for (const totals of Object.values(scopes)) {
+      totals.requests += 1;
+      totals.credits += credits;
+      totals.endpoints[endpoint] = (totals.endpoints[endpoint] || 0) + 1;
+    }
+    if (this.account.requests) this.account.requests.remaining -= 1;
+    if (this.account.credits) this.account.credits.remaining -= credits;
+    return credits;
+  }
+
+  // Replace the credits reserved for a request with the records it returned (0 when it failed)
+  async settle(reservedCredits, usedCredits) {
+    if (usedCredits !== reservedCredits) {
+      for (const totals of Object.values(this.getScopeTotals())) {
+        totals.credits += usedCredits - reservedCredits;
+      }
+      if (this.account.credits) this.account.credits.remaining -= usedCredits - reservedCredits;
+    }
+    this.scheduleSave();
+  }
+
+  // Store the account usage reported by lookup/usage and check later requests against what is left.
+  // Every credit we count is taken off until the next read, although ZoomInfo does not charge again for
+  // a record enriched in the last 12 months - the check can stop a run early, never late.
+  async recordApiUsage(usage) {
+    this.ledger.apiUsage = { checkedAt: new Date().toISOString(), limits: usage };
+    this.account = {};
+    for (const { limitType, limit, usageRemaining } of usage) {
+      const metric = ACCOUNT_LIMITS[limitType];
+      if (metric && limit > 0 && Number.isFinite(usageRemaining)) {
+        this.account[metric] = { limit, remaining: usageRemaining };
+      }
+    }
+    await this.save();
+  }
+
+  // Scope totals for today, created in the ledger when missing
+  getScopeTotals() {
+    const day = today();
+    this.ledger.days[day] = this.ledger.days[day] || createTotals();
+    this.ledger.campaigns[this.campaign] = this.ledger.campaigns[this.campaign] || createTotals();
+    return { run: this.runTotals, day: this.ledger.days[day], campaign: this.ledger.campaigns[this.campaign] };
+  }
+
+  // Write the ledger once saveDelayMs have passed, unless flush() does it first
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelayMs);
+    // A pending write never keeps the process alive; cleanup flushes it
+    this.saveTimer.unref();
+  }
+
+  // Write pending changes now; called at page checkpoints and on exit
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    return this.dirty ? this.save() : this.saveQueue;
+  }
+
+  save() {
+    this.dirty = false;
+    this.saveQueue = this.saveQueue.then(() => this.writeLedger()).catch(error => {
+      this.logger.error(`Failed to save ${path.basename(this.ledgerFile)}:`, error.message);
+    });
+    return this.saveQueue;
+  }
+
+  async writeLedger() {
+    const cutoff = new Date(Date.now() - DAYS_KEPT * 86400000).toISOString().slice(0, 10);
+    Object.keys(this.ledger.days)
+      .filter(day => day < cutoff)
+      .forEach(day => delete this.ledger.days[day]);
+
+    await fs.mkdir(path.dirname(this.ledgerFile), { recursive: true });
+    const tempFile = `${this.ledgerFile}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.ledger, null, 2));
+    await fs.rename(tempFile, this.ledgerFile);
+  }
+
+  // e.g. "120 requests (380 left of 500), 40 credits (no limit)"
+  describe(scope) {
+    const totals = this.getTotals()[scope];
+    const remaining = this.getRemaining()[scope];
+    return METRICS.map(metric => {
+      const limit = this.limits[scope][metric];
+      return `${totals[metric]} ${metric} (${limit > 0 ? `${remaining[metric]} left of ${limit}` : 'no limit'})`;
+    }).join(', ');
+  }
+}
+
+function createTotals() {
+  return { requests: 0, credits: 0, endpoints: {} };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = BudgetTracker;
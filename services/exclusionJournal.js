@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const ID_COLUMN = 'zi_id';
+
+// Local copy of an exclusion list (company or contact zi-ids): a CSV snapshot plus an append-only
+// journal. The journal records zi-ids as they are processed ({ ids, entries }) and again once they
+// have been uploaded to the bucket ({ flushed }), so after a crash the IDs whose results were never
+// uploaded are still known as pending. Appends are fsynced before returning.
+//
+// Each zi-id maps to an entry object holding the list's extra columns (e.g. enriched_at for
+// contacts, stored as enrichedAt); company lists have none, so their entries are empty.
+class ExclusionJournal {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.snapshotFile = options.snapshotFile || path.join(__dirname, '../data/existing_ziids.csv');
+    this.journalFile = options.journalFile || path.join(__dirname, '../data/existing_ziids.journal.jsonl');
+    this.columns = options.columns || [ID_COLUMN];
+    this.merge = options.merge || mergeEntries;
+    this.journalSize = 0;
+  }
+
+  // Snapshot and journal merged into one map, plus the journaled entries not yet flushed
+  async load() {
+    const entries = parseExclusionsCsv(await readOptional(this.snapshotFile));
+    const pending = new Map();
+    const snapshotSize = entries.size;
+
+    this.journalSize = 0;
+    for (const line of (await readOptional(this.journalFile)).split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line; its IDs are recorded again on resume
+        this.logger.warn(`Skipping unreadable record in ${path.basename(this.journalFile)}`);
+        continue;
+      }
+      (record.ids || []).forEach(ziId => {
+        const entry = (record.entries && record.entries[ziId]) || {};
+        addEntry(entries, String(ziId), entry, this.merge);
+        pending.set(String(ziId), entry);
+      });
+      (record.flushed || []).forEach(ziId => pending.delete(String(ziId)));
+      this.journalSize += (record.ids || []).length + (record.flushed || []).length;
+    }
+
+    this.logger.info(`Loaded ${entries.size} zi-ids from ${path.basename(this.snapshotFile)} (${snapshotSize} in snapshot, ${pending.size} pending upload)`);
+    return { entries, pending };
+  }
+
+  // Record processed zi-ids as [ziId, entry] pairs
+  async append(entries) {
+    const record = { ids: entries.map(([ziId]) => ziId), at: new Date().toISOString() };
+    if (this.columns.length > 1) {
+      record.entries = Object.fromEntries(entries);
+    }
+    await this.write(record);
+  }
+
+  // Record that these zi-ids are now in the bucket
+  async markFlushed(ziIds) {
+    await this.write({ flushed: ziIds, at: new Date().toISOString() });
+  }
+
+  async write(record) {
+    await fs.mkdir(path.dirname(this.journalFile), { recursive: true });
+    const handle = await fs.open(this.journalFile, 'a');
+    try {
+      await handle.write(`${JSON.stringify(record)}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    this.journalSize += (record.ids || record.flushed).length;
+  }
+
+  // Rewrite the snapshot with the full map, then replace the journal with just the pending entries.
+  // A crash in between only leaves IDs in both places, which load() merges.
+  async compact(entries, pending) {
+    await writeExclusionsCsv(this.snapshotFile, entries, this.columns);
+    if (pending.size > 0) {
+      const record = { ids: Array.from(pending.keys()), at: new Date().toISOString() };
+      if (this.columns.length > 1) {
+        record.entries = Object.fromEntries(pending);
+      }
+      await writeFileAtomic(this.journalFile, `${JSON.stringify(record)}\n`);
+    } else {
+      await fs.rm(this.journalFile, { force: true });
+    }
+    this.logger.info(`Compacted ${path.basename(this.journalFile)} (${this.journalSize} entries) into snapshot of ${entries.size} zi-ids`);
+    this.journalSize = pending.size;
+  }
+
+  getJournalSize() {
+    return this.journalSize;
+  }
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+// By default the entry seen last wins
+function mergeEntries(existing, incoming) {
+  return incoming;
+}
+
+function addEntry(entries, ziId, entry, merge = mergeEntries) {
+  const existing = entries.get(ziId);
+  entries.set(ziId, existing ? merge(existing, entry) : entry);
+}
+
+function toCamelCase(column) {
+  return column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// zi-id CSV with a `zi_id` header and optional extra columns -> Map of zi-id to entry.
+// Tolerates quoted values and a missing header (a plain list of IDs).
+function parseExclusionsCsv(content, merge = mergeEntries) {
+  const entries = new Map();
+  let columns = [ID_COLUMN];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const values = line.split(',').map(value => value.replace(/"/g, '').trim());
+    if (index === 0 && values[0] === ID_COLUMN) {
+      columns = values;
+      return;
+    }
+    if (!values[0] || values[0] === ID_COLUMN) return;
+
+    const entry = {};
+    columns.slice(1).forEach((column, offset) => {
+      if (values[offset + 1]) entry[toCamelCase(column)] = values[offset + 1];
+    });
+    addEntry(entries, values[0], entry, merge);
+  });
+
+  return entries;
+}
+
+function formatExclusionsCsv(entries, columns = [ID_COLUMN]) {
+  const sorted = Array.from(entries.keys()).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  const rows = sorted.map(ziId => {
+    const entry = entries.get(ziId) || {};
+    return [ziId, ...columns.slice(1).map(column => entry[toCamelCase(column)] ?? '')].join(',');
+  });
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Temp file, fsync, rename - a crash never leaves the target truncated
+async function writeFileAtomic(filePath, content) {
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempFile, filePath);
+}
+
+async function writeExclusionsCsv(filePath, entries, columns) {
+  await writeFileAtomic(filePath, formatExclusionsCsv(entries, columns));
+}
+
+module.exports = ExclusionJournal;
+module.exports.addEntry = addEntry;
+module.exports.parseExclusionsCsv = parseExclusionsCsv;
+module.exports.formatExclusionsCsv = formatExclusionsCsv;
+module.exports.writeExclusionsCsv = writeExclusionsCsv;
@@ -1,25 +1,82 @@
-const CSVWriter = require('../utils/csvWriter');
-// Use the new bulk search parameter strategy
-const { getSearchCombinations, getValidGroupCount } = require('../config/bulkSearchParams');
+const MetricsStore = require('./metricsStore');
+const { PageOutOfRangeError, isSkippable } = require('./zoomInfoErrors');
+const { metrics: telemetry } = require('./telemetry');
+const { createWriters } = require('../utils/writers');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getSearchStrategy } = require('../config/searchStrategies');
+const { getFieldMapping, getEnrichOutputFields, usesCompanyEnrichment, buildRecord } = require('../config/fieldMapping');
+const { toSearchParams, hasExcludedParent, describeFilters } = require('../config/searchFilters');
+const { resolveLocation, toLocationSearchParams, toLocationFields } = require('../config/locations');
+const { getQualityRules, toContactSearchParams, getRuleEnrichFields, checkContact, addRejections, describeRejections, describeQualityRules } = require('../config/qualityRules');
+const fs = require('fs').promises;
 const path = require('path');
 
+// ADAPTIVE_MODE: what happens to NAICS codes and (NAICS code, title) pairs whose yield is below
+// ADAPTIVE_MIN_YIELD contacts per 100 companies once ADAPTIVE_MIN_COMPANIES companies have been searched
+const ADAPTIVE_MODES = ['off', 'deprioritise', 'skip'];
+
 class LeadProcessor {
-  constructor(zoomInfoService, bucketService, stateManager, logger) {
+  constructor(zoomInfoService, bucketService, stateManager, logger, options = {}) {
     this.zoomInfoService = zoomInfoService;
     this.bucketService = bucketService;
     this.stateManager = stateManager;
     this.logger = logger;
-    this.csvWriter = new CSVWriter(logger);
+    // Record fields and enrich outputFields (FIELD_MAPPING_FILE or the defaults in config/fieldMapping.js)
+    this.fieldMapping = getFieldMapping();
+    // Contact quality rules (QUALITY_RULES_FILE or the defaults in config/qualityRules.js)
+    this.qualityRules = getQualityRules();
+    this.enrichOutputFields = [...new Set([...getEnrichOutputFields(this.fieldMapping), ...getRuleEnrichFields(this.qualityRules)])];
+    this.companyEnrichOutputFields = getEnrichOutputFields(this.fieldMapping, 'company');
+    // Optional enrich/company call per page of companies for firmographics (revenue, employees, address...)
+    this.enrichCompanies = process.env.ENRICH_COMPANIES === 'true';
+    if (this.enrichCompanies && !usesCompanyEnrichment(this.fieldMapping)) {
+      this.logger.warn('ENRICH_COMPANIES is set but the field mapping has no enrich.* company fields - company enrichment skipped');
+      this.enrichCompanies = false;
+    }
+    // Output formats for results (--formats or OUTPUT_FORMATS, default csv)
+    this.writers = createWriters(logger, options.formats);
+    // Per-combination metadata (location, NAICS, search filters, uploaded files)
+    this.metadataDir = options.metadataDir || path.join(__dirname, '../data/metadata');
     this.batchSize = parseInt(process.env.BATCH_SIZE) || 50;
+    // Number of job titles OR-ed together in a single contact search
+    this.titleGroupSize = parseInt(process.env.TITLE_GROUP_SIZE) || 20;
+    // Safety cap on contact result pages fetched per company + title group
+    this.maxContactPages = parseInt(process.env.MAX_CONTACT_PAGES) || 5;
+    // Worker pool sizes - overall request rate is still bounded by ZoomInfoService's rate limiter
+    this.pageConcurrency = parseInt(process.env.PAGE_CONCURRENCY) || 2;
+    this.companyConcurrency = parseInt(process.env.COMPANY_CONCURRENCY) || 4;
+    this.contactSearchConcurrency = parseInt(process.env.CONTACT_SEARCH_CONCURRENCY) || 4;
+    // Per-combination yield metrics (data/metrics), also the history adaptive mode judges by
+    this.metricsStore = options.metricsStore || new MetricsStore(logger);
+    this.adaptiveMode = process.env.ADAPTIVE_MODE || 'off';
+    if (!ADAPTIVE_MODES.includes(this.adaptiveMode)) {
+      throw new Error(`Unknown ADAPTIVE_MODE "${this.adaptiveMode}". Available: ${ADAPTIVE_MODES.join(', ')}`);
+    }
+    this.adaptiveMinYield = parseFloat(process.env.ADAPTIVE_MIN_YIELD) || 5;
+    this.adaptiveMinCompanies = parseInt(process.env.ADAPTIVE_MIN_COMPANIES) || 100;
     
-    // Load search combinations from JSON configuration
-    this.searchCombinations = getSearchCombinations();
-    this.validGroupCount = getValidGroupCount();
+    // Load search combinations from the selected parameter strategy (option, SEARCH_STRATEGY or bulk)
+    const strategy = getSearchStrategy(options.strategy);
+    this.strategyName = strategy.name;
+    this.searchCombinations = strategy.getSearchCombinations(options.paramsFile);
+    this.validGroupCount = strategy.getValidGroupCount(options.paramsFile);
     
     this.logger.info('Lead processor initialized', {
+      strategy: this.strategyName,
       validGroups: this.validGroupCount,
       totalCombinations: this.searchCombinations.length,
-      batchSize: this.batchSize
+      batchSize: this.batchSize,
+      enrichCompanies: this.enrichCompanies,
+      adaptiveMode: this.adaptiveMode,
+      outputFormats: this.writers.map(writer => writer.format),
+      fieldMapping: this.fieldMapping.file || 'default',
+      qualityRules: `${this.qualityRules.file || 'default'} (${describeQualityRules(this.qualityRules)})`,
+      titleGroupSize: this.titleGroupSize,
+      concurrency: {
+        pages: this.pageConcurrency,
+        companies: this.companyConcurrency,
+        contactSearches: this.contactSearchConcurrency
+      }
     });
   }
 
@@ -27,330 +84,739 @@ class LeadProcessor {
     return this.searchCombinations.length;
   }
 
-  async processAllCombinations() {
+  // Process every combination, or only indexes [from, to) when a range is given
+  async processAllCombinations(range = {}) {
     const state = this.stateManager.getCurrentState();
+    const totalCombinations = this.searchCombinations.length;
+    const rangeStart = range.from || 0;
+    const rangeEnd = Math.min(range.to ?? totalCombinations, totalCombinations);
+    const isFullRun = rangeStart === 0 && rangeEnd === totalCombinations;
     
-    if (state.completed) {
+    if (state.completed && isFullRun) {
       this.logger.info('All combinations already completed');
       return;
     }
 
-    const startingIndex = state.currentCombinationIndex || 0;
+    // Combination indexes only line up with saved state for the same strategy
+    if (state.searchStrategy && state.searchStrategy !== this.strategyName) {
+      this.logger.warn(`Saved state was created with the "${state.searchStrategy}" strategy but this run uses "${this.strategyName}" - combination indexes may not match. Run "reset" to start fresh.`);
+    }
+    this.stateManager.updateProgress({ searchStrategy: this.strategyName });
+    await this.metricsStore.load();
+    
+    // Start from the account usage ZoomInfo reports; the budgets themselves are checked on every request
+    const { budget } = this.zoomInfoService;
+    await budget.load();
+    await this.zoomInfoService.syncUsage();
+    if (budget.hasLimits()) {
+      this.logger.info(`Budget for campaign "${budget.campaign}" - today: ${budget.describe('day')}; campaign: ${budget.describe('campaign')}`);
+    }
+    
+    // Resume from saved state when it falls inside the requested range
+    const savedIndex = state.currentCombinationIndex || 0;
+    const startingIndex = savedIndex >= rangeStart && savedIndex < rangeEnd ? savedIndex : rangeStart;
     
     this.logger.info('Starting to process search combinations', {
       startingFromIndex: startingIndex,
-      totalCombinations: this.searchCombinations.length,
-      progress: `${((startingIndex / this.searchCombinations.length) * 100).toFixed(2)}%`
+      endIndex: rangeEnd,
+      totalCombinations: totalCombinations,
+      progress: `${((startingIndex / totalCombinations) * 100).toFixed(2)}%`
     });
 
     // Process combinations starting from saved state
-    for (let combinationIndex = startingIndex; combinationIndex < this.searchCombinations.length; combinationIndex++) {
+    for (let combinationIndex = startingIndex; combinationIndex < rangeEnd; combinationIndex++) {
       const combination = this.searchCombinations[combinationIndex];
-      const { location, naicsCode, naicsName, jobTitle, groupIndex } = combination;
+      const { location, naicsCode, naicsName, jobTitles, groupIndex } = combination;
+      const resolvedLocation = combination.resolvedLocation || resolveLocation(location);
+      const filters = combination.filters || {};
       
-      this.logger.info(`Processing combination ${combinationIndex + 1}/${this.searchCombinations.length}: ${location} + ${naicsCode} + ${jobTitle}`);
+      this.reportProgress(combinationIndex, combinationIndex);
+      this.logger.info(`Processing combination ${combinationIndex + 1}/${totalCombinations}: ${location} + ${naicsCode} (${jobTitles.length} job titles)${describeFilters(filters) ? `, filters: ${describeFilters(filters)}` : ''}`);
       
-      // Update state before processing
-      this.stateManager.updateProgress({
-        currentCombinationIndex: combinationIndex,
-        currentPage: 1
-      });
+      // Update state before processing - only reset page/company progress when
+      // moving on to a new combination, so a resumed combination continues where it stopped
+      const savedState = this.stateManager.getCurrentState();
+      const resumed = combinationIndex === savedState.currentCombinationIndex &&
+        ((savedState.completedPages || []).length > 0 || (savedState.completedCompanyIds || []).length > 0);
+      if (combinationIndex !== savedState.currentCombinationIndex) {
+        await this.stateManager.checkpoint({
+          currentCombinationIndex: combinationIndex,
+          currentFilters: filters,
+          currentPage: 1,
+          completedPages: [],
+          completedCompanyIds: []
+        });
+      } else {
+        // Resumed pages were searched with the filters saved in state
+        if (savedState.currentFilters && JSON.stringify(savedState.currentFilters) !== JSON.stringify(filters)) {
+          this.logger.warn(`Combination ${combinationIndex} was started with different search filters (${describeFilters(savedState.currentFilters) || 'none'}) - pages already searched are not repeated`);
+        }
+        await this.stateManager.checkpoint({ currentFilters: filters });
+      }
+      
+      const plan = this.planCombination(combination);
+      if (plan.skip && resumed) {
+        // A combination already under way is finished, so its partial results are saved
+        plan.skip = null;
+      }
+      const metricsBase = {
+        combinationIndex,
+        searchStrategy: this.strategyName,
+        location,
+        naicsCode,
+        titleSet: await this.metricsStore.registerTitleSet(jobTitles),
+        droppedTitles: plan.droppedTitles,
+        fallbackTitles: plan.fallbackTitles,
+        startedAt: new Date().toISOString()
+      };
+      
+      if (plan.skip) {
+        this.logger.info(`Skipping ${location} + ${naicsCode} (adaptive mode): ${plan.skip}`);
+        await this.metricsStore.record({ ...metricsBase, skipped: plan.skip, finishedAt: new Date().toISOString() });
+        await this.stateManager.checkpoint({ currentCombinationIndex: combinationIndex + 1 });
+        this.reportProgress(combinationIndex, combinationIndex + 1);
+        continue;
+      }
       
-      await this.processCombination(location, naicsCode, jobTitle);
+      const callsBefore = this.zoomInfoService.getCallCounts();
+      const metrics = await this.processCombination(resolvedLocation, naicsCode, plan.jobTitles, filters, plan);
+      const callsAfter = this.zoomInfoService.getCallCounts();
+      const apiCalls = Object.fromEntries(Object.keys(callsAfter)
+        .map(endpoint => [endpoint, callsAfter[endpoint] - (callsBefore[endpoint] || 0)])
+        .filter(([, count]) => count > 0));
+      await this.metricsStore.record({ ...metricsBase, ...metrics, apiCalls, resumed, finishedAt: new Date().toISOString() });
+      await this.stateManager.checkpoint({ currentCombinationIndex: combinationIndex + 1 });
+      this.reportProgress(combinationIndex, combinationIndex + 1);
+      await this.zoomInfoService.syncUsageIfDue();
       
       // Log progress
-      const progress = ((combinationIndex + 1) / this.searchCombinations.length) * 100;
+      const progress = ((combinationIndex + 1) / totalCombinations) * 100;
       this.logger.info(`Combination completed. Progress: ${progress.toFixed(2)}%`);
     }
     
-    this.stateManager.markCompleted();
-    this.logger.info('All combinations processed successfully!');
+    // Only a run that covered every index from 0 is complete; after --from N the combinations
+    // before N are still to do, and a later run without --from picks them up
+    if (isFullRun) {
+      this.stateManager.markCompleted();
+      this.logger.info('All combinations processed successfully!');
+    } else {
+      this.logger.info(`Combinations ${rangeStart}-${rangeEnd - 1} processed successfully`);
+    }
+    
+    const finalState = this.stateManager.getCurrentState();
+    this.logger.info('Run summary', {
+      processedCompanies: finalState.processedCompanies,
+      processedContacts: finalState.processedContacts,
+      rejectedContacts: describeRejections(finalState.rejectedContacts) || 'none',
+      budget: this.zoomInfoService.budget.describe('run')
+    });
+  }
+
+  // Combination, progress and exclusion set gauges for the monitoring server
+  reportProgress(combinationIndex, completedCombinations) {
+    telemetry.combinationIndex.set(combinationIndex);
+    telemetry.combinationsTotal.set(this.searchCombinations.length);
+    telemetry.progressPercent.set((completedCombinations / this.searchCombinations.length) * 100);
+    telemetry.exclusionSetSize.set(this.bucketService.getExclusionCount(), { list: 'company' });
+    telemetry.exclusionSetSize.set(this.bucketService.getContactExclusionCount(), { list: 'contact' });
+  }
+
+  // Adaptive mode: judge the combination's NAICS code, and each of its titles for that NAICS code, by the
+  // yield recorded for them so far. Low-yield NAICS codes are skipped, or limited to one page of companies
+  // when deprioritising; low-yield titles are dropped, or only searched at companies where the other
+  // titles found nobody. Returns { skip, jobTitles, droppedTitles, fallbackTitles, maxPages }.
+  planCombination(combination) {
+    const plan = { skip: null, jobTitles: combination.jobTitles, droppedTitles: [], fallbackTitles: [], maxPages: null };
+    if (this.adaptiveMode === 'off' || !combination.naicsCode || !this.metricsStore.records) {
+      return plan;
+    }
+    
+    const history = this.metricsStore.records.filter(record => record.naicsCode === combination.naicsCode);
+    const isLow = (companies, yieldPer100) => companies >= this.adaptiveMinCompanies && yieldPer100 < this.adaptiveMinYield;
+    const describeYield = (yieldPer100, companies) => `${yieldPer100.toFixed(1)} contacts per 100 companies over ${companies} companies`;
+    
+    const naicsTotals = this.metricsStore.summarise(history);
+    if (isLow(naicsTotals.newCompanies, naicsTotals.yield)) {
+      const reason = `NAICS ${combination.naicsCode} yields ${describeYield(naicsTotals.yield, naicsTotals.newCompanies)}`;
+      if (this.adaptiveMode === 'skip') {
+        return { ...plan, skip: reason };
+      }
+      this.logger.info(`${reason} - searching one page of companies only`);
+      plan.maxPages = 1;
+    }
+    
+    const titleYields = this.metricsStore.titleYields(history);
+    const lowTitles = combination.jobTitles.filter(title => {
+      const totals = titleYields.get(title);
+      return totals && isLow(totals.companies, totals.yield);
+    });
+    if (lowTitles.length === 0) {
+      return plan;
+    }
+    
+    const low = new Set(lowTitles);
+    const otherTitles = combination.jobTitles.filter(title => !low.has(title));
+    if (this.adaptiveMode === 'skip') {
+      if (otherTitles.length === 0) {
+        return { ...plan, skip: `every title yields under ${this.adaptiveMinYield} contacts per 100 companies for NAICS ${combination.naicsCode}` };
+      }
+      this.logger.info(`Dropping ${lowTitles.length} low-yield titles for NAICS ${combination.naicsCode}`);
+      return { ...plan, jobTitles: otherTitles, droppedTitles: lowTitles };
+    }
+    if (otherTitles.length > 0) {
+      this.logger.info(`Searching ${lowTitles.length} low-yield titles for NAICS ${combination.naicsCode} only as a fallback`);
+      return { ...plan, jobTitles: otherTitles, fallbackTitles: lowTitles };
+    }
+    return plan;
+  }
+
+  // Rough API call estimate for a combination, assuming `companiesPerCombination` new
+  // companies with `contactsPerCompany` contacts each (used for dry runs)
+  estimateApiCalls(combination, companiesPerCombination = this.batchSize, contactsPerCompany = 1) {
+    const titleGroupCount = Math.ceil(combination.jobTitles.length / this.titleGroupSize);
+    const companySearches = Math.max(1, Math.ceil(companiesPerCombination / this.batchSize));
+    const contactSearches = companiesPerCombination * titleGroupCount;
+    const enrichBatchSize = this.zoomInfoService?.enrichBatchSize || 25;
+    const enrichCalls = Math.ceil((companiesPerCombination * contactsPerCompany) / enrichBatchSize) +
+      (this.enrichCompanies ? Math.ceil(companiesPerCombination / enrichBatchSize) : 0);
+    return {
+      companySearches,
+      contactSearches,
+      enrichCalls,
+      total: companySearches + contactSearches + enrichCalls
+    };
   }
 
-  async processCombination(location, naicsCode, jobTitle) {
+  // `location` is a resolved location (config/locations.js); `plan` comes from planCombination.
+  // Returns the combination's yield metrics (see MetricsStore).
+  async processCombination(location, naicsCode, jobTitles, filters = {}, plan = {}) {
     const state = this.stateManager.getCurrentState();
     let page = state.currentPage || 1;
+    const titleGroups = this.groupJobTitles(jobTitles);
+    const fallbackGroups = this.groupJobTitles(plan.fallbackTitles || []);
+    const metrics = this.createMetrics();
     let hasMorePages = true;
-    let combinationCompanies = [];
-    let combinationContacts = [];
     let consecutiveEmptyPages = 0;
     
-    this.logger.info(`Starting ${location}+${naicsCode}+${jobTitle} from page ${page}`);
+    // Pick up companies, contacts and paid enrichments already flushed to disk before a restart
+    const partialResults = await this.stateManager.loadPartialResults();
+    const enrichmentCache = partialResults.enriched;
+    const companyEnrichmentCache = partialResults.companyEnriched;
+    let combinationCompanies = [...partialResults.companies.values()].map(({ company }) => company);
+    let combinationContacts = [...partialResults.companies.values()].flatMap(({ contacts }) => contacts);
+    // A resumed combination's metrics start from the companies and pages finished before the restart
+    const completedPages = new Set(state.completedPages || []);
+    partialResults.companies.forEach(({ metrics: companyMetrics }) => this.addMetrics(metrics, companyMetrics));
+    partialResults.pages.forEach((companiesScanned, scannedPage) => {
+      if (completedPages.has(scannedPage)) this.addMetrics(metrics, { companiesScanned });
+    });
+    
+    this.logger.info(`Starting ${location.label}+${naicsCode} from page ${page} (${titleGroups.length} title groups)`);
     
     // Search companies for this location + NAICS combination
     let totalCount = null;
     while (hasMorePages) {
-      try {
-        // Pre-emptive check if we already know the total count and page is too high
-        if (totalCount !== null) {
-          const maxPage = Math.ceil(totalCount / this.batchSize);
-          if (page > maxPage) {
-            this.logger.info(`Skipping page ${page} as it exceeds max page ${maxPage} (totalCount: ${totalCount})`);
+      // Until the first response tells us the total count, fetch one page at a time;
+      // after that fetch a window of pages concurrently and process them in order
+      const maxPage = totalCount !== null ? Math.ceil(totalCount / this.batchSize) : page;
+      if (page > maxPage) {
+        this.logger.info(`Skipping page ${page} as it exceeds max page ${maxPage} (totalCount: ${totalCount})`);
+        break;
+      }
+      if (plan.maxPages && page > plan.maxPages) {
+        this.logger.info(`Stopping ${location.label}+${naicsCode} after ${plan.maxPages} page(s) (adaptive mode)`);
+        break;
+      }
+      
+      const windowSize = totalCount !== null ? this.pageConcurrency : 1;
+      const pages = [];
+      for (let windowPage = page; windowPage < page + windowSize && windowPage <= maxPage; windowPage++) {
+        pages.push(windowPage);
+      }
+      
+      const pageResults = await mapWithConcurrency(pages, this.pageConcurrency, (windowPage) =>
+        this.fetchCompanyPage(location, naicsCode, windowPage, filters)
+      );
+      
+      for (const { page: resultPage, companyResults, error } of pageResults) {
+        page = resultPage + 1;
+        
+        try {
+          if (error) {
+            throw error;
+          }
+          
+          // Store total count for future reference
+          const resultTotal = this.getTotalResults(companyResults);
+          if (resultTotal !== null) {
+            totalCount = resultTotal;
+          }
+          
+          if (!companyResults.data || companyResults.data.length === 0) {
+            this.logger.info(`No more companies found for ${location.label}+${naicsCode} at page ${resultPage}`);
             hasMorePages = false;
             break;
           }
-        }
-        
-        // Determine if location is a state or metro region
-        const isMetroRegion = location.includes(' - ');
-        const companySearchParams = {
-          [isMetroRegion ? 'metroRegion' : 'state']: location,
-          naicsCodes: naicsCode,
-          rpp: this.batchSize,
-          page: page
-        };
-        
-        this.logger.info(`Searching companies: ${location} + ${naicsCode}, page ${page}`);
-        const companyResults = await this.zoomInfoService.searchCompanies(companySearchParams);
-        
-        // Store total count for future reference
-        if (companyResults.totalCount !== undefined) {
-          totalCount = companyResults.totalCount;
-        }
-        
-        if (!companyResults.data || companyResults.data.length === 0) {
-          this.logger.info(`No more companies found for ${location}+${naicsCode} at page ${page}`);
-          hasMorePages = false;
-          break;
-        }
-        
-        // Filter out excluded companies
-        const newCompanies = companyResults.data.filter(company => 
-          !this.bucketService.isCompanyExcluded(company.id)
-        );
-        
-        this.logger.info(`Found ${companyResults.data.length} companies, ${newCompanies.length} are new`);
-        
-        if (newCompanies.length > 0) {
-          // Reset consecutive empty pages counter
-          consecutiveEmptyPages = 0;
           
-          // Process contacts for new companies
-          const { companies, contacts } = await this.processCompaniesContacts(newCompanies, jobTitle, location, naicsCode);
-          combinationCompanies.push(...companies);
-          combinationContacts.push(...contacts);
+          metrics.companiesScanned += companyResults.data.length;
           
-          // Update exclusion list with new company zi-ids
-          const newZiIds = newCompanies.map(company => company.id.toString());
-          await this.bucketService.updateCompanyExclusions(newZiIds);
-        } else {
-          // Track consecutive pages with no new companies
-          consecutiveEmptyPages++;
+          // Filter out excluded companies, companies under an excluded parent and companies already
+          // finished before a restart
+          const completedCompanyIds = new Set(this.stateManager.getCurrentState().completedCompanyIds || []);
+          const unexcludedCompanies = companyResults.data.filter(company => 
+            !this.bucketService.isCompanyExcluded(company.id) && !hasExcludedParent(filters, company)
+          );
+          const newCompanies = unexcludedCompanies.filter(company => 
+            !completedCompanyIds.has(company.id.toString())
+          );
+          
+          this.logger.info(`Found ${companyResults.data.length} companies, ${newCompanies.length} are new`);
           
-          // Stop if we've had too many consecutive empty pages
-          if (consecutiveEmptyPages >= 3) {
-            this.logger.info(`Stopping pagination after ${consecutiveEmptyPages} consecutive pages with no new companies`);
+          if (newCompanies.length > 0) {
+            // Reset consecutive empty pages counter
+            consecutiveEmptyPages = 0;
+            
+            // Enrich firmographics first, so companies whose enriched parent is excluded are dropped
+            // before their contacts are searched
+            const parentExcludedIds = new Set();
+            if (this.enrichCompanies) {
+              await this.enrichPageCompanies(newCompanies, companyEnrichmentCache);
+              newCompanies
+                .filter(company => hasExcludedParent(filters, companyEnrichmentCache.get(company.id.toString())))
+                .forEach(company => parentExcludedIds.add(company.id.toString()));
+              if (parentExcludedIds.size > 0) {
+                this.logger.info(`Skipped ${parentExcludedIds.size} companies under excluded parent companies`);
+              }
+            }
+            const keptCompanies = newCompanies.filter(company => !parentExcludedIds.has(company.id.toString()));
+            
+            // Process contacts for new companies across all job title groups
+            const { companies, contacts } = await this.processCompaniesContacts(keptCompanies, titleGroups, location, naicsCode, enrichmentCache, companyEnrichmentCache, { fallbackGroups, metrics });
+            combinationCompanies.push(...companies);
+            combinationContacts.push(...contacts);
+            
+            // Journal the companies processed now and any finished before a restart. Companies whose contact
+            // search was skipped after an error are left out, so a later run searches them again.
+            const newZiIds = [
+              ...companies.map(company => company.ziId),
+              ...unexcludedCompanies.map(company => company.id.toString()).filter(ziId => completedCompanyIds.has(ziId))
+            ];
+            await this.bucketService.updateCompanyExclusions(newZiIds);
+          } else {
+            // Track consecutive pages with no new companies
+            consecutiveEmptyPages++;
+            
+            // Stop if we've had too many consecutive empty pages
+            if (consecutiveEmptyPages >= 3) {
+              this.logger.info(`Stopping pagination after ${consecutiveEmptyPages} consecutive pages with no new companies`);
+              hasMorePages = false;
+              break;
+            }
+          }
+          
+          // Checkpoint the finished page, and the budget spent on it
+          await this.stateManager.appendPartialResults({ type: 'page', page: resultPage, companiesScanned: companyResults.data.length });
+          await this.stateManager.checkpoint({
+            currentPage: resultPage + 1,
+            completedPages: [...(this.stateManager.getCurrentState().completedPages || []), resultPage]
+          });
+          await this.zoomInfoService.budget.flush();
+          const { currentCombinationIndex } = this.stateManager.getCurrentState();
+          this.reportProgress(currentCombinationIndex, currentCombinationIndex);
+          
+          // Check if there are more pages (keep going until an empty page if the total is unknown)
+          const totalPages = totalCount !== null ? Math.ceil(totalCount / this.batchSize) : Infinity;
+          if (resultPage >= totalPages) {
+            this.logger.info(`Reached last page (${resultPage}/${totalPages}) for ${location.label}+${naicsCode}`);
             hasMorePages = false;
             break;
           }
-        }
-        
-        // Update progress
-        this.stateManager.updateProgress({ currentPage: page + 1 });
-        
-        // Check if there are more pages
-        const totalPages = Math.ceil(companyResults.totalCount / this.batchSize);
-        if (page >= totalPages) {
-          this.logger.info(`Reached last page (${page}/${totalPages}) for ${location}+${naicsCode}`);
-          hasMorePages = false;
-        } else {
-          page++;
-          // Additional safety check - prevent going beyond reasonable page numbers
-          if (page > totalPages + 5) {
-            this.logger.warn(`Page ${page} exceeds total pages ${totalPages} by too much, stopping pagination`);
+          
+        } catch (error) {
+          if (error instanceof PageOutOfRangeError) {
+            this.logger.info(`Reached end of available pages for ${location.label}+${naicsCode} at page ${resultPage} - stopping pagination immediately`);
             hasMorePages = false;
+            break;
+          }
+          
+          // Quota, auth and transient failures that outlasted the retries stop the run at this page
+          if (!isSkippable(error)) {
+            throw error;
+          }
+          
+          // A request ZoomInfo rejects (or a processing error) only loses this page
+          this.logger.error(`Error processing page ${resultPage} for ${location.label}+${naicsCode}:`, error);
+          if (page > 50) { // Safety limit
+            this.logger.error(`Too many pages for ${location.label}+${naicsCode}, stopping`);
+            hasMorePages = false;
+            break;
           }
-        }
-        
-      } catch (error) {
-        this.logger.error(`Error processing page ${page} for ${location}+${naicsCode}:`, error);
-        
-        // Check if it's a "page number too high" error
-        // The error message could be in error.message or in the original API response
-        const errorMessage = error.message ? error.message.toLowerCase() : '';
-        const errorString = JSON.stringify(error).toLowerCase();
-        
-        // Check for the specific error pattern: "Page number (page) requested is greater than the available results"
-        const isPageTooHighError = (errorMessage.includes('400') || errorString.includes('400')) && 
-          (errorMessage.includes('page number') || 
-           errorMessage.includes('page) requested is greater than') ||
-           errorMessage.includes('greater than the available results') ||
-           errorString.includes('page number') ||
-           errorString.includes('page) requested is greater than') ||
-           errorString.includes('greater than the available results'));
-        
-        if (isPageTooHighError) {
-          this.logger.info(`Reached end of available pages for ${location}+${naicsCode} at page ${page} - stopping pagination immediately`);
-          hasMorePages = false;
-          break;
-        }
-        
-        // For other errors, skip this page and continue
-        page++;
-        if (page > 50) { // Safety limit
-          this.logger.error(`Too many pages for ${location}+${naicsCode}, stopping`);
-          hasMorePages = false;
         }
       }
     }
     
     // Save results for this combination if we have any
-    this.logger.info(`Before saveResults: ${combinationCompanies.length} companies, ${combinationContacts.length} contacts for ${location}+${naicsCode}+${jobTitle}`);
+    this.logger.info(`Before saveResults: ${combinationCompanies.length} companies, ${combinationContacts.length} contacts for ${location.label}+${naicsCode}`);
     if (combinationCompanies.length > 0 || combinationContacts.length > 0) {
-      await this.saveResults(combinationCompanies, combinationContacts, location, naicsCode, jobTitle);
+      await this.saveResults(combinationCompanies, combinationContacts, location, naicsCode, filters);
     } else {
-      this.logger.warn(`No data to save for ${location}+${naicsCode}+${jobTitle} - companies: ${combinationCompanies.length}, contacts: ${combinationContacts.length}`);
+      this.logger.warn(`No data to save for ${location.label}+${naicsCode} - companies: ${combinationCompanies.length}, contacts: ${combinationContacts.length}`);
     }
     
-    // Reset page for next combination
-    this.stateManager.updateProgress({ currentPage: 1 });
+    // Results are uploaded - publish this combination's new company and contact exclusions
+    await this.bucketService.flushExclusions();
+    
+    // Results are safely written - drop the partial results and reset page for next combination
+    await this.stateManager.clearPartialResults();
+    await this.stateManager.checkpoint({ currentPage: 1, completedPages: [], completedCompanyIds: [] });
     
-    this.logger.info(`Completed ${location}+${naicsCode}+${jobTitle}: ${combinationCompanies.length} companies, ${combinationContacts.length} contacts`);
+    this.logger.info(`Completed ${location.label}+${naicsCode}: ${combinationCompanies.length} companies, ${combinationContacts.length} contacts`);
+    return metrics;
+  }
+
+  // Empty yield metrics for a combination
+  createMetrics() {
+    return {
+      companiesScanned: 0,
+      newCompanies: 0,
+      fallbackCompanies: 0,
+      contactsFound: 0,
+      enriched: 0,
+      kept: 0,
+      rejected: {},
+      titles: {}
+    };
+  }
+
+  // Add counts (one company's metrics, or a page's companiesScanned) to a combination's metrics
+  addMetrics(metrics, counts = {}) {
+    for (const key of ['companiesScanned', 'newCompanies', 'fallbackCompanies', 'contactsFound', 'enriched', 'kept']) {
+      metrics[key] += counts[key] || 0;
+    }
+    addRejections(metrics.rejected, counts.rejected);
+    for (const [title, { found, kept }] of Object.entries(counts.titles || {})) {
+      metrics.titles[title] = metrics.titles[title] || { found: 0, kept: 0 };
+      metrics.titles[title].found += found;
+      metrics.titles[title].kept += kept;
+    }
+    return metrics;
+  }
+
+  // Fetch one page of company search results; errors are returned rather than thrown
+  // so a window of concurrent page fetches can be processed in order
+  async fetchCompanyPage(location, naicsCode, page, filters = {}) {
+    try {
+      const companySearchParams = {
+        ...toLocationSearchParams(location),
+        naicsCodes: naicsCode,
+        ...toSearchParams(filters),
+        rpp: this.batchSize,
+        page: page
+      };
+      
+      this.logger.info(`Searching companies: ${location.label} + ${naicsCode}, page ${page}`);
+      const companyResults = await this.zoomInfoService.searchCompanies(companySearchParams);
+      return { page, companyResults };
+    } catch (error) {
+      return { page, error };
+    }
+  }
+
+  // Search responses report their size as totalResults; older responses used totalCount
+  getTotalResults(results) {
+    const total = results.totalResults ?? results.totalCount;
+    return total !== undefined && total !== null ? parseInt(total) : null;
+  }
+
+  // Split the job title list into groups that are OR-ed together in one contact search
+  groupJobTitles(jobTitles) {
+    const groups = [];
+    for (let i = 0; i < jobTitles.length; i += this.titleGroupSize) {
+      groups.push(jobTitles.slice(i, i + this.titleGroupSize));
+    }
+    return groups;
   }
 
-  async processCompaniesContacts(companies, jobTitle, location, naicsCode) {
+  // `options.fallbackGroups` are only searched at companies the title groups found nobody at;
+  // `options.metrics` collects the combination's yield metrics
+  async processCompaniesContacts(companies, titleGroups, location, naicsCode, enrichmentCache = new Map(), companyEnrichmentCache = new Map(), options = {}) {
+    const { fallbackGroups = [], metrics = this.createMetrics() } = options;
     const processedCompanies = [];
     const processedContacts = [];
     
-    this.logger.info(`Processing ${companies.length} companies for job title: "${jobTitle}"`);
+    this.logger.info(`Processing ${companies.length} companies across ${titleGroups.length} job title groups`);
     
-    for (const company of companies) {
+    // Search contacts for every company on the page first, so enrichment can be batched
+    const searchResults = await mapWithConcurrency(companies, this.companyConcurrency, async (company) => {
       try {
-        // Add company data with separate state and metro region fields
-        const isMetroRegion = location.includes(' - ') || location.includes(', ');
-        const companyData = {
-          ziId: company.id.toString(),
-          name: company.name,
-          state: isMetroRegion ? '' : location,
-          metroRegion: isMetroRegion ? location : '',
-          naicsCode: naicsCode,
-          website: company.website || '',
-          phone: company.phone || ''
+        // Collect unique contacts for this company across every title group - the same person can
+        // match more than one group - and which of the searched titles each contact's title contains
+        const companyContacts = new Map();
+        const contactTitles = new Map();
+        const searchGroups = async (groups) => {
+          const groupResults = await mapWithConcurrency(groups, this.contactSearchConcurrency, (titleGroup) =>
+            this.searchCompanyContacts(company, titleGroup)
+          );
+          groupResults.forEach((contacts, index) => contacts.forEach(contact => {
+            const personId = contact.id.toString();
+            const jobTitle = (contact.jobTitle || '').toLowerCase();
+            companyContacts.set(personId, contact);
+            const titles = contactTitles.get(personId) || new Set();
+            groups[index].filter(title => jobTitle.includes(title.toLowerCase())).forEach(title => titles.add(title));
+            contactTitles.set(personId, titles);
+          }));
         };
-        processedCompanies.push(companyData);
         
-        // Search contacts for this company and job title
-        // Removed requiredFields to be more permissive - we'll filter after getting results
-        const contactSearchParams = {
-          companyId: company.id.toString(),
-          jobTitle: jobTitle,
-          contactAccuracyScoreMin: '75', // Minimum accuracy score for quality
-          excludePartialProfiles: true, // Exclude incomplete profiles
-          rpp: this.batchSize
-        };
-        
-        this.logger.info(`CONTACT SEARCH: Company "${company.name}" (ID: ${company.id}), Job Title: "${jobTitle}"`);
-        this.logger.debug('Contact search params:', contactSearchParams);
-        
-        const contactResults = await this.zoomInfoService.searchContacts(contactSearchParams);
-        
-        this.logger.info(`CONTACT SEARCH RESULT: Found ${contactResults.data?.length || 0} contacts for "${company.name}"`);
-        this.logger.debug('Full contact search response:', JSON.stringify(contactResults, null, 2));
-        
-        if (contactResults.data && contactResults.data.length > 0) {
-          this.logger.info(`Found ${contactResults.data.length} contacts with required contact information`);
-          
-          // Log sample contact to understand structure
-          if (contactResults.data.length > 0) {
-            this.logger.debug('Sample contact structure:', JSON.stringify(contactResults.data[0], null, 2));
-          }
-          
-          // Process all contacts (we'll filter for contact info using OR logic)
-          for (const contact of contactResults.data) {
-            try {
-              this.logger.debug(`ENRICHING CONTACT: ${contact.id} - ${contact.firstName} ${contact.lastName}`);
-              
-              const enrichedContact = await this.zoomInfoService.enrichContact({
-                matchPersonInput: [{ personId: contact.id.toString() }],
-                outputFields: [
-                  'id',
-                  'firstName',
-                  'lastName',
-                  'email',
-                  'phone',
-                  'mobilePhone',
-                  'jobTitle',
-                  'companyId',
-                  'companyName',
-                  'contactAccuracyScore',
-                  'managementLevel'
-                ]
-              });
-              
-              this.logger.debug('Enrichment response:', JSON.stringify(enrichedContact, null, 2));
-              
-              // Extract contact data from ZoomInfo enrichment response structure
-              const enrichedData = enrichedContact.data?.result?.[0]?.data?.[0];
-              
-              if (enrichedData && (enrichedData.email || enrichedData.phone || enrichedData.mobilePhone)) {
-                const isMetroRegion = location.includes(' - ') || location.includes(', ');
-                const contactData = {
-                  ziId: contact.id.toString(),
-                  companyZiId: company.id.toString(),
-                  companyName: company.name,
-                  name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
-                  jobTitle: contact.jobTitle || jobTitle,
-                  email: enrichedData.email || '',
-                  phone: enrichedData.phone || '',
-                  mobilePhone: enrichedData.mobilePhone || '',
-                  state: isMetroRegion ? '' : location,
-                  metroRegion: isMetroRegion ? location : '',
-                  naicsCode: naicsCode
-                };
-                processedContacts.push(contactData);
-                this.logger.info(`✓ Successfully processed contact: ${contactData.name} (${contactData.email || contactData.mobilePhone})`);
-              } else {
-                this.logger.warn(`✗ Contact ${contact.id} enrichment failed - no contact info returned`);
-                this.logger.debug('Enrichment structure:', JSON.stringify(enrichedContact.data, null, 2));
-              }
-            } catch (enrichError) {
-              this.logger.error(`Failed to enrich contact ${contact.id}:`, enrichError.message);
-            }
-          }
-        } else {
-          this.logger.info(`No contacts found for "${jobTitle}" at "${company.name}"`);
+        await searchGroups(titleGroups);
+        const searchedFallback = companyContacts.size === 0 && fallbackGroups.length > 0;
+        if (searchedFallback) {
+          await searchGroups(fallbackGroups);
         }
         
-        // Update processed counts
-        const currentState = this.stateManager.getCurrentState();
-        this.stateManager.updateProgress({
-          processedCompanies: currentState.processedCompanies + 1,
-          processedContacts: currentState.processedContacts + processedContacts.length
-        });
+        this.logger.info(`CONTACT SEARCH RESULT: Found ${companyContacts.size} unique contacts for "${company.name}"`);
+        return { company, contacts: [...companyContacts.values()], contactTitles, searchedFallback };
         
       } catch (error) {
+        if (!isSkippable(error)) {
+          throw error;
+        }
         this.logger.error(`Error processing company ${company.id}:`, error);
+        return null;
+      }
+    });
+    const searchedCompanies = searchResults.filter(Boolean);
+    
+    // Title yields count every contact found, before deduplication and the quality rules
+    for (const searched of searchedCompanies) {
+      searched.metrics = {
+        newCompanies: 1,
+        fallbackCompanies: searched.searchedFallback ? 1 : 0,
+        contactsFound: searched.contacts.length,
+        titles: {}
+      };
+      searched.contactTitles.forEach(titles => titles.forEach(title => {
+        searched.metrics.titles[title] = searched.metrics.titles[title] || { found: 0, kept: 0 };
+        searched.metrics.titles[title].found++;
+      }));
+    }
+    
+    // Drop contacts delivered by an earlier run or combination (per CONTACT_DEDUP_POLICY) before
+    // paying to enrich them; contacts already enriched before a restart are kept
+    let duplicateContacts = 0;
+    for (const searched of searchedCompanies) {
+      searched.contacts = searched.contacts.filter(contact => {
+        const personId = contact.id.toString();
+        if (enrichmentCache.has(personId) || this.bucketService.shouldEnrichContact(personId, contact.contactAccuracyScore)) {
+          return true;
+        }
+        duplicateContacts++;
+        return false;
+      });
+    }
+    if (duplicateContacts > 0) {
+      this.logger.info(`Skipped ${duplicateContacts} contacts already in the contact exclusion list`);
+    }
+    
+    // Apply the quality rules to what the search results show, so rejected contacts are never enriched
+    // (contacts already enriched before a restart are checked after enrichment below)
+    for (const searched of searchedCompanies) {
+      searched.rejected = {};
+      searched.contacts = searched.contacts.filter(contact => {
+        if (enrichmentCache.has(contact.id.toString())) return true;
+        const reason = checkContact(this.qualityRules, contact);
+        if (reason) searched.rejected[reason] = (searched.rejected[reason] || 0) + 1;
+        return !reason;
+      });
+    }
+    const searchRejections = searchedCompanies.reduce((totals, { rejected }) => addRejections(totals, rejected), {});
+    if (Object.keys(searchRejections).length > 0) {
+      this.logger.info(`Rejected before enrichment: ${describeRejections(searchRejections)}`);
+    }
+    
+    // Enrich all contacts found on this page in bulk, skipping any already paid for before a restart.
+    // Each returned batch is flushed to disk straight away so paid enrichments survive a crash.
+    const personIds = [...new Set(searchedCompanies
+      .flatMap(({ contacts }) => contacts.map(contact => contact.id.toString()))
+      .filter(personId => !enrichmentCache.has(personId)))];
+    const { failures } = personIds.length > 0
+      ? await this.zoomInfoService.enrichContacts(personIds, this.enrichOutputFields, {
+        onBatch: async (batchResults) => {
+          batchResults.forEach((data, personId) => enrichmentCache.set(personId, data));
+          await this.stateManager.appendPartialResults({ type: 'enriched', results: Object.fromEntries(batchResults) });
+        }
+      })
+      : { failures: [] };
+    
+    for (const { personId, reason } of failures) {
+      this.logger.warn(`✗ Contact ${personId} enrichment failed - ${reason}`);
+    }
+    
+    // Location fields (state, metro region, country...) and NAICS code of the combination being processed
+    const combination = {
+      ...toLocationFields(location),
+      naicsCode: naicsCode
+    };
+    
+    for (const { company, contacts, contactTitles, rejected, metrics: companyMetrics } of searchedCompanies) {
+      const companyEnrichedData = companyEnrichmentCache.get(company.id.toString());
+      const companyData = {
+        ...buildRecord(this.fieldMapping.company, { search: company, enrich: companyEnrichedData, combination }),
+        // Untouched search and enrich results, kept for the JSONL and Parquet outputs
+        raw: { search: company, enrich: companyEnrichedData }
+      };
+      
+      const companyContacts = [];
+      const enrichedContacts = [];
+      for (const contact of contacts) {
+        const enrichedData = enrichmentCache.get(contact.id.toString());
+        if (enrichedData) {
+          enrichedContacts.push({ ziId: contact.id.toString(), accuracyScore: enrichedData.contactAccuracyScore ?? contact.contactAccuracyScore });
+        }
+        
+        const reason = enrichedData ? checkContact(this.qualityRules, contact, enrichedData) : 'enrichFailed';
+        if (!reason) {
+          const name = `${contact.firstName || enrichedData.firstName || ''} ${contact.lastName || enrichedData.lastName || ''}`.trim();
+          const contactData = {
+            ...buildRecord(this.fieldMapping.contact, { search: contact, enrich: enrichedData, company: companyData, combination }, { name }),
+            raw: { search: contact, enrich: enrichedData }
+          };
+          companyContacts.push(contactData);
+          contactTitles.get(contact.id.toString()).forEach(title => { companyMetrics.titles[title].kept++; });
+          this.logger.info(`✓ Successfully processed contact: ${name} (${enrichedData.email || enrichedData.mobilePhone})`);
+        } else {
+          rejected[reason] = (rejected[reason] || 0) + 1;
+          if (enrichedData) {
+            this.logger.debug(`✗ Contact ${contact.id} rejected - ${describeRejections({ [reason]: 1 })}`);
+          }
+        }
       }
+      
+      processedCompanies.push(companyData);
+      processedContacts.push(...companyContacts);
+      Object.assign(companyMetrics, { enriched: enrichedContacts.length, kept: companyContacts.length, rejected });
+      this.addMetrics(metrics, companyMetrics);
+      
+      // Flush the company's results and metrics, then record it as finished so a restart never searches it again
+      await this.stateManager.appendPartialResults({ type: 'company', company: companyData, contacts: companyContacts, metrics: companyMetrics });
+      await this.bucketService.updateContactExclusions(enrichedContacts);
+      const currentState = this.stateManager.getCurrentState();
+      await this.stateManager.checkpoint({
+        processedCompanies: currentState.processedCompanies + 1,
+        processedContacts: currentState.processedContacts + companyContacts.length,
+        rejectedContacts: addRejections({ ...currentState.rejectedContacts }, rejected),
+        completedCompanyIds: [...(currentState.completedCompanyIds || []), companyData.ziId]
+      });
     }
     
     this.logger.info(`FINAL RESULTS: ${processedCompanies.length} companies, ${processedContacts.length} contacts`);
     return { companies: processedCompanies, contacts: processedContacts };
   }
 
-  async saveResults(companies, contacts, location, naicsCode, jobTitle) {
+  // Enrich a page of companies in batches, skipping any already enriched before a restart. Like contact
+  // enrichment each batch is flushed to disk as it returns; failures leave the company with search data only.
+  async enrichPageCompanies(companies, companyEnrichmentCache) {
+    const companyIds = companies
+      .map(company => company.id.toString())
+      .filter(companyId => !companyEnrichmentCache.has(companyId));
+    if (companyIds.length === 0) return;
+    
+    const { failures } = await this.zoomInfoService.enrichCompanies(companyIds, this.companyEnrichOutputFields, {
+      onBatch: async (batchResults) => {
+        batchResults.forEach((data, companyId) => companyEnrichmentCache.set(companyId, data));
+        await this.stateManager.appendPartialResults({ type: 'companyEnriched', results: Object.fromEntries(batchResults) });
+      }
+    });
+    
+    for (const { companyId, reason } of failures) {
+      this.logger.warn(`✗ Company ${companyId} enrichment failed - ${reason}`);
+    }
+  }
+
+  // Search contacts at a single company matching any title in the group, following result pages
+  async searchCompanyContacts(company, titleGroup) {
+    const contacts = [];
+    let page = 1;
+    
+    while (page <= this.maxContactPages) {
+      // Accuracy and partial profile rules are applied by the search; the rest are checked on the results
+      const contactSearchParams = {
+        companyId: company.id.toString(),
+        jobTitle: titleGroup.join(' OR '),
+        ...toContactSearchParams(this.qualityRules),
+        rpp: this.batchSize,
+        page: page
+      };
+      
+      this.logger.info(`CONTACT SEARCH: Company "${company.name}" (ID: ${company.id}), ${titleGroup.length} job titles, page ${page}`);
+      this.logger.debug('Contact search params:', contactSearchParams);
+      
+      const contactResults = await this.zoomInfoService.searchContacts(contactSearchParams);
+      this.logger.debug('Full contact search response:', JSON.stringify(contactResults, null, 2));
+      
+      if (!contactResults.data || contactResults.data.length === 0) {
+        break;
+      }
+      
+      contacts.push(...contactResults.data);
+      
+      const totalPages = Math.ceil((this.getTotalResults(contactResults) || 0) / this.batchSize);
+      if (page >= totalPages) {
+        break;
+      }
+      page++;
+    }
+    
+    return contacts;
+  }
+
+  async saveResults(companies, contacts, location, naicsCode, filters = {}) {
     try {
       const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
       // Clean location name for filename
-      const cleanLocation = location.replace(/[^a-zA-Z0-9]/g, '-');
-      const identifier = `${cleanLocation}-${naicsCode}-${jobTitle.replace(/[^a-zA-Z0-9]/g, '-')}-${timestamp}`;
+      const cleanLocation = location.label.replace(/[^a-zA-Z0-9]/g, '-');
+      const label = `${cleanLocation}-${naicsCode}`;
+      const identifier = `${label}-${timestamp}`;
       
       this.logger.info(`saveResults called with ${companies.length} companies, ${contacts.length} contacts`);
       
-      // Generate CSV files - always try to generate companies file
-      const companiesFile = companies.length > 0 ? await this.csvWriter.writeCompanies(companies, identifier) : null;
-      const contactsFile = contacts.length > 0 ? await this.csvWriter.writeContacts(contacts, identifier) : null;
+      // Roll up how many contacts each company contributed
+      const contactCounts = new Map();
+      contacts.forEach(contact => contactCounts.set(contact.companyZiId, (contactCounts.get(contact.companyZiId) || 0) + 1));
+      const companiesWithCounts = companies.map(company => ({ ...company, contactCount: contactCounts.get(company.ziId) || 0 }));
       
-      this.logger.info(`CSV files created: companiesFile=${!!companiesFile}, contactsFile=${!!contactsFile}`);
+      // Write every configured output format, then upload them together
+      const files = [];
+      for (const writer of this.writers) {
+        const written = await writer.writeResults(companiesWithCounts, contacts, identifier);
+        files.push(...written.map(file => ({ ...file, format: writer.format })));
+      }
+      
+      this.logger.info(`Result files created: ${files.map(file => `${file.format}/${file.kind}`).join(', ') || 'none'}`);
       
-      // Only upload files that were successfully created
-      if (companiesFile || contactsFile) {
-        await this.bucketService.uploadResults(companiesFile, contactsFile);
+      if (files.length > 0) {
+        const uploaded = await this.bucketService.uploadResults(files, timestamp, { label });
+        // Describe the combination and search filters behind these files next to them
+        const metadataFile = await this.writeResultMetadata(identifier, {
+          combinationIndex: this.stateManager.getCurrentState().currentCombinationIndex,
+          searchStrategy: this.strategyName,
+          location: location.label,
+          locationType: location.type,
+          locationId: location.id,
+          naicsCode,
+          filters,
+          searchParams: { ...toLocationSearchParams(location), naicsCodes: naicsCode, ...toSearchParams(filters) },
+          companies: companies.length,
+          contacts: contacts.length,
+          createdAt: new Date().toISOString(),
+          files: uploaded.map(({ format, kind, remotePath }) => ({ format, kind, remotePath }))
+        });
+        await this.bucketService.uploadResults([{ format: 'metadata', kind: 'combination', path: metadataFile }], timestamp, { label });
       }
       
-      this.logger.info(`Results saved for ${location}+${naicsCode}+${jobTitle}:`, {
+      this.logger.info(`Results saved for ${location.label}+${naicsCode}:`, {
         companies: companies.length,
         contacts: contacts.length,
-        files: { companiesFile, contactsFile }
+        files: files.map(file => file.path)
       });
       
     } catch (error) {
@@ -358,6 +824,13 @@ class LeadProcessor {
       throw error;
     }
   }
+
+  async writeResultMetadata(identifier, metadata) {
+    await fs.mkdir(this.metadataDir, { recursive: true });
+    const filePath = path.join(this.metadataDir, `combination-${identifier}.json`);
+    await fs.writeFile(filePath, JSON.stringify(metadata, null, 2));
+    return filePath;
+  }
 }
 
 module.exports = LeadProcessor;
\ No newline at end of file
@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Local store of per-combination yield metrics, one JSON record per finished (or skipped) combination
+// in data/metrics/combinations.jsonl:
+//
+//   { combinationIndex, searchStrategy, location, naicsCode, titleSet, droppedTitles, fallbackTitles,
+//     companiesScanned, newCompanies, contactsFound, enriched, kept, rejected, titles, apiCalls,
+//     skipped, resumed, startedAt, finishedAt }
+//
+// `titles` only lists titles that found someone ({ title: { found, kept } }); the full list of titles
+// searched is stored once per distinct list in title-sets.json and referenced by its `titleSet` hash,
+// so title yields can be computed against every company the title was searched at. A `resumed`
+// record also counts the pages and companies finished before the restart (kept in the partial results).
+class MetricsStore {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.metricsDir = options.metricsDir || path.join(__dirname, '../data/metrics');
+    this.recordsFile = path.join(this.metricsDir, 'combinations.jsonl');
+    this.titleSetsFile = path.join(this.metricsDir, 'title-sets.json');
+    this.records = null;
+    this.titleSets = null;
+  }
+
+  async load() {
+    if (this.records) return this.records;
+
+    this.records = [];
+    for (const line of (await readOptional(this.recordsFile)).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line; that combination is simply not counted
+        this.logger.warn(`Skipping unreadable record in ${path.basename(this.recordsFile)}`);
+      }
+    }
+    this.titleSets = JSON.parse((await readOptional(this.titleSetsFile)) || '{}');
+    return this.records;
+  }
+
+  // Id for a job title list, storing the list the first time it is seen
+  async registerTitleSet(titles) {
+    await this.load();
+    const id = crypto.createHash('sha1').update(JSON.stringify(titles)).digest('hex').slice(0, 12);
+    if (!this.titleSets[id]) {
+      this.titleSets[id] = titles;
+      await fs.mkdir(this.metricsDir, { recursive: true });
+      const tempFile = `${this.titleSetsFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(this.titleSets, null, 2));
+      await fs.rename(tempFile, this.titleSetsFile);
+    }
+    return id;
+  }
+
+  async record(entry) {
+    await this.load();
+    await fs.mkdir(this.metricsDir, { recursive: true });
+    await fs.appendFile(this.recordsFile, `${JSON.stringify(entry)}\n`);
+    this.records.push(entry);
+  }
+
+  // Titles a record's contact searches covered (its title set less any titles dropped by adaptive mode)
+  searchedTitles(record) {
+    const dropped = new Set(record.droppedTitles || []);
+    return (this.titleSets[record.titleSet] || []).filter(title => !dropped.has(title));
+  }
+
+  // Totals for a group of records
+  summarise(records) {
+    const totals = {
+      combinations: 0,
+      skipped: 0,
+      companiesScanned: 0,
+      newCompanies: 0,
+      contactsFound: 0,
+      enriched: 0,
+      kept: 0,
+      apiCalls: 0
+    };
+    for (const record of records) {
+      if (record.skipped) {
+        totals.skipped++;
+        continue;
+      }
+      totals.combinations++;
+      for (const key of ['companiesScanned', 'newCompanies', 'contactsFound', 'enriched', 'kept']) {
+        totals[key] += record[key] || 0;
+      }
+      totals.apiCalls += Object.values(record.apiCalls || {}).reduce((sum, count) => sum + count, 0);
+    }
+    return { ...totals, yield: yieldOf(totals.kept, totals.newCompanies) };
+  }
+
+  // Records grouped by `keyOf(record)`, each group summarised: [{ key, ...totals }]
+  groupBy(keyOf, records = this.records) {
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyOf(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+    return [...groups].map(([key, groupRecords]) => ({ key, ...this.summarise(groupRecords) }));
+  }
+
+  // Per-title totals over the given records: Map(title -> { companies, found, kept, yield }), where
+  // companies counts every company the title was searched at
+  titleYields(records = this.records) {
+    const titles = new Map();
+    const totalsOf = (title) => {
+      if (!titles.has(title)) titles.set(title, { companies: 0, found: 0, kept: 0 });
+      return titles.get(title);
+    };
+    for (const record of records) {
+      if (record.skipped) continue;
+      const fallback = new Set(record.fallbackTitles || []);
+      // Fallback titles were only searched at companies the other titles found nobody at
+      for (const title of this.searchedTitles(record)) {
+        totalsOf(title).companies += fallback.has(title) ? (record.fallbackCompanies || 0) : (record.newCompanies || 0);
+      }
+      for (const [title, { found, kept }] of Object.entries(record.titles || {})) {
+        totalsOf(title).found += found;
+        totalsOf(title).kept += kept;
+      }
+    }
+    titles.forEach(totals => { totals.yield = yieldOf(totals.kept, totals.companies); });
+    return titles;
+  }
+}
+
+// Contacts kept per 100 companies searched
+function yieldOf(kept, companies) {
+  return companies > 0 ? (kept / companies) * 100 : null;
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+module.exports = MetricsStore;
@@ -0,0 +1,74 @@
+const http = require('http');
+const telemetry = require('./telemetry');
+
+// Optional HTTP server for the VM's monitoring, started by `run` when METRICS_PORT is set:
+//   GET /healthz   200 while the process is alive
+//   GET /readyz    200 when every readiness check passes, 503 with the failing checks otherwise
+//   GET /metrics   Prometheus text format (see telemetry.js)
+class MonitoringServer {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.port = options.port ?? parseInt(process.env.METRICS_PORT);
+    // Loopback only unless METRICS_HOST opts in to a wider bind (the endpoints have no authentication)
+    this.host = options.host || process.env.METRICS_HOST || '127.0.0.1';
+    this.server = null;
+  }
+
+  isEnabled() {
+    return Number.isInteger(this.port) && this.port >= 0;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.logger.info(`Monitoring server listening on http://${this.host}:${this.port} (/healthz, /readyz, /metrics)`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      // Scrapers keep connections alive; don't let them hold up shutdown
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  async handle(req, res) {
+    const route = req.url.split('?')[0];
+    if (req.method !== 'GET') {
+      return send(res, 405, 'text/plain', 'Method not allowed\n');
+    }
+
+    try {
+      switch (route) {
+        case '/healthz':
+          return send(res, 200, 'application/json', JSON.stringify({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) }));
+        case '/readyz': {
+          const readiness = telemetry.checkReadiness();
+          return send(res, readiness.ready ? 200 : 503, 'application/json', JSON.stringify(readiness));
+        }
+        case '/metrics':
+          return send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', await telemetry.registry.render());
+        default:
+          return send(res, 404, 'text/plain', 'Not found\n');
+      }
+    } catch (error) {
+      this.logger.error(`Monitoring request ${route} failed:`, error.message);
+      return send(res, 500, 'text/plain', 'Internal error\n');
+    }
+  }
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+module.exports = MonitoringServer;
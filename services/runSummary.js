@@ -0,0 +1,273 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { addRejections, describeRejections } = require('../config/qualityRules');
+
+// Run statuses; SUMMARY_WEBHOOK_EVENTS picks which of them are posted to the webhook
+const STATUSES = ['running', 'completed', 'stopped', 'interrupted', 'failed'];
+const DEFAULT_WEBHOOK_EVENTS = ['completed', 'stopped', 'interrupted', 'failed'];
+
+// Summary of one run of `run`/`resume`: duration, combinations, companies and contacts, enrichment hit
+// rate, API calls and credits, the top NAICS codes and titles by yield and errors by type. Written as
+// data/summaries/run-<started>.json and .md when the run ends (and every SUMMARY_INTERVAL_MINUTES while it
+// runs), uploaded with the results under zi-backups/results/summaries/ and optionally posted to
+// SUMMARY_WEBHOOK_URL as a Slack-compatible { text } message.
+class RunSummary {
+  constructor(leadProcessor, logger, options = {}) {
+    this.leadProcessor = leadProcessor;
+    this.logger = logger;
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/summaries');
+    this.webhookUrl = options.webhookUrl ?? process.env.SUMMARY_WEBHOOK_URL;
+    this.webhookEvents = (options.webhookEvents || process.env.SUMMARY_WEBHOOK_EVENTS || DEFAULT_WEBHOOK_EVENTS.join(','))
+      .split(',').map(event => event.trim()).filter(Boolean);
+    const unknownEvents = this.webhookEvents.filter(event => !STATUSES.includes(event));
+    if (unknownEvents.length > 0) {
+      throw new Error(`Unknown SUMMARY_WEBHOOK_EVENTS ${unknownEvents.join(', ')}. Available: ${STATUSES.join(', ')}`);
+    }
+    this.intervalMs = (options.intervalMinutes ?? (parseFloat(process.env.SUMMARY_INTERVAL_MINUTES) || 0)) * 60 * 1000;
+    this.topCount = parseInt(process.env.SUMMARY_TOP_COUNT) || 5;
+    this.startedAt = new Date();
+    this.runId = this.startedAt.toISOString().replace(/:/g, '-').replace(/\..+/, '');
+    this.timer = null;
+    // Publishing is serialised so a periodic summary never lands after the final one
+    this.publishQueue = Promise.resolve();
+  }
+
+  // Start the periodic summaries when SUMMARY_INTERVAL_MINUTES is set
+  start() {
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.publish('running'), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Build, write, upload and post a summary. Failures are logged, never thrown - a summary must not
+  // change how the run ends. Returns the summary, or null when it could not be built.
+  publish(status, error = null) {
+    if (status !== 'running') this.stop();
+    const published = this.publishQueue.then(async () => {
+      let summary;
+      try {
+        await this.leadProcessor.zoomInfoService.budget.load();
+        summary = this.build(status, error);
+      } catch (buildError) {
+        this.logger.warn(`Could not build the run summary: ${buildError.message}`);
+        return null;
+      }
+      try {
+        const files = await this.write(summary);
+        // Replaced by each later summary of the same run
+        await this.leadProcessor.bucketService.uploadResults(files, this.runId, { replace: true });
+      } catch (writeError) {
+        this.logger.warn(`Could not save the run summary: ${writeError.message}`);
+      }
+      if (this.webhookUrl && this.webhookEvents.includes(status)) {
+        await this.postWebhook(summary);
+      }
+      if (status !== 'running') {
+        this.logger.info(`Run ${status}: ${summary.combinations.processed} combinations, ${summary.contacts.kept} contacts kept, ${summary.api.totalCalls} API calls in ${formatDuration(summary.durationSeconds)}`);
+      }
+      return summary;
+    });
+    this.publishQueue = published;
+    return published;
+  }
+
+  build(status, error = null) {
+    const { zoomInfoService, stateManager, metricsStore } = this.leadProcessor;
+    const now = new Date();
+    // Combinations finished (or skipped) since this run started
+    const startedAt = this.startedAt.toISOString();
+    const records = (metricsStore.records || []).filter(record => record.startedAt >= startedAt);
+    const totals = metricsStore.summarise(records);
+    const state = stateManager.getCurrentState();
+    const totalCombinations = this.leadProcessor.getTotalCombinations();
+
+    const enrichment = {};
+    for (const [label, { requested, matched }] of Object.entries(zoomInfoService.getEnrichCounts())) {
+      enrichment[label] = { requested, matched, hitRate: requested > 0 ? round((matched / requested) * 100) : null };
+    }
+    const calls = zoomInfoService.getCallCounts();
+    const rejected = records.reduce((rejections, record) => addRejections(rejections, record.rejected), {});
+
+    return {
+      runId: this.runId,
+      status,
+      startedAt,
+      updatedAt: now.toISOString(),
+      durationSeconds: Math.round((now - this.startedAt) / 1000),
+      searchStrategy: this.leadProcessor.strategyName,
+      combinations: {
+        processed: totals.combinations,
+        skipped: totals.skipped,
+        nextIndex: state.currentCombinationIndex || 0,
+        total: totalCombinations,
+        progressPercent: totalCombinations > 0 ? round(stateManager.getProgressPercentage(totalCombinations)) : null
+      },
+      companies: {
+        scanned: totals.companiesScanned,
+        searchedForContacts: totals.newCompanies,
+        processedOverall: state.processedCompanies || 0
+      },
+      contacts: {
+        found: totals.contactsFound,
+        enriched: totals.enriched,
+        kept: totals.kept,
+        rejected,
+        processedOverall: state.processedContacts || 0
+      },
+      yield: totals.yield === null ? null : round(totals.yield),
+      enrichment,
+      api: {
+        calls,
+        totalCalls: Object.values(calls).reduce((sum, count) => sum + count, 0),
+        budget: {
+          requests: zoomInfoService.budget.getTotals().run.requests,
+          credits: zoomInfoService.budget.getTotals().run.credits
+        }
+      },
+      topNaicsCodes: metricsStore.groupBy(record => record.naicsCode, records)
+        .filter(group => group.yield !== null)
+        .sort((a, b) => b.yield - a.yield)
+        .slice(0, this.topCount)
+        .map(group => ({ naicsCode: group.key, newCompanies: group.newCompanies, kept: group.kept, yield: round(group.yield) })),
+      topTitles: [...metricsStore.titleYields(records)]
+        .filter(([, title]) => title.yield !== null && title.kept > 0)
+        .sort(([, a], [, b]) => b.yield - a.yield)
+        .slice(0, this.topCount)
+        .map(([title, { companies, kept, yield: titleYield }]) => ({ title, companies, kept, yield: round(titleYield) })),
+      errors: {
+        byType: zoomInfoService.getErrorCounts(),
+        fatal: error ? {
+          type: error.name,
+          message: error.message,
+          endpoint: error.endpoint || null,
+          status: error.status ?? null
+        } : null
+      }
+    };
+  }
+
+  // Write the summary's JSON and Markdown files; returns them in the uploadResults shape
+  async write(summary) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const files = [];
+    for (const [extension, content] of [['.json', JSON.stringify(summary, null, 2)], ['.md', toMarkdown(summary)]]) {
+      const filePath = path.join(this.outputDir, `run-${summary.runId}${extension}`);
+      const tempFile = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, filePath);
+      files.push({ format: 'summaries', kind: 'run', path: filePath });
+    }
+    return files;
+  }
+
+  async postWebhook(summary) {
+    try {
+      await axios.post(this.webhookUrl, toWebhookMessage(summary), { timeout: 10000 });
+      this.logger.info(`Run summary posted to webhook (${summary.status})`);
+    } catch (error) {
+      this.logger.warn(`Could not post the run summary to the webhook: ${error.response?.status || error.code || ''} ${error.message}`);
+    }
+  }
+}
+
+function toMarkdown(summary) {
+  const { combinations, companies, contacts, api, errors } = summary;
+  const lines = [
+    `# Lead generation run ${summary.runId}`,
+    '',
+    `**Status:** ${summary.status}${errors.fatal ? ` - ${errors.fatal.type}: ${errors.fatal.message}` : ''}`,
+    '',
+    '| | |',
+    '|---|---|',
+    `| Started | ${summary.startedAt} |`,
+    `| Duration | ${formatDuration(summary.durationSeconds)} |`,
+    `| Strategy | ${summary.searchStrategy} |`,
+    `| Combinations | ${combinations.processed} processed, ${combinations.skipped} skipped (next index ${combinations.nextIndex} of ${combinations.total}, ${combinations.progressPercent ?? 0}% done) |`,
+    `| Companies | ${companies.scanned} scanned, ${companies.searchedForContacts} searched for contacts |`,
+    `| Contacts | ${contacts.found} found, ${contacts.enriched} enriched, ${contacts.kept} kept |`,
+    `| Rejected contacts | ${describeRejections(contacts.rejected) || 'none'} |`,
+    `| Yield | ${summary.yield ?? '-'} contacts per 100 companies |`,
+    `| Enrichment hit rate | ${describeEnrichment(summary.enrichment) || '-'} |`,
+    `| API calls | ${api.totalCalls} (${Object.entries(api.calls).map(([endpoint, count]) => `${endpoint} ${count}`).join(', ') || 'none'}) |`,
+    `| Budget used | ${api.budget.requests} requests, ${api.budget.credits} credits |`,
+    `| Errors | ${describeErrors(errors.byType) || 'none'} |`,
+    ''
+  ];
+
+  lines.push('## Top NAICS codes', '');
+  if (summary.topNaicsCodes.length > 0) {
+    lines.push('| NAICS | Companies | Kept | Yield |', '|---|---|---|---|');
+    summary.topNaicsCodes.forEach(row => lines.push(`| ${row.naicsCode} | ${row.newCompanies} | ${row.kept} | ${row.yield} |`));
+  } else {
+    lines.push('No combinations finished yet.');
+  }
+
+  lines.push('', '## Top titles', '');
+  if (summary.topTitles.length > 0) {
+    lines.push('| Title | Companies | Kept | Yield |', '|---|---|---|---|');
+    summary.topTitles.forEach(row => lines.push(`| ${row.title} | ${row.companies} | ${row.kept} | ${row.yield} |`));
+  } else {
+    lines.push('No titles have found contacts yet.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Slack incoming-webhook message; plain `text` also works with Mattermost, Teams workflows and most chat webhooks
+function toWebhookMessage(summary) {
+  const { combinations, contacts, api, errors } = summary;
+  const lines = [
+    `*Lead generation run ${summary.status}* (${summary.searchStrategy}, started ${summary.startedAt}, ${formatDuration(summary.durationSeconds)})`,
+    `Combinations: ${combinations.processed} processed, ${combinations.skipped} skipped - ${combinations.progressPercent ?? 0}% of ${combinations.total} done`,
+    `Contacts: ${contacts.kept} kept of ${contacts.found} found, ${summary.companies.searchedForContacts} companies searched`,
+    `Enrichment hit rate: ${describeEnrichment(summary.enrichment) || '-'}`,
+    `API: ${api.totalCalls} calls, ${api.budget.credits} credits`
+  ];
+  if (summary.topNaicsCodes.length > 0) {
+    lines.push(`Top NAICS: ${summary.topNaicsCodes.slice(0, 3).map(row => `${row.naicsCode} (${row.yield})`).join(', ')}`);
+  }
+  if (summary.topTitles.length > 0) {
+    lines.push(`Top titles: ${summary.topTitles.slice(0, 3).map(row => `${row.title} (${row.yield})`).join(', ')}`);
+  }
+  if (Object.keys(errors.byType).length > 0) {
+    lines.push(`Errors: ${describeErrors(errors.byType)}`);
+  }
+  if (errors.fatal) {
+    lines.push(`Stopped by ${errors.fatal.type}${errors.fatal.endpoint ? ` from ${errors.fatal.endpoint}` : ''}: ${errors.fatal.message}`);
+  }
+  return { text: lines.join('\n') };
+}
+
+// "contacts 92% (46/50), companies 100% (12/12)"
+function describeEnrichment(enrichment) {
+  return Object.entries(enrichment)
+    .map(([label, { requested, matched, hitRate }]) => `${label} ${hitRate ?? '-'}% (${matched}/${requested})`)
+    .join(', ');
+}
+
+function describeErrors(byType) {
+  return Object.entries(byType)
+    .sort(([, a], [, b]) => b - a)
+    .map(([type, count]) => `${type} ${count}`)
+    .join(', ');
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = RunSummary;
+module.exports.toMarkdown = toMarkdown;
+module.exports.toWebhookMessage = toWebhookMessage;
@@ -1,23 +1,37 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { metrics } = require('./telemetry');
 
 class StateManager {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
-    this.stateFile = path.join(__dirname, '../data/vm-state.json');
+    this.stateFile = options.stateFile || path.join(__dirname, '../data/vm-state.json');
+    // Partial results for the in-progress combination, one JSON record per line
+    this.checkpointDir = options.checkpointDir || path.join(__dirname, '../data/checkpoints');
+    // Serialises state writes so concurrent checkpoints never interleave
+    this.saveQueue = Promise.resolve();
     this.state = {
       currentStateIndex: 0,
       currentNaicsIndex: 0,
       currentJobTitleIndex: 0,
+      currentCombinationIndex: 0,
       currentPage: 1,
+      completedPages: [],
+      completedCompanyIds: [],
       processedCompanies: 0,
       processedContacts: 0,
+      // Contacts dropped by the quality rules, by reason
+      rejectedContacts: {},
       startTime: null,
       lastSaveTime: null,
       completed: false
     };
-    
-    // Auto-save every 30 seconds
+    this.autoSaveInterval = null;
+  }
+
+  // Auto-save every 30 seconds while a run is in progress
+  startAutoSave() {
+    if (this.autoSaveInterval) return;
     this.autoSaveInterval = setInterval(() => {
       this.saveState();
     }, 30000);
@@ -28,11 +42,14 @@ class StateManager {
       const stateData = await fs.readFile(this.stateFile, 'utf8');
       this.state = { ...this.state, ...JSON.parse(stateData) };
       this.logger.info('State loaded successfully', {
-        currentStateIndex: this.state.currentStateIndex,
-        currentNaicsIndex: this.state.currentNaicsIndex,
+        currentCombinationIndex: this.state.currentCombinationIndex,
+        currentPage: this.state.currentPage,
+        completedCompanies: this.state.completedCompanyIds.length,
         processedCompanies: this.state.processedCompanies,
         processedContacts: this.state.processedContacts
       });
+      metrics.companiesProcessed.set(this.state.processedCompanies);
+      metrics.contactsProcessed.set(this.state.processedContacts);
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.logger.info('No previous state found, starting fresh');
@@ -44,18 +61,113 @@ class StateManager {
     }
   }
 
-  async saveState() {
+  saveState() {
+    this.saveQueue = this.saveQueue.then(() => this.writeState());
+    return this.saveQueue;
+  }
+
+  async writeState() {
     try {
       this.state.lastSaveTime = new Date().toISOString();
       const stateDir = path.dirname(this.stateFile);
       await fs.mkdir(stateDir, { recursive: true });
-      await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+      await this.writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+      metrics.lastCheckpoint.set(Math.floor(Date.now() / 1000));
+      metrics.companiesProcessed.set(this.state.processedCompanies);
+      metrics.contactsProcessed.set(this.state.processedContacts);
       this.logger.debug('State saved successfully');
     } catch (error) {
       this.logger.error('Error saving state:', error);
     }
   }
 
+  // Write to a temp file, fsync, then rename over the target so a crash
+  // mid-write never leaves a truncated state file behind
+  async writeFileAtomic(filePath, content) {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempFile, filePath);
+  }
+
+  // Apply updates and persist them immediately
+  async checkpoint(updates) {
+    this.updateProgress(updates);
+    await this.saveState();
+  }
+
+  getPartialResultsFile() {
+    return path.join(this.checkpointDir, `combination-${this.state.currentCombinationIndex}.jsonl`);
+  }
+
+  // Append a record to the current combination's partial results and fsync it.
+  // Records are { type: 'company', company, contacts, metrics }, { type: 'enriched', results } (contacts),
+  // { type: 'companyEnriched', results } or { type: 'page', page, companiesScanned }.
+  async appendPartialResults(record) {
+    await fs.mkdir(this.checkpointDir, { recursive: true });
+    const handle = await fs.open(this.getPartialResultsFile(), 'a');
+    try {
+      await handle.write(`${JSON.stringify(record)}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Load partial results for the current combination written before a restart
+  async loadPartialResults() {
+    const companies = new Map();
+    const enriched = new Map();
+    const companyEnriched = new Map();
+    const pages = new Map();
+
+    let content;
+    try {
+      content = await fs.readFile(this.getPartialResultsFile(), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { companies, enriched, companyEnriched, pages };
+      }
+      throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        this.logger.warn('Skipping unreadable partial results record');
+        continue;
+      }
+
+      if (record.type === 'company') {
+        // Last record wins if a company was written twice around a crash
+        companies.set(record.company.ziId, { company: record.company, contacts: record.contacts || [], metrics: record.metrics });
+      } else if (record.type === 'enriched') {
+        Object.entries(record.results || {}).forEach(([personId, data]) => enriched.set(personId, data));
+      } else if (record.type === 'companyEnriched') {
+        Object.entries(record.results || {}).forEach(([companyId, data]) => companyEnriched.set(companyId, data));
+      } else if (record.type === 'page') {
+        pages.set(record.page, record.companiesScanned);
+      }
+    }
+
+    this.logger.info(`Loaded partial results for combination ${this.state.currentCombinationIndex}: ${companies.size} companies, ${enriched.size} enriched contacts, ${companyEnriched.size} enriched companies`);
+    return { companies, enriched, companyEnriched, pages };
+  }
+
+  async clearPartialResults() {
+    await fs.rm(this.getPartialResultsFile(), { force: true });
+  }
+
   updateProgress(updates) {
     Object.assign(this.state, updates);
   }
@@ -73,24 +185,34 @@ class StateManager {
   async cleanup() {
     if (this.autoSaveInterval) {
       clearInterval(this.autoSaveInterval);
+      this.autoSaveInterval = null;
     }
     await this.saveState();
   }
 
+  async hasSavedState() {
+    return fs.access(this.stateFile).then(() => true).catch(() => false);
+  }
+
+  // Remove the state file and any partial results so the next run starts fresh
+  async reset() {
+    await fs.rm(this.stateFile, { force: true });
+    await fs.rm(this.checkpointDir, { recursive: true, force: true });
+    this.logger.info('State and checkpoints cleared');
+  }
+
   // Progress tracking methods
-  getProgressPercentage(totalStates, totalNaics, totalJobTitles) {
-    const totalCombinations = totalStates * totalNaics * totalJobTitles;
-    const currentCombination = (this.state.currentStateIndex * totalNaics * totalJobTitles) +
-                              (this.state.currentNaicsIndex * totalJobTitles) +
-                              this.state.currentJobTitleIndex;
-    return (currentCombination / totalCombinations) * 100;
+  getProgressPercentage(totalCombinations) {
+    if (!totalCombinations) return 0;
+    if (this.state.completed) return 100;
+    return ((this.state.currentCombinationIndex || 0) / totalCombinations) * 100;
   }
 
-  getEstimatedTimeRemaining(totalStates, totalNaics, totalJobTitles) {
+  getEstimatedTimeRemaining(totalCombinations) {
     if (!this.state.startTime) return null;
     
     const elapsed = Date.now() - new Date(this.state.startTime).getTime();
-    const progress = this.getProgressPercentage(totalStates, totalNaics, totalJobTitles);
+    const progress = this.getProgressPercentage(totalCombinations);
     
     if (progress === 0) return null;
     
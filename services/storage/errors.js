@@ -0,0 +1,14 @@
+// Thrown by a backend when an upload's `ifGenerationMatch` precondition no longer holds,
+// i.e. another writer changed (or created) the object since it was read
+class PreconditionFailedError extends Error {
+  constructor(remotePath, cause) {
+    super(`Precondition failed for ${remotePath}: the object was modified by another writer`);
+    this.name = 'PreconditionFailedError';
+    this.remotePath = remotePath;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  PreconditionFailedError
+};
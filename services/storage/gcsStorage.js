@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const { PreconditionFailedError } = require('./errors');
+
+// Google Cloud Storage backend. Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+// or the VM's service account, as with any @google-cloud/storage client.
+class GcsStorage {
+  constructor(logger, options = {}) {
+    // Required lazily so other backends work without the GCS client configured
+    const { Storage } = require('@google-cloud/storage');
+    this.logger = logger;
+    this.bucketName = options.bucketName || process.env.GCS_BUCKET_NAME || 'commander-ai-staging-assets';
+    this.storage = new Storage();
+    this.bucket = this.storage.bucket(this.bucketName);
+  }
+
+  describe() {
+    return `gs://${this.bucketName}`;
+  }
+
+  async exists(remotePath) {
+    const [exists] = await this.bucket.file(remotePath).exists();
+    return exists;
+  }
+
+  async getMetadata(remotePath) {
+    const [metadata] = await this.bucket.file(remotePath).getMetadata();
+    return {
+      size: parseInt(metadata.size) || 0,
+      updated: metadata.updated,
+      generation: String(metadata.generation)
+    };
+  }
+
+  async download(remotePath, localPath) {
+    await this.bucket.file(remotePath).download({ destination: localPath });
+  }
+
+  async list(prefix) {
+    const [files] = await this.bucket.getFiles({ prefix });
+    return files.map(file => file.name);
+  }
+
+  async delete(remotePath) {
+    await this.bucket.file(remotePath).delete({ ignoreNotFound: true });
+  }
+
+  async upload(localPath, remotePath, options = {}) {
+    const saveOptions = {
+      metadata: {
+        contentType: options.contentType || 'application/octet-stream'
+      },
+      // Conditional uploads must not be retried blindly or a retry can clobber a concurrent write
+      resumable: false
+    };
+    if (options.ifGenerationMatch !== undefined) {
+      saveOptions.preconditionOpts = { ifGenerationMatch: options.ifGenerationMatch };
+    }
+
+    try {
+      await this.bucket.file(remotePath).save(await fs.readFile(localPath), saveOptions);
+    } catch (error) {
+      if (error.code === 412) {
+        throw new PreconditionFailedError(remotePath, error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = GcsStorage;
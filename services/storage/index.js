@@ -0,0 +1,44 @@
+// Storage backends share one interface used by BucketService:
+//   describe()                               -> human-readable location
+//   exists(remotePath)                       -> boolean
+//   getMetadata(remotePath)                  -> { size, updated, generation }
+//   download(remotePath, localPath)
+//   upload(localPath, remotePath, { contentType, ifGenerationMatch })
+//   list(prefix)                             -> remote paths starting with prefix
+//   delete(remotePath)                       -> no error if already gone
+//
+// `generation` is an opaque version token (GCS generation, S3 ETag, local mtime/size).
+// Passing it back as `ifGenerationMatch` makes the upload fail with PreconditionFailedError
+// if the object changed in the meantime; `ifGenerationMatch: 0` requires that it does not exist yet.
+const GcsStorage = require('./gcsStorage');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+const { PreconditionFailedError } = require('./errors');
+
+const backends = {
+  gcs: GcsStorage,
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+// Create the backend named by `name` or STORAGE_BACKEND (default: gcs)
+function createStorage(logger, name, options = {}) {
+  const backendName = name || process.env.STORAGE_BACKEND || 'gcs';
+  const Backend = backends[backendName];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${backendName}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const storage = new Backend(logger, options);
+  logger.info(`Using ${backendName} storage backend: ${storage.describe()}`);
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  PreconditionFailedError,
+  GcsStorage,
+  LocalStorage,
+  S3Storage
+};
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PreconditionFailedError } = require('./errors');
+
+const uploadLocks = new Map();
+let tempCounter = 0;
+
+// Local-directory backend for dev boxes and CI: "remote" paths are files under `rootDir`
+class LocalStorage {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.rootDir = path.resolve(options.rootDir || process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../data/bucket'));
+  }
+
+  describe() {
+    return `file://${this.rootDir}`;
+  }
+
+  resolve(remotePath) {
+    const resolved = path.resolve(this.rootDir, remotePath);
+    if (resolved !== this.rootDir && !resolved.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Path ${remotePath} escapes the storage directory`);
+    }
+    return resolved;
+  }
+
+  async exists(remotePath) {
+    return fs.access(this.resolve(remotePath)).then(() => true).catch(() => false);
+  }
+
+  async getMetadata(remotePath) {
+    const stats = await fs.stat(this.resolve(remotePath));
+    return {
+      size: stats.size,
+      updated: stats.mtime.toISOString(),
+      generation: `${stats.mtimeMs}-${stats.size}`
+    };
+  }
+
+  async download(remotePath, localPath) {
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+    await fs.copyFile(this.resolve(remotePath), localPath);
+  }
+
+  async list(prefix) {
+    // Walk the directory containing the prefix and match on the relative path, like a bucket listing
+    const baseDir = prefix.endsWith('/') ? this.resolve(prefix) : path.dirname(this.resolve(prefix || '.'));
+    const entries = await fs.readdir(baseDir, { recursive: true, withFileTypes: true }).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+      .map(entry => path.relative(this.rootDir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+      .filter(remotePath => remotePath.startsWith(prefix))
+      .sort();
+  }
+
+  async delete(remotePath) {
+    await fs.rm(this.resolve(remotePath), { force: true });
+  }
+
+  // Conditional uploads compare-and-rename under a per-path lock, so concurrent writers in this
+  // process behave like they would against a real bucket (separate processes are not coordinated)
+  async upload(localPath, remotePath, options = {}) {
+    const target = this.resolve(remotePath);
+    const previous = uploadLocks.get(target) || Promise.resolve();
+    const current = previous.then(() => this.writeObject(localPath, remotePath, target, options));
+    uploadLocks.set(target, current.catch(() => {}));
+    return current;
+  }
+
+  async writeObject(localPath, remotePath, target, options) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    if (options.ifGenerationMatch !== undefined) {
+      const current = await this.getMetadata(remotePath).then(metadata => metadata.generation).catch(() => 0);
+      if (current !== options.ifGenerationMatch) {
+        throw new PreconditionFailedError(remotePath);
+      }
+    }
+
+    // Copy then rename so readers never see a half-written file
+    const tempPath = `${target}.${process.pid}-${++tempCounter}.tmp`;
+    await fs.copyFile(localPath, tempPath);
+    await fs.rename(tempPath, target);
+  }
+}
+
+module.exports = LocalStorage;
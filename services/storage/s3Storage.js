@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { PreconditionFailedError } = require('./errors');
+
+// S3-compatible backend. Set S3_ENDPOINT to use MinIO or another S3-compatible
+// server; credentials come from the standard AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY.
+class S3Storage {
+  constructor(logger, options = {}) {
+    // Required lazily so other backends work without the AWS SDK configured
+    this.sdk = require('@aws-sdk/client-s3');
+    this.logger = logger;
+    this.bucketName = options.bucketName || process.env.S3_BUCKET;
+    if (!this.bucketName) {
+      throw new Error('S3_BUCKET must be set for the s3 storage backend');
+    }
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.client = new this.sdk.S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted servers need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== undefined
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(endpoint)
+    });
+  }
+
+  describe() {
+    return `s3://${this.bucketName}`;
+  }
+
+  async exists(remotePath) {
+    try {
+      await this.getMetadata(remotePath);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getMetadata(remotePath) {
+    const response = await this.client.send(new this.sdk.HeadObjectCommand({ Bucket: this.bucketName, Key: remotePath }));
+    return {
+      size: response.ContentLength || 0,
+      updated: response.LastModified ? response.LastModified.toISOString() : null,
+      generation: response.ETag
+    };
+  }
+
+  async download(remotePath, localPath) {
+    const response = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucketName, Key: remotePath }));
+    await pipeline(response.Body, fs.createWriteStream(localPath));
+  }
+
+  async list(prefix) {
+    const keys = [];
+    let continuationToken;
+    do {
+      const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      (response.Contents || []).forEach(object => keys.push(object.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return keys;
+  }
+
+  async delete(remotePath) {
+    // S3 DeleteObject succeeds for missing keys
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucketName, Key: remotePath }));
+  }
+
+  async upload(localPath, remotePath, options = {}) {
+    const { ifGenerationMatch } = options;
+    try {
+      await this.client.send(new this.sdk.PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: remotePath,
+        Body: await fs.promises.readFile(localPath),
+        ContentType: options.contentType || 'application/octet-stream',
+        // Conditional writes: If-None-Match: * for "must not exist", If-Match: <etag> otherwise
+        IfNoneMatch: ifGenerationMatch === 0 ? '*' : undefined,
+        IfMatch: ifGenerationMatch !== undefined && ifGenerationMatch !== 0 ? ifGenerationMatch : undefined
+      }));
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+      if (status === 412 || error.name === 'PreconditionFailed' || (status === 409 && error.name === 'ConditionalRequestConflict')) {
+        throw new PreconditionFailedError(remotePath, error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,64 @@
+// Process-wide Prometheus metrics and readiness, fed by ZoomInfoService, LeadProcessor and StateManager
+// and served by MonitoringServer. Updating a metric is cheap and works whether or not the server runs.
+const { Registry } = require('../utils/prometheus');
+
+const registry = new Registry();
+const startTime = Date.now();
+
+const metrics = {
+  apiRequests: registry.counter('zi_api_requests_total',
+    'ZoomInfo API requests sent, by endpoint and HTTP status (or network error code)'),
+  rateLimitRemaining: registry.gauge('zi_rate_limit_remaining',
+    'Requests left in the current ZoomInfo rate-limit window, from the last x-ratelimit-remaining-requests header'),
+  circuitBreakerOpen: registry.gauge('zi_circuit_breaker_open',
+    '1 while the circuit breaker is pausing ZoomInfo requests'),
+  companiesProcessed: registry.gauge('zi_companies_processed',
+    'Companies processed since the run state was created'),
+  contactsProcessed: registry.gauge('zi_contacts_processed',
+    'Contacts processed since the run state was created'),
+  combinationIndex: registry.gauge('zi_combination_index',
+    'Index of the combination being processed (0-based)'),
+  combinationsTotal: registry.gauge('zi_combinations_total',
+    'Search combinations in the selected parameter strategy'),
+  progressPercent: registry.gauge('zi_progress_percent',
+    'Combinations completed, as a percentage of all combinations'),
+  exclusionSetSize: registry.gauge('zi_exclusion_set_size',
+    'Zi-ids in an exclusion set, by list (company or contact)'),
+  lastCheckpoint: registry.gauge('zi_last_checkpoint_timestamp_seconds',
+    'Unix time of the last successful state checkpoint'),
+  residentMemory: registry.gauge('process_resident_memory_bytes',
+    'Resident memory size in bytes', { collect: gauge => gauge.set(process.memoryUsage().rss) }),
+  startTime: registry.gauge('process_start_time_seconds',
+    'Start time of the process since unix epoch in seconds', { collect: gauge => gauge.set(Math.floor(startTime / 1000)) })
+};
+
+// Readiness check name -> function returning null when ready, or the reason it is not
+const readinessChecks = new Map();
+
+function addReadinessCheck(name, check) {
+  readinessChecks.set(name, check);
+}
+
+// { ready, checks: { name: 'ok' | reason } }
+function checkReadiness() {
+  const checks = {};
+  let ready = true;
+  for (const [name, check] of readinessChecks) {
+    let reason;
+    try {
+      reason = check();
+    } catch (error) {
+      reason = error.message;
+    }
+    checks[name] = reason || 'ok';
+    ready = ready && !reason;
+  }
+  return { ready, checks };
+}
+
+module.exports = {
+  registry,
+  metrics,
+  addReadinessCheck,
+  checkReadiness
+};
@@ -0,0 +1,146 @@
+// Typed ZoomInfo API failures. Every error thrown by ZoomInfoService is a ZoomInfoError carrying the
+// operation, endpoint, HTTP status (null for network failures), the API's response body and a
+// { name, code, message } summary of the underlying failure. The raw axios error is never kept: its
+// config holds the bearer token and request body (credentials, for authenticate).
+//
+//   AuthError             401/403 or a failed token refresh - retried once per MAX_RETRIES with a new token
+//   RateLimitError        429 still returned after MAX_RETRIES waits of retry-after
+//   PageOutOfRangeError   400 "page number requested is greater than the available results"
+//   ValidationError       any other 4xx - the request itself is wrong, so retrying cannot help
+//   TransientError        network errors, timeouts and 5xx - retried with backoff and behind the circuit breaker
+//   QuotaExhaustedError   403/429 reporting that the account's request or credit quota is used up
+//   BudgetExceededError   not sent: the request would pass one of our own budgets or the account limit (see budgetTracker.js)
+//
+// Only ValidationError (and non-API errors) are skippable: a page or company that fails with one is
+// logged and skipped. The others stop the run with its progress saved, so `resume` picks it up again.
+class ZoomInfoError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ZoomInfoError';
+    this.operation = details.operation || null;
+    this.endpoint = details.endpoint || null;
+    this.status = details.status ?? null;
+    this.payload = details.payload ?? null;
+    this.cause = summariseCause(details.cause);
+  }
+}
+
+// Name, code and message of an underlying error, without the request it may carry
+function summariseCause(cause) {
+  if (!cause) return undefined;
+  return { name: cause.name, code: cause.code ?? null, message: cause.message };
+}
+
+class AuthError extends ZoomInfoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+class RateLimitError extends ZoomInfoError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+class PageOutOfRangeError extends ZoomInfoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'PageOutOfRangeError';
+  }
+}
+
+class ValidationError extends ZoomInfoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+class TransientError extends ZoomInfoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TransientError';
+  }
+}
+
+class QuotaExhaustedError extends ZoomInfoError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExhaustedError';
+  }
+}
+
+class BudgetExceededError extends ZoomInfoError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'BudgetExceededError';
+    this.scope = details.scope;
+    this.metric = details.metric;
+    this.limit = details.limit;
+    this.used = details.used;
+  }
+}
+
+const PAGE_OUT_OF_RANGE_PATTERN = /page number|greater than the available results/i;
+const QUOTA_PATTERN = /quota|credits?\b/i;
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// The message the API put in its error body, if any
+function apiMessageOf(error) {
+  const data = error.response?.data;
+  if (typeof data === 'string') return data;
+  return data?.error || data?.message || null;
+}
+
+// Turn an axios (or other) failure of `operation` on `endpoint` into a typed error.
+// Errors that are already typed are returned unchanged.
+function classifyError(error, operation, endpoint) {
+  if (error instanceof ZoomInfoError) return error;
+
+  const status = error.response?.status ?? null;
+  const apiMessage = apiMessageOf(error);
+  const details = { operation, endpoint, status, payload: error.response?.data ?? null, cause: error };
+  const message = `${operation} failed: ${status || 'unknown'} - ${apiMessage || error.message}`;
+
+  if (status === null) {
+    // No response at all: connection problems are worth retrying, anything else is a bug
+    return TRANSIENT_CODES.includes(error.code) || error.request
+      ? new TransientError(message, details)
+      : new ZoomInfoError(message, details);
+  }
+  if ((status === 403 || status === 429) && QUOTA_PATTERN.test(apiMessage || '')) {
+    return new QuotaExhaustedError(message, details);
+  }
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers?.['retry-after']);
+    return new RateLimitError(message, { ...details, retryAfterMs: isNaN(retryAfter) ? null : retryAfter * 1000 });
+  }
+  if (status === 400 && PAGE_OUT_OF_RANGE_PATTERN.test(apiMessage || '')) {
+    return new PageOutOfRangeError(message, details);
+  }
+  if (status === 408 || status >= 500) return new TransientError(message, details);
+  return new ValidationError(message, details);
+}
+
+// Whether a page or company that failed with `error` can be skipped while the run carries on
+function isSkippable(error) {
+  return !(error instanceof ZoomInfoError) || error instanceof ValidationError;
+}
+
+module.exports = {
+  ZoomInfoError,
+  AuthError,
+  RateLimitError,
+  PageOutOfRangeError,
+  ValidationError,
+  TransientError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  classifyError,
+  isSkippable
+};
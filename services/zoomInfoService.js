@@ -1,158 +1,300 @@
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const RateLimiter = require('../utils/rateLimiter');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const BudgetTracker = require('./budgetTracker');
+const { createAuthProvider, TokenManager } = require('./auth');
+const { AuthError, RateLimitError, PageOutOfRangeError, TransientError, BudgetExceededError, classifyError, isSkippable } = require('./zoomInfoErrors');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { metrics } = require('./telemetry');
+
+const MAX_ENRICH_BATCH_SIZE = 25;
+// Endpoints read with GET; everything else is a POST with a JSON body
+const GET_ENDPOINTS = ['lookup/usage'];
 
 class ZoomInfoService {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
-    this.baseURL = 'https://api.zoominfo.com/';
-    this.username = process.env.ZOOMINFO_USERNAME;
-    this.password = process.env.ZOOMINFO_PASSWORD;
-    this.tokenFile = path.join(__dirname, '../data/zi-token.json');
+    // Override to point at a local mock (see mock/zoomInfoServer.js)
+    this.baseURL = (process.env.ZOOMINFO_BASE_URL || 'https://api.zoominfo.com/').replace(/\/?$/, '/');
+    // Access tokens from the ZOOMINFO_AUTH_METHOD provider (see services/auth)
+    this.auth = options.auth || new TokenManager(logger, createAuthProvider(logger), { baseURL: this.baseURL });
     this.rateLimitDelay = parseInt(process.env.RATE_LIMIT_DELAY) || 100;
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
+    // Exponential backoff with full jitter between retries of transient failures
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000;
+    this.retryMaxDelay = parseInt(process.env.RETRY_MAX_DELAY_MS) || 30000;
+    // enrich/contact and enrich/company accept at most 25 match inputs per request
+    this.enrichBatchSize = Math.min(parseInt(process.env.ENRICH_BATCH_SIZE) || MAX_ENRICH_BATCH_SIZE, MAX_ENRICH_BATCH_SIZE);
+    this.enrichConcurrency = parseInt(process.env.ENRICH_CONCURRENCY) || 2;
+    // Requests sent per endpoint (retries included), read by LeadProcessor for per-combination metrics
+    this.callCounts = {};
+    // Failed requests per error type (retried ones included) and enrich inputs requested/matched, for the run summary
+    this.errorCounts = {};
+    this.enrichCounts = {};
+    // Request and credit budgets checked before every request (see budgetTracker.js)
+    this.budget = options.budget || new BudgetTracker(logger);
+    // lookup/usage is read at most every USAGE_SYNC_MINUTES, or at every check once a ZoomInfo limit is nearly used up
+    this.usageSyncInterval = (parseInt(process.env.USAGE_SYNC_MINUTES) || 15) * 60000;
+    this.lastUsageSync = 0;
+    this.usageNearLimit = false;
     
-    // Token refresh configuration
-    this.tokenRefreshInterval = 40 * 60 * 1000; // 40 minutes in milliseconds
-    this.refreshTimer = null;
-    this.currentToken = null;
-    this.tokenExpiresAt = null;
+    // Shared token bucket for every request this service makes. RATE_LIMIT_DELAY
+    // is still honoured as the default spacing when no explicit rate is configured.
+    this.rateLimiter = new RateLimiter(logger, {
+      requestsPerSecond: parseFloat(process.env.RATE_LIMIT_PER_SECOND) || 1000 / this.rateLimitDelay,
+      burst: parseInt(process.env.RATE_LIMIT_BURST) || undefined,
+      reserve: process.env.RATE_LIMIT_RESERVE !== undefined ? parseInt(process.env.RATE_LIMIT_RESERVE) : undefined
+    });
     
-    // Start automatic token refresh
-    this.startTokenRefresh();
+    // Pauses every request while the API keeps failing (see utils/circuitBreaker.js)
+    this.circuitBreaker = new CircuitBreaker(logger, {
+      threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || undefined,
+      cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || undefined,
+      maxCooldownMs: parseInt(process.env.CIRCUIT_BREAKER_MAX_COOLDOWN_MS) || undefined
+    });
+    // Longest a request that ran out of retries waits behind the open breaker before it fails the run
+    this.maxOutageWait = parseInt(process.env.CIRCUIT_BREAKER_MAX_WAIT_MS) || 3600000;
   }
 
   async getJwtToken() {
-    try {
-      // Check if we have a valid current token
-      if (this.currentToken && this.tokenExpiresAt && new Date() < this.tokenExpiresAt) {
-        return this.currentToken;
-      }
-      
-      // Check if we have a valid token in file
-      try {
-        const tokenData = await fs.readFile(this.tokenFile, 'utf8');
-        const { token, expiresAt } = JSON.parse(tokenData);
-        
-        if (new Date(expiresAt) > new Date()) {
-          this.currentToken = token;
-          this.tokenExpiresAt = new Date(expiresAt);
-          return token;
-        }
-      } catch (error) {
-        // Token file doesn't exist or is invalid, continue to get new token
-      }
+    return this.auth.getToken();
+  }
 
-      // Get new token from ZoomInfo API
-      return await this.refreshToken();
-      
-    } catch (error) {
-      this.logger.error('Failed to get JWT token:', error.message);
-      throw error;
-    }
+  async searchCompanies(searchParams) {
+    return this.makeAPICall('search/company', searchParams, 'Company search');
   }
 
-  async refreshToken() {
-    try {
-      this.logger.info('Refreshing ZoomInfo JWT token...');
-      
-      const response = await axios.post(`${this.baseURL}authenticate`, {
-        username: this.username,
-        password: this.password
-      });
+  async searchContacts(searchParams) {
+    return this.makeAPICall('search/contact', searchParams, 'Contact search');
+  }
 
-      const token = response.data.jwt;
-      
-      // Store token in memory and file (expires in 1 hour, but we refresh every 40 mins)
-      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
-      this.currentToken = token;
-      this.tokenExpiresAt = expiresAt;
-      
-      const tokenData = { token, expiresAt };
-      
-      const dataDir = path.dirname(this.tokenFile);
-      await fs.mkdir(dataDir, { recursive: true });
-      await fs.writeFile(this.tokenFile, JSON.stringify(tokenData, null, 2));
+  async enrichContact(contactParams) {
+    return this.makeAPICall('enrich/contact', contactParams, 'Contact enrichment');
+  }
 
-      this.logger.info('ZoomInfo JWT token refreshed successfully');
-      return token;
-      
+  async enrichCompany(companyParams) {
+    return this.makeAPICall('enrich/company', companyParams, 'Company enrichment');
+  }
+
+  async getUsage() {
+    return this.makeAPICall('lookup/usage', null, 'Usage lookup');
+  }
+
+  // Record the account usage ZoomInfo reports in the budget ledger, warning when a limit is nearly
+  // used up. Returns the usage list, or null when it could not be read (the run carries on).
+  async syncUsage() {
+    this.lastUsageSync = Date.now();
+    try {
+      const { usage = [] } = await this.getUsage();
+      await this.budget.recordApiUsage(usage);
+      const nearLimit = usage.filter(limit => limit.limit > 0 && limit.usageRemaining < limit.limit * 0.1);
+      nearLimit.forEach(limit => this.logger.warn(`ZoomInfo ${limit.description || limit.limitType}: ${limit.usageRemaining} of ${limit.limit} left`));
+      this.usageNearLimit = nearLimit.length > 0;
+      return usage;
     } catch (error) {
-      this.logger.error('Token refresh failed:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        url: error.config?.url
-      });
-      throw new Error(`Token refresh failed: ${error.message}`);
+      this.logger.warn(`Could not read ZoomInfo usage: ${error.message}`);
+      return null;
     }
   }
 
-  async searchCompanies(searchParams) {
-    return this.makeAPICall('search/company', searchParams, 'Company search');
+  // syncUsage() once USAGE_SYNC_MINUTES have passed since the last read, or every time while a limit is nearly used up
+  async syncUsageIfDue() {
+    if (!this.usageNearLimit && Date.now() - this.lastUsageSync < this.usageSyncInterval) return null;
+    return this.syncUsage();
   }
 
-  async searchContacts(searchParams) {
-    return this.makeAPICall('search/contact', searchParams, 'Contact search');
+  // Enrich many contacts in as few requests as possible.
+  // Returns { results: Map<personId, enrichedData>, failures: [{ personId, reason }] }.
+  // `options.onBatch(batchResults)` is awaited as each batch returns, so callers can persist paid results early.
+  async enrichContacts(personIds, outputFields, options = {}) {
+    return this.enrichInBatches(personIds, 'personId', 'contacts', (batch) => this.enrichContact({
+      matchPersonInput: batch.map(personId => ({ personId })),
+      outputFields
+    }), options);
   }
 
-  async enrichContact(contactParams) {
-    return this.makeAPICall('enrich/contact', contactParams, 'Contact enrichment');
+  // Same as enrichContacts for companies: { results: Map<companyId, enrichedData>, failures: [{ companyId, reason }] }
+  async enrichCompanies(companyIds, outputFields, options = {}) {
+    return this.enrichInBatches(companyIds, 'companyId', 'companies', (batch) => this.enrichCompany({
+      matchCompanyInput: batch.map(companyId => ({ companyId })),
+      outputFields
+    }), options);
+  }
+
+  // Split ids into enrich-sized batches, send them through `request` and match results back to their ids
+  async enrichInBatches(ids, idKey, label, request, options = {}) {
+    const uniqueIds = [...new Set(ids.map(id => id.toString()))];
+    const results = new Map();
+    const failures = [];
+    
+    const batches = [];
+    for (let i = 0; i < uniqueIds.length; i += this.enrichBatchSize) {
+      batches.push(uniqueIds.slice(i, i + this.enrichBatchSize));
+    }
+    
+    await mapWithConcurrency(batches, this.enrichConcurrency, async (batch) => {
+      let response;
+      try {
+        response = await request(batch);
+      } catch (error) {
+        // Quota, auth and persistent transient failures stop the run rather than dropping the batch
+        if (!isSkippable(error)) throw error;
+        this.logger.error(`Enrichment batch of ${batch.length} ${label} failed:`, error.message);
+        batch.forEach(id => failures.push({ [idKey]: id, reason: error.message }));
+        return;
+      }
+      
+      const batchResults = response.data?.result || [];
+      const batchEnriched = new Map();
+      batch.forEach((id, index) => {
+        // Results echo their input; fall back to request order if the echo is missing
+        const result = batchResults.find(r => {
+          const inputId = r.input?.[idKey] ?? r.input?.[idKey.toLowerCase()];
+          return inputId !== undefined && inputId.toString() === id;
+        }) || batchResults[index];
+        
+        const enrichedData = result?.data?.[0];
+        if (enrichedData) {
+          results.set(id, enrichedData);
+          batchEnriched.set(id, enrichedData);
+        } else {
+          failures.push({ [idKey]: id, reason: result?.matchStatus || 'NO_MATCH' });
+        }
+      });
+      
+      if (options.onBatch && batchEnriched.size > 0) {
+        await options.onBatch(batchEnriched);
+      }
+    });
+    
+    const counts = this.enrichCounts[label] || (this.enrichCounts[label] = { requested: 0, matched: 0 });
+    counts.requested += uniqueIds.length;
+    counts.matched += results.size;
+    this.logger.info(`Enriched ${results.size}/${uniqueIds.length} ${label} in ${batches.length} requests`);
+    return { results, failures };
   }
 
-  async makeAPICall(endpoint, params, operation, retryCount = 0) {
+  // Send one request, retrying what can be retried. Throws a typed error (see zoomInfoErrors.js).
+  // `outageSince` is when the request started waiting behind the open circuit breaker.
+  async makeAPICall(endpoint, params, operation, retryCount = 0, outageSince = null) {
+    let reservedCredits = null;
+    let token = null;
     try {
+      await this.circuitBreaker.acquire();
       await this.handleRateLimit();
-      const token = await this.getJwtToken();
+      token = await this.getJwtToken();
       
-      const response = await axios.post(`${this.baseURL}${endpoint}`, params, {
+      await this.budget.load();
+      reservedCredits = this.budget.reserve(endpoint, params);
+      this.callCounts[endpoint] = (this.callCounts[endpoint] || 0) + 1;
+      const response = await axios.request({
+        method: GET_ENDPOINTS.includes(endpoint) ? 'get' : 'post',
+        url: `${this.baseURL}${endpoint}`,
+        data: params ?? undefined,
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         }
       });
 
+      metrics.apiRequests.inc({ endpoint, status: response.status });
+      this.circuitBreaker.recordSuccess();
+      metrics.circuitBreakerOpen.set(0);
+      await this.budget.settle(reservedCredits, countEnrichedRecords(response.data));
       this.logRateLimit(endpoint, response.headers);
       return response.data;
       
-    } catch (error) {
-      if (error.response?.status === 401 && retryCount < this.maxRetries) {
-        // Token expired, clear it and retry
-        try {
-          await fs.unlink(this.tokenFile);
-        } catch (unlinkError) {
-          // File might not exist, ignore
+    } catch (rawError) {
+      if (rawError instanceof BudgetExceededError) {
+        this.circuitBreaker.release();
+        throw rawError;
+      }
+      if (reservedCredits !== null) {
+        // Failed requests are still counted, but cost no credits
+        metrics.apiRequests.inc({ endpoint, status: rawError.response?.status || rawError.code || 'error' });
+        await this.budget.settle(reservedCredits, 0);
+      }
+      const error = classifyError(rawError, operation, endpoint);
+      if (!(error instanceof PageOutOfRangeError)) {
+        this.errorCounts[error.name] = (this.errorCounts[error.name] || 0) + 1;
+      }
+      
+      if (error instanceof TransientError) {
+        this.circuitBreaker.recordFailure(`${endpoint}: ${error.status || rawError.code || 'network error'}`);
+        metrics.circuitBreakerOpen.set(this.circuitBreaker.isOpen() ? 1 : 0);
+        if (retryCount < this.maxRetries) {
+          const delay = this.getBackoffDelay(retryCount);
+          this.logger.warn(`${operation} failed with ${error.status || rawError.code || 'a network error'}, retry ${retryCount + 1}/${this.maxRetries} in ${delay}ms`);
+          await this.sleep(delay);
+          return this.makeAPICall(endpoint, params, operation, retryCount + 1);
         }
+        if (this.circuitBreaker.isOpen()) {
+          // The API is down rather than this request being bad - wait for it behind the breaker,
+          // up to CIRCUIT_BREAKER_MAX_WAIT_MS in all
+          const waitingSince = outageSince ?? Date.now();
+          if (Date.now() - waitingSince < this.maxOutageWait) {
+            return this.makeAPICall(endpoint, params, operation, retryCount, waitingSince);
+          }
+          this.logger.error(`${operation} still failing after waiting ${Math.round((Date.now() - waitingSince) / 1000)}s behind the circuit breaker - giving up`);
+        }
+      } else {
+        // The API answered, so it is up even if this request failed
+        this.circuitBreaker.recordSuccess();
+        metrics.circuitBreakerOpen.set(0);
+      }
+      
+      if (error instanceof AuthError && error.status === 401 && retryCount < this.maxRetries) {
+        // Token expired or revoked early, drop it and retry
+        await this.auth.invalidate(token);
         this.logger.warn(`${operation} failed with 401, retrying with new token`);
         return this.makeAPICall(endpoint, params, operation, retryCount + 1);
       }
       
-      if (error.response?.status === 429) {
-        const retryAfter = error.response?.headers['retry-after'] || 60;
-        const waitTime = parseInt(retryAfter) * 1000;
+      if (error instanceof RateLimitError) {
+        const waitTime = error.retryAfterMs ?? 60000;
         
         this.logger.warn(`Rate limit exceeded for ${endpoint}. Waiting ${waitTime}ms before retry`);
-        await this.sleep(waitTime);
+        // Pause the shared limiter so every in-flight worker backs off, not just this call
+        this.rateLimiter.pauseFor(waitTime, `429 from ${endpoint}`);
         
         if (retryCount < this.maxRetries) {
           return this.makeAPICall(endpoint, params, operation, retryCount + 1);
         }
       }
       
-      this.logger.error(`${operation} failed - ${endpoint}: ${error.response?.status || 'unknown'} - ${error.message}`);
-      if (error.response?.data) {
-        this.logger.error('Response data:', error.response.data);
+      // Running past the last page is how pagination ends, not a failure worth an error log
+      const level = error instanceof PageOutOfRangeError ? 'debug' : 'error';
+      this.logger[level](`${operation} failed - ${endpoint}: ${error.status || 'unknown'} - ${rawError.message}`);
+      if (error.payload) {
+        this.logger[level]('Response data:', error.payload);
       }
-      
-      // Include the actual API error message if available
-      const apiErrorMessage = error.response?.data?.error || error.response?.data?.message || error.message;
-      throw new Error(`${operation} failed: ${error.response?.status || 'unknown'} - ${apiErrorMessage}`);
+      throw error;
     }
   }
 
+  // Full jitter: a random wait up to an exponentially growing cap
+  getBackoffDelay(retryCount) {
+    const cap = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** retryCount);
+    return Math.round(Math.random() * cap);
+  }
+
+  // Copy of the request counts, to diff against a later snapshot
+  getCallCounts() {
+    return { ...this.callCounts };
+  }
+
+  getErrorCounts() {
+    return { ...this.errorCounts };
+  }
+
+  // { contacts: { requested, matched }, companies: { requested, matched } } for the enrich calls made so far
+  getEnrichCounts() {
+    return JSON.parse(JSON.stringify(this.enrichCounts));
+  }
+
   async handleRateLimit() {
-    // Simple rate limiting - wait between requests
-    await this.sleep(this.rateLimitDelay);
+    // Wait for a token from the shared bucket
+    await this.rateLimiter.acquire();
   }
 
   logRateLimit(endpoint, headers) {
@@ -168,6 +310,9 @@ class ZoomInfoService {
       if (parseInt(remaining) < 10) {
         this.logger.warn(`Low rate limit remaining: ${remaining} requests`);
       }
+      
+      metrics.rateLimitRemaining.set(parseInt(remaining));
+      this.rateLimiter.updateFromHeaders(remaining, resetTime);
     }
   }
 
@@ -175,59 +320,18 @@ class ZoomInfoService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Token refresh timer management
-  startTokenRefresh() {
-    // Clear any existing timer
-    this.stopTokenRefresh();
-    
-    // Start the refresh timer
-    this.refreshTimer = setInterval(async () => {
-      try {
-        await this.refreshToken();
-      } catch (error) {
-        this.logger.error('Automatic token refresh failed:', error.message);
-        // Continue with the timer - will retry in 40 minutes
-      }
-    }, this.tokenRefreshInterval);
-    
-    this.logger.info(`Automatic token refresh started (every ${this.tokenRefreshInterval / 60000} minutes)`);
-  }
-
-  stopTokenRefresh() {
-    if (this.refreshTimer) {
-      clearInterval(this.refreshTimer);
-      this.refreshTimer = null;
-      this.logger.info('Automatic token refresh stopped');
-    }
-  }
-
   // Clean up method for graceful shutdown
   async cleanup() {
-    this.stopTokenRefresh();
+    await this.budget.flush();
   }
 
   // NAICS codes are now passed directly to ZoomInfo API via naicsCodes parameter
+}
 
-  // Convert US state names to ZoomInfo format
-  mapStateToZoomInfo(stateName) {
-    const stateMapping = {
-      'Alabama': 'usa.alabama', 'Alaska': 'usa.alaska', 'Arizona': 'usa.arizona', 'Arkansas': 'usa.arkansas',
-      'California': 'usa.california', 'Colorado': 'usa.colorado', 'Connecticut': 'usa.connecticut', 'Delaware': 'usa.delaware',
-      'Florida': 'usa.florida', 'Georgia': 'usa.georgia', 'Hawaii': 'usa.hawaii', 'Idaho': 'usa.idaho',
-      'Illinois': 'usa.illinois', 'Indiana': 'usa.indiana', 'Iowa': 'usa.iowa', 'Kansas': 'usa.kansas',
-      'Kentucky': 'usa.kentucky', 'Louisiana': 'usa.louisiana', 'Maine': 'usa.maine', 'Maryland': 'usa.maryland',
-      'Massachusetts': 'usa.massachusetts', 'Michigan': 'usa.michigan', 'Minnesota': 'usa.minnesota', 'Mississippi': 'usa.mississippi',
-      'Missouri': 'usa.missouri', 'Montana': 'usa.montana', 'Nebraska': 'usa.nebraska', 'Nevada': 'usa.nevada',
-      'New Hampshire': 'usa.new_hampshire', 'New Jersey': 'usa.new_jersey', 'New Mexico': 'usa.new_mexico', 'New York': 'usa.new_york',
-      'North Carolina': 'usa.north_carolina', 'North Dakota': 'usa.north_dakota', 'Ohio': 'usa.ohio', 'Oklahoma': 'usa.oklahoma',
-      'Oregon': 'usa.oregon', 'Pennsylvania': 'usa.pennsylvania', 'Rhode Island': 'usa.rhode_island', 'South Carolina': 'usa.south_carolina',
-      'South Dakota': 'usa.south_dakota', 'Tennessee': 'usa.tennessee', 'Texas': 'usa.texas', 'Utah': 'usa.utah',
-      'Vermont': 'usa.vermont', 'Virginia': 'usa.virginia', 'Washington': 'usa.washington', 'West Virginia': 'usa.west_virginia',
-      'Wisconsin': 'usa.wisconsin', 'Wyoming': 'usa.wyoming'
-    };
-    
-    return stateMapping[stateName] || `usa.${stateName.toLowerCase().replace(' ', '_')}`;
-  }
+// Records an enrich response returned data for (one credit each); 0 for other responses
+function countEnrichedRecords(body) {
+  const results = body?.data?.result;
+  return Array.isArray(results) ? results.filter(result => result?.data?.length > 0).length : 0;
 }
 
 module.exports = ZoomInfoService;
\ No newline at end of file
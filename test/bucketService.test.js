@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BucketService = require('../services/bucketService');
+const LocalStorage = require('../services/storage/localStorage');
+const { PreconditionFailedError } = require('../services/storage');
+const { silentLogger } = require('./helpers');
+
+const TIMESTAMP = '2026-10-19T09-30-00';
+
+describe('BucketService result uploads', () => {
+  let dir;
+  let bucketService;
+  let resultFile;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    const storage = new LocalStorage(silentLogger, { rootDir: path.join(dir, 'bucket') });
+    bucketService = new BucketService(silentLogger, storage, { dataDir: dir, hostId: 'vm.1' });
+    resultFile = path.join(dir, 'companies.csv');
+    await fs.writeFile(resultFile, 'ZoomInfo ID,Company Name\n1,Acme\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('names uploads after the combination and host, with the timestamp last for export', async () => {
+    const files = [{ format: 'csv', kind: 'companies', path: resultFile }];
+    await bucketService.uploadResults(files, TIMESTAMP, { label: 'Alabama-236118' });
+    await bucketService.uploadResults(files, TIMESTAMP, { label: 'California-484121' });
+
+    assert.deepEqual((await bucketService.listResultFiles()).sort(), [
+      `zi-backups/results/companies-Alabama-236118-vm-1-${TIMESTAMP}.csv`,
+      `zi-backups/results/companies-California-484121-vm-1-${TIMESTAMP}.csv`
+    ]);
+  });
+
+  it('refuses to overwrite an uploaded result unless asked to replace it', async () => {
+    const files = [{ format: 'summaries', kind: 'run', path: resultFile }];
+    await bucketService.uploadResults(files, TIMESTAMP);
+
+    await assert.rejects(bucketService.uploadResults(files, TIMESTAMP), PreconditionFailedError);
+    const [replaced] = await bucketService.uploadResults(files, TIMESTAMP, { replace: true });
+    assert.equal(replaced.remotePath, `zi-backups/results/summaries/run-vm-1-${TIMESTAMP}.csv`);
+  });
+});
+
+describe('BucketService exclusion sync between VMs', () => {
+  let dir;
+  let storage;
+
+  // A VM: its own data directory, the shared bucket
+  const createVm = (name, vmStorage = storage) => new BucketService(silentLogger, vmStorage, { dataDir: path.join(dir, name), hostId: name });
+
+  async function loadVm(name, vmStorage) {
+    const vm = createVm(name, vmStorage);
+    await vm.downloadCompanyExclusions();
+    await vm.downloadContactExclusions();
+    return vm;
+  }
+
+  async function listDeltas() {
+    return [
+      ...await storage.list('zi-backups/existing_ziids.d/'),
+      ...await storage.list('zi-backups/existing_contacts.d/')
+    ];
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    storage = new LocalStorage(silentLogger, { rootDir: path.join(dir, 'bucket') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps both writers\' deltas when they compact at the same time', async () => {
+    const first = await loadVm('vm-1');
+    const second = await loadVm('vm-2');
+    await first.updateCompanyExclusions(['1', '2']);
+    await first.updateContactExclusions([{ ziId: '900', accuracyScore: 80 }]);
+    await second.updateCompanyExclusions(['2', '3']);
+    // A distinct enrichment time, so which enrichment is the latest does not depend on shard order
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await second.updateContactExclusions([{ ziId: '900', accuracyScore: 95 }, { ziId: '901', accuracyScore: 70 }]);
+    await first.flushExclusions();
+    await second.flushExclusions();
+    assert.equal((await listDeltas()).length, 4);
+
+    await Promise.all(['company', 'contact'].flatMap(name => [
+      first.compactRemoteExclusions(first.exclusionLists[name]),
+      second.compactRemoteExclusions(second.exclusionLists[name])
+    ]));
+
+    assert.deepEqual(await listDeltas(), []);
+    const next = await loadVm('vm-3');
+    assert.deepEqual([...next.exclusionLists.company.entries.keys()].sort(), ['1', '2', '3']);
+    assert.deepEqual([...next.exclusionLists.contact.entries.keys()].sort(), ['900', '901']);
+    // The later enrichment of a contact both VMs enriched wins
+    assert.equal(next.exclusionLists.contact.entries.get('900').accuracyScore, '95');
+  });
+
+  it('keeps a delta written while another VM is compacting', async () => {
+    const second = await loadVm('vm-2');
+    // vm-2 flushes a delta between vm-1 reading the shards and replacing the snapshot
+    const racingStorage = Object.create(storage);
+    racingStorage.upload = async (localPath, remotePath, options) => {
+      if (remotePath === 'zi-backups/existing_ziids.csv') {
+        await second.updateCompanyExclusions(['4']);
+        await second.flushExclusions();
+      }
+      return storage.upload(localPath, remotePath, options);
+    };
+    const first = await loadVm('vm-1', racingStorage);
+    await first.updateCompanyExclusions(['1', '2', '3']);
+    await first.flushExclusions();
+
+    await first.compactRemoteExclusions(first.exclusionLists.company);
+
+    assert.equal((await storage.list('zi-backups/existing_ziids.d/')).length, 1);
+    const next = await loadVm('vm-3');
+    assert.deepEqual([...next.exclusionLists.company.entries.keys()].sort(), ['1', '2', '3', '4']);
+  });
+});
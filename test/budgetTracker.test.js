@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BudgetTracker = require('../services/budgetTracker');
+const { BudgetExceededError } = require('../services/zoomInfoErrors');
+const { silentLogger } = require('./helpers');
+
+const LIMIT_VARIABLES = ['BUDGET_RUN_REQUESTS', 'BUDGET_DAILY_CREDITS', 'BUDGET_CAMPAIGN_REQUESTS'];
+
+describe('BudgetTracker', () => {
+  let dir;
+  let ledgerFile;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    ledgerFile = path.join(dir, 'budget.json');
+  });
+
+  afterEach(async () => {
+    LIMIT_VARIABLES.forEach(variable => delete process.env[variable]);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('refuses the request that would pass a request limit', async () => {
+    process.env.BUDGET_RUN_REQUESTS = '2';
+    const budget = new BudgetTracker(silentLogger, { ledgerFile });
+    await budget.load();
+
+    budget.reserve('search/company', {});
+    budget.reserve('search/contact', {});
+    assert.throws(() => budget.reserve('search/company', {}), error =>
+      error instanceof BudgetExceededError && error.scope === 'run' && error.used === 2);
+    assert.deepEqual(budget.getRemaining().run, { requests: 0, credits: null });
+  });
+
+  it('reserves a credit per enrich input and settles to the records returned', async () => {
+    process.env.BUDGET_DAILY_CREDITS = '30';
+    const budget = new BudgetTracker(silentLogger, { ledgerFile });
+    await budget.load();
+
+    const reserved = budget.reserve('enrich/contact', { matchPersonInput: new Array(25).fill({}) });
+    assert.equal(reserved, 25);
+    assert.throws(() => budget.reserve('enrich/contact', { matchPersonInput: new Array(10).fill({}) }), BudgetExceededError);
+
+    await budget.settle(reserved, 18);
+    assert.equal(budget.getTotals().day.credits, 18);
+    assert.equal(budget.reserve('enrich/contact', { matchPersonInput: new Array(10).fill({}) }), 10);
+  });
+
+  it('stops at the account limits reported by lookup/usage, counting what was used since', async () => {
+    const budget = new BudgetTracker(silentLogger, { ledgerFile });
+    await budget.load();
+    await budget.recordApiUsage([
+      { limitType: 'requestLimit', limit: 1000, currentUsage: 997, usageRemaining: 3 },
+      { limitType: 'recordLimit', limit: 500, currentUsage: 480, usageRemaining: 20 },
+      { limitType: 'uniqueIdLimit', limit: 0, currentUsage: 0, usageRemaining: 0 }
+    ]);
+
+    const reserved = budget.reserve('enrich/contact', { matchPersonInput: new Array(15).fill({}) });
+    await budget.settle(reserved, 12);
+    assert.throws(() => budget.reserve('enrich/contact', { matchPersonInput: new Array(9).fill({}) }), error =>
+      error instanceof BudgetExceededError && error.scope === 'account' && error.metric === 'credits' && error.limit === 500 && error.used === 492);
+
+    budget.reserve('enrich/contact', { matchPersonInput: new Array(8).fill({}) });
+    budget.reserve('search/company', {});
+    assert.throws(() => budget.reserve('search/company', {}), error => error.scope === 'account' && error.metric === 'requests');
+    assert.equal(budget.reserve('lookup/usage', {}), 0);
+  });
+
+  it('keeps day and campaign totals across processes but starts each run at zero', async () => {
+    process.env.BUDGET_CAMPAIGN_REQUESTS = '3';
+    const first = new BudgetTracker(silentLogger, { ledgerFile, campaign: 'spring' });
+    await first.load();
+    first.reserve('search/company', {});
+    first.reserve('search/company', {});
+    await first.save();
+
+    const second = new BudgetTracker(silentLogger, { ledgerFile, campaign: 'spring' });
+    await second.load();
+    assert.equal(second.getTotals().run.requests, 0);
+    assert.equal(second.getTotals().day.requests, 2);
+    second.reserve('search/company', {});
+    assert.throws(() => second.reserve('search/company', {}), error => error.scope === 'campaign');
+
+    const otherCampaign = new BudgetTracker(silentLogger, { ledgerFile, campaign: 'autumn' });
+    await otherCampaign.load();
+    assert.equal(otherCampaign.getTotals().campaign.requests, 0);
+  });
+
+  it('batches ledger writes until the save delay passes or flush() is called', async () => {
+    const budget = new BudgetTracker(silentLogger, { ledgerFile, saveDelayMs: 50 });
+    await budget.load();
+    const readRequests = async () => JSON.parse(await fs.readFile(ledgerFile, 'utf8')).campaigns.default.requests;
+
+    for (let i = 0; i < 10; i++) {
+      await budget.settle(budget.reserve('search/company', {}), 0);
+    }
+    await assert.rejects(fs.access(ledgerFile), { code: 'ENOENT' });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(await readRequests(), 10);
+
+    await budget.settle(budget.reserve('search/company', {}), 0);
+    await budget.flush();
+    assert.equal(await readRequests(), 11);
+    assert.equal(budget.saveTimer, null);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { silentLogger } = require('./helpers');
+
+describe('CircuitBreaker', () => {
+  it('opens after `threshold` consecutive failures and not before', () => {
+    const breaker = new CircuitBreaker(silentLogger, { threshold: 3 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), false);
+
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), true);
+  });
+
+  it('resets the failure count on success', () => {
+    const breaker = new CircuitBreaker(silentLogger, { threshold: 2 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), false);
+  });
+
+  it('lets one probe through after the cooldown and holds the other callers until it succeeds', async () => {
+    const breaker = new CircuitBreaker(silentLogger, { threshold: 1, cooldownMs: 30, probeWaitMs: 5 });
+    breaker.recordFailure();
+
+    const startedAt = Date.now();
+    await breaker.acquire();
+    assert.ok(Date.now() - startedAt >= 25, 'the probe waited out the cooldown');
+    assert.equal(breaker.state, 'half-open');
+
+    let waiterReleased = false;
+    const waiter = breaker.acquire().then(() => { waiterReleased = true; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(waiterReleased, false);
+
+    breaker.recordSuccess();
+    await waiter;
+    assert.equal(breaker.isOpen(), false);
+  });
+
+  it('lets the next caller probe when the probe is released without being sent', async () => {
+    const breaker = new CircuitBreaker(silentLogger, { threshold: 1, cooldownMs: 10, probeWaitMs: 5 });
+    breaker.recordFailure();
+    await breaker.acquire();
+
+    breaker.release();
+    await breaker.acquire();
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.probing, true);
+  });
+
+  it('doubles the cooldown when a probe fails, up to maxCooldownMs', () => {
+    const breaker = new CircuitBreaker(silentLogger, { threshold: 1, cooldownMs: 100, maxCooldownMs: 300 });
+    const cooldowns = [];
+    for (let i = 0; i < 4; i++) {
+      const before = Date.now();
+      breaker.state = breaker.state === 'open' ? 'half-open' : breaker.state;
+      breaker.recordFailure();
+      cooldowns.push(Math.round((breaker.openUntil - before) / 100) * 100);
+    }
+    assert.deepEqual(cooldowns, [100, 200, 300, 300]);
+  });
+});
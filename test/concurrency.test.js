@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  it('keeps at most `limit` calls in flight and returns results in order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await sleep(ms);
+      inFlight--;
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(maxInFlight, 2);
+  });
+
+  it('starts no new items after the first rejection', async () => {
+    const started = [];
+    const items = Array.from({ length: 20 }, (item, index) => index);
+
+    await assert.rejects(mapWithConcurrency(items, 3, async (item) => {
+      started.push(item);
+      if (item === 4) throw new Error('quota exhausted');
+      await sleep(5);
+    }), /quota exhausted/);
+    await sleep(50);
+
+    assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  });
+});
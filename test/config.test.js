@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { resolveLocation, toLocationSearchParams } = require('../config/locations');
+const { checkFilters, toSearchParams, hasExcludedParent } = require('../config/searchFilters');
+const { DEFAULT_QUALITY_RULES, checkContact, validateQualityRules } = require('../config/qualityRules');
+const { getFieldMapping, buildRecord } = require('../config/fieldMapping');
+const { validateBulkParameters, validateGroupedParameters, readParameterFile } = require('../config/parameterValidator');
+
+function createReport() {
+  return { errors: [], warnings: [] };
+}
+
+describe('resolveLocation', () => {
+  it('resolves states, metros, counties, ZIP codes and countries', () => {
+    const resolve = value => {
+      const location = resolveLocation(value);
+      return { type: location.type, search: toLocationSearchParams(location) };
+    };
+
+    assert.deepEqual(resolve('CA'), { type: 'state', search: { state: 'usa.california' } });
+    assert.deepEqual(resolve('CO - Denver'), { type: 'metro', search: { metroRegion: 'usa.colorado.denver' } });
+    assert.deepEqual(resolve('Denver County, CO'), { type: 'county', search: { state: 'usa.colorado', county: 'Denver' } });
+    assert.deepEqual(resolve('ZIP 80202'), { type: 'zip', search: { zipCode: '80202' } });
+    assert.deepEqual(resolve('United Kingdom'), { type: 'country', search: { country: 'unitedkingdom' } });
+  });
+
+  it('reports unknown locations and ids, and prefers a known id over the name', () => {
+    const report = createReport();
+    assert.equal(resolveLocation('Atlantis', { issuePath: 'locations[0]', report }).type, 'unknown');
+    resolveLocation('Alabama', { id: 'usa.nowhere', report });
+    const byId = resolveLocation('Colorado', { id: 'usa.california', report });
+
+    assert.equal(byId.state, 'California');
+    assert.deepEqual(report.errors.map(issue => issue.path), ['locations[0]', '']);
+    assert.equal(report.warnings.length, 1);
+  });
+});
+
+describe('search filters', () => {
+  it('normalises ranges, ZIP radius and company types into search parameters', () => {
+    const report = createReport();
+    const filters = checkFilters({ employee_count: '50-', revenue: { max: 5000 }, zip_code: '80202', zip_radius_miles: '25', company_type: 'Private,public' }, key => key, report);
+
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(toSearchParams(filters), {
+      employeeRangeMin: 50,
+      revenueMax: 5000,
+      zipCode: '80202',
+      zipCodeRadiusMiles: 25,
+      companyType: 'private,public'
+    });
+  });
+
+  it('reports invalid filters and leaves them out', () => {
+    const report = createReport();
+    const filters = checkFilters({ employee_count: '500-50', zip_radius_miles: 10, company_type: 'startup', colour: 'red' }, key => `filters.${key}`, report);
+
+    assert.deepEqual(filters, {});
+    assert.deepEqual(report.errors.map(issue => issue.path).sort(), ['filters.colour', 'filters.company_type', 'filters.employee_count', 'filters.zip_radius_miles']);
+  });
+
+  it('keeps a ZIP radius only with a valid ZIP code', () => {
+    const report = createReport();
+    const filters = checkFilters({ zip_code: 'abc', zip_radius_miles: 25 }, key => `filters.${key}`, report);
+
+    assert.deepEqual(filters, {});
+    assert.deepEqual(report.errors.map(issue => issue.path), ['filters.zip_code', 'filters.zip_radius_miles']);
+  });
+
+  it('warns about excluded parents only when companies are not enriched', () => {
+    const plain = createReport();
+    const enriched = createReport();
+    const raw = { excluded_parent_ids: '42,42, 7' };
+
+    assert.deepEqual(checkFilters(raw, key => key, plain), { excludedParentIds: ['42', '7'] });
+    checkFilters(raw, key => key, enriched, { enrichCompanies: true });
+    assert.deepEqual(plain.warnings.map(issue => issue.path), ['excluded_parent_ids']);
+    assert.deepEqual(enriched.warnings, []);
+  });
+
+  it('matches excluded parents on any record', () => {
+    const filters = { excludedParentIds: ['42'] };
+    assert.equal(hasExcludedParent(filters, { parentId: null }, { ultimateParentId: 42 }), true);
+    assert.equal(hasExcludedParent(filters, { parentId: 7 }), false);
+    assert.equal(hasExcludedParent({}, { parentId: 42 }), false);
+  });
+});
+
+describe('quality rules', () => {
+  const rules = {
+    ...DEFAULT_QUALITY_RULES,
+    minAccuracyScore: 85,
+    requiredChannels: ['email'],
+    managementLevels: { include: ['c-level'], exclude: [] },
+    departments: { include: [], exclude: ['human resources'] },
+    seniority: { include: [], exclude: [] }
+  };
+
+  it('checks search results only against what they show', () => {
+    assert.equal(checkContact(rules, { contactAccuracyScore: 80 }), 'accuracy');
+    assert.equal(checkContact(rules, { contactAccuracyScore: 90, hasEmail: false }), 'missingEmail');
+    assert.equal(checkContact(rules, { contactAccuracyScore: 90 }), null);
+  });
+
+  it('checks enriched contacts against channels and attributes', () => {
+    const contact = { contactAccuracyScore: 90 };
+    assert.equal(checkContact(rules, contact, { email: 'a@b.co', managementLevel: 'C-Level' }), null);
+    assert.equal(checkContact(rules, contact, { email: 'a@b.co' }), 'managementLevel');
+    assert.equal(checkContact(rules, contact, { email: 'a@b.co', managementLevel: 'C-Level', department: 'Human Resources' }), 'department');
+    assert.equal(checkContact({ ...rules, requiredChannels: [] }, contact, { managementLevel: 'C-Level' }), 'noChannel');
+  });
+
+  it('rejects unknown rules and channels', () => {
+    const { errors } = validateQualityRules({ minAccuracyScore: 120, anyChannels: ['fax'], colour: 'red' });
+    assert.deepEqual(errors.map(issue => issue.path).sort(), ['anyChannels', 'colour', 'minAccuracyScore']);
+  });
+});
+
+describe('field mapping', () => {
+  it('builds records from the first non-empty source, formats lists and adds computed fields', () => {
+    const { company } = getFieldMapping();
+    const record = buildRecord(company, {
+      search: { id: 12, name: 'Acme Builders', revenue: 900, naicsCodes: [{ id: '236118' }, { id: '236220' }] },
+      enrich: { revenue: '' },
+      combination: { state: 'Alabama', naicsCode: '236118' }
+    }, { contactCount: 3 });
+
+    assert.equal(record.ziId, '12');
+    assert.equal(record.revenue, '900');
+    assert.equal(record.naicsCodes, '236118; 236220');
+    assert.equal(record.state, 'Alabama');
+    assert.equal(record.website, '');
+    assert.equal(record.contactCount, 3);
+    assert.equal('createdAt' in record, false);
+  });
+});
+
+describe('shipped parameter files', () => {
+  const dataDir = path.join(__dirname, '..', 'data');
+
+  it('validate without errors so a plain run does not need --skip-validation', () => {
+    const bulk = validateBulkParameters(readParameterFile(path.join(dataDir, 'expanded_parameters.json')));
+    const grouped = validateGroupedParameters(readParameterFile(path.join(dataDir, 'extracted_parameters.json')));
+    assert.deepEqual(bulk.errors, []);
+    assert.deepEqual(grouped.errors, []);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ExclusionJournal = require('../services/exclusionJournal');
+const { parseExclusionsCsv, formatExclusionsCsv } = require('../services/exclusionJournal');
+const { silentLogger } = require('./helpers');
+
+const CONTACT_COLUMNS = ['zi_id', 'enriched_at'];
+// The contact list's merge: the most recent enrichment wins
+const latestEnrichment = (existing, incoming) => ((incoming.enrichedAt || '') >= (existing.enrichedAt || '') ? incoming : existing);
+
+describe('ExclusionJournal', () => {
+  let dir;
+  let journal;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    journal = new ExclusionJournal(silentLogger, {
+      snapshotFile: path.join(dir, 'contacts.csv'),
+      journalFile: path.join(dir, 'contacts.journal.jsonl'),
+      columns: CONTACT_COLUMNS,
+      merge: latestEnrichment
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('parses quoted and headerless CSVs', () => {
+    assert.deepEqual(Array.from(parseExclusionsCsv('"101"\n102\r\n\n').keys()), ['101', '102']);
+    const entries = parseExclusionsCsv('zi_id,enriched_at\n7,2026-01-02\n8,\n');
+    assert.deepEqual(entries.get('7'), { enrichedAt: '2026-01-02' });
+    assert.deepEqual(entries.get('8'), {});
+  });
+
+  it('formats entries sorted numerically with their extra columns', () => {
+    const entries = new Map([['10', { enrichedAt: '2026-02-01' }], ['9', {}]]);
+    assert.equal(formatExclusionsCsv(entries, CONTACT_COLUMNS), 'zi_id,enriched_at\n9,\n10,2026-02-01\n');
+  });
+
+  it('merges the journal over the snapshot and tracks what is still pending upload', async () => {
+    await fs.writeFile(journal.snapshotFile, 'zi_id,enriched_at\n1,2026-01-01\n2,2026-03-01\n');
+    await journal.append([['2', { enrichedAt: '2026-02-01' }], ['3', { enrichedAt: '2026-02-01' }]]);
+    await journal.append([['1', { enrichedAt: '2026-04-01' }]]);
+    await journal.markFlushed(['3']);
+    // A crash mid-append leaves a truncated line
+    await fs.appendFile(journal.journalFile, '{"ids":["4"');
+
+    const { entries, pending } = await journal.load();
+
+    assert.deepEqual(Object.fromEntries(entries), {
+      1: { enrichedAt: '2026-04-01' },
+      2: { enrichedAt: '2026-03-01' },
+      3: { enrichedAt: '2026-02-01' }
+    });
+    assert.deepEqual(Array.from(pending.keys()).sort(), ['1', '2']);
+  });
+
+  it('compacts into the snapshot and keeps only pending entries in the journal', async () => {
+    await journal.append([['5', { enrichedAt: '2026-05-01' }], ['6', { enrichedAt: '2026-05-02' }]]);
+    await journal.markFlushed(['5']);
+    const { entries, pending } = await journal.load();
+
+    await journal.compact(entries, pending);
+    const reloaded = await journal.load();
+
+    assert.equal(await fs.readFile(journal.snapshotFile, 'utf8'), 'zi_id,enriched_at\n5,2026-05-01\n6,2026-05-02\n');
+    assert.deepEqual(Array.from(reloaded.pending.keys()), ['6']);
+    assert.equal(reloaded.entries.size, 2);
+    assert.equal(journal.getJournalSize(), 1);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const exportResults = require('../commands/export');
+const CSVWriter = require('../utils/csvWriter');
+const { readCsvRecords } = require('../utils/csvReader');
+const { silentLogger } = require('./helpers');
+
+async function readRows(filePath) {
+  const rows = [];
+  for await (const record of readCsvRecords(filePath)) rows.push(record);
+  return rows;
+}
+
+function byId(rows, column) {
+  return Object.fromEntries(rows.map(row => [row[column], row]));
+}
+
+describe('export', () => {
+  let dir;
+  let resultsDir;
+  let outputDir;
+
+  beforeEach(async (t) => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    resultsDir = path.join(dir, 'csv');
+    outputDir = path.join(dir, 'export');
+    t.mock.method(console, 'log', () => {});
+
+    // The later file sorts first by name, so merge order has to come from the timestamp
+    const writer = new CSVWriter(silentLogger, { outputDir: resultsDir });
+    await writer.writeResults([
+      { ziId: '1', name: 'Acme', phone: '', contactCount: 9, createdAt: '2026-10-01' },
+      { ziId: '2', name: 'Beta', phone: '555-0200', contactCount: 9, createdAt: '2026-10-01' }
+    ], [
+      { ziId: '101', companyZiId: '1', name: 'Ann Lee', jobTitle: 'Project Manager', createdAt: '2026-10-01' },
+      { ziId: '102', companyZiId: '1', name: 'Bob Ray', jobTitle: 'Site Manager', createdAt: '2026-10-01' },
+      { ziId: '201', companyZiId: '2', name: 'Cy Moe', jobTitle: 'Owner', createdAt: '2026-10-01' }
+    ], 'Texas-236118-vm.1-2026-10-01T08-00-00');
+    await writer.writeResults([
+      { ziId: '1', name: '', phone: '555-0100', contactCount: 1, createdAt: '2026-10-02' },
+      { ziId: '3', name: 'Gamma', phone: '', contactCount: 1, createdAt: '2026-10-02' }
+    ], [
+      { ziId: '102', companyZiId: '1', name: 'Bob Ray', jobTitle: 'Senior Site Manager', createdAt: '2026-10-02' },
+      { ziId: '301', companyZiId: '3', name: 'Di Fox', jobTitle: 'COO', createdAt: '2026-10-02' }
+    ], 'Alabama-236118-vm.1-2026-10-02T08-00-00');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('merges overlapping result files into one row per ZoomInfo ID, later files winning for non-empty values', async () => {
+    await exportResults({ resultsDir, output: outputDir }, silentLogger);
+
+    const companies = byId(await readRows(path.join(outputDir, 'companies-master.csv')), 'ZoomInfo ID');
+    assert.deepEqual(Object.keys(companies).sort(), ['1', '2', '3']);
+    assert.equal(companies['1']['Company Name'], 'Acme');
+    assert.equal(companies['1'].Phone, '555-0100');
+    assert.equal(companies['1']['Date Found'], '2026-10-01');
+
+    const contacts = byId(await readRows(path.join(outputDir, 'contacts-master.csv')), 'Contact ZoomInfo ID');
+    assert.deepEqual(Object.keys(contacts).sort(), ['101', '102', '201', '301']);
+    assert.equal(contacts['102']['Job Title'], 'Senior Site Manager');
+    assert.equal(contacts['102']['Date Found'], '2026-10-01');
+
+    const combined = await readRows(path.join(outputDir, 'combined-master.csv'));
+    assert.equal(combined.length, 4);
+  });
+
+  it('rolls contact counts up from the deduplicated contacts, not the counts in the files', async () => {
+    await exportResults({ resultsDir, output: outputDir }, silentLogger);
+
+    const companies = byId(await readRows(path.join(outputDir, 'companies-master.csv')), 'ZoomInfo ID');
+    assert.equal(companies['1']['Contact Count'], '2');
+    assert.equal(companies['2']['Contact Count'], '1');
+    assert.equal(companies['3']['Contact Count'], '1');
+  });
+});
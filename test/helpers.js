@@ -0,0 +1,129 @@
+// Shared setup for tests that drive the services against the mock ZoomInfo API. Everything a run
+// writes (state, checkpoints, exclusions, results, metrics, budget ledger, token cache, bucket) goes
+// to a temporary directory, so tests never touch data/.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MockZoomInfoServer = require('../mock/zoomInfoServer');
+const ZoomInfoService = require('../services/zoomInfoService');
+const BucketService = require('../services/bucketService');
+const StateManager = require('../services/stateManager');
+const LeadProcessor = require('../services/leadProcessor');
+const MetricsStore = require('../services/metricsStore');
+const BudgetTracker = require('../services/budgetTracker');
+const LocalStorage = require('../services/storage/localStorage');
+const { createAuthProvider, TokenManager } = require('../services/auth');
+const { readCsvRecords } = require('../utils/csvReader');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Fast retries and no rate limiting to speak of; tests override what they exercise
+const DEFAULT_ENV = {
+  ZOOMINFO_USERNAME: 'test-user',
+  ZOOMINFO_PASSWORD: 'test-password',
+  RATE_LIMIT_PER_SECOND: '1000',
+  RETRY_BASE_DELAY_MS: '10',
+  RETRY_MAX_DELAY_MS: '50',
+  MAX_RETRIES: '3'
+};
+
+// Start a mock server (with `options.faults` and `options.mock` constructor options) and set `options.env`
+// over DEFAULT_ENV. Call close() when done; it restores the environment and removes the directory.
+async function createHarness(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+  const mock = new MockZoomInfoServer({ faults: options.faults, ...options.mock });
+  const baseURL = await mock.start();
+
+  const env = { ...DEFAULT_ENV, ZOOMINFO_BASE_URL: baseURL, ...options.env };
+  const previousEnv = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+
+  const harness = {
+    dir,
+    mock,
+    baseURL,
+    logger: silentLogger,
+
+    createZoomInfoService() {
+      return new ZoomInfoService(silentLogger, {
+        auth: new TokenManager(silentLogger, createAuthProvider(silentLogger), { baseURL, tokenFile: path.join(dir, 'zi-token.json') }),
+        budget: new BudgetTracker(silentLogger, { ledgerFile: path.join(dir, 'budget.json') })
+      });
+    },
+
+    // A full set of services for one run; call again on the same harness to simulate a restart
+    createServices(processorOptions = {}) {
+      const zoomInfoService = harness.createZoomInfoService();
+      const storage = new LocalStorage(silentLogger, { rootDir: path.join(dir, 'bucket') });
+      const bucketService = new BucketService(silentLogger, storage, { dataDir: dir });
+      const stateManager = new StateManager(silentLogger, {
+        stateFile: path.join(dir, 'vm-state.json'),
+        checkpointDir: path.join(dir, 'checkpoints')
+      });
+      const leadProcessor = new LeadProcessor(zoomInfoService, bucketService, stateManager, silentLogger, {
+        strategy: 'env',
+        formats: 'csv',
+        metadataDir: path.join(dir, 'metadata'),
+        metricsStore: new MetricsStore(silentLogger, { metricsDir: path.join(dir, 'metrics') }),
+        ...processorOptions
+      });
+      leadProcessor.writers.forEach(writer => { writer.outputDir = path.join(dir, writer.format); });
+      return { zoomInfoService, bucketService, stateManager, leadProcessor };
+    },
+
+    // Load state and exclusions and process every combination (or `range`), like `run` does
+    async run(services, range) {
+      await services.stateManager.loadState();
+      await services.bucketService.downloadCompanyExclusions();
+      await services.bucketService.downloadContactExclusions();
+      try {
+        await services.leadProcessor.processAllCombinations(range);
+      } finally {
+        await services.zoomInfoService.cleanup();
+        await services.stateManager.saveQueue;
+      }
+    },
+
+    // Requests the mock received for an endpoint, in order
+    requests(endpoint) {
+      return mock.requests.filter(request => request.endpoint === endpoint);
+    },
+
+    // Rows of every companies-*.csv written, without headers
+    async readCompanyRows() {
+      const csvDir = path.join(dir, 'csv');
+      const files = (await fs.readdir(csvDir).catch(() => [])).filter(file => file.startsWith('companies-'));
+      const rows = [];
+      for (const file of files) {
+        rows.push(...(await fs.readFile(path.join(csvDir, file), 'utf8')).trim().split('\n').slice(1));
+      }
+      return rows;
+    },
+
+    // Records of every companies-*.csv written, keyed by column title
+    async readCompanyRecords() {
+      const csvDir = path.join(dir, 'csv');
+      const files = (await fs.readdir(csvDir).catch(() => [])).filter(file => file.startsWith('companies-'));
+      const records = [];
+      for (const file of files) {
+        for await (const record of readCsvRecords(path.join(csvDir, file))) records.push(record);
+      }
+      return records;
+    },
+
+    async close() {
+      await mock.stop();
+      for (const [key, value] of Object.entries(previousEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+  return harness;
+}
+
+module.exports = {
+  silentLogger,
+  createHarness
+};
@@ -0,0 +1,304 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { createHarness } = require('./helpers');
+const { QuotaExhaustedError } = require('../services/zoomInfoErrors');
+
+// 120 companies in the fixtures: three pages of 50
+const ALABAMA_ENV = {
+  TARGET_STATES: 'Alabama',
+  TARGET_NAICS_CODES: '236118',
+  TARGET_JOB_TITLES: 'CEO,President,Project Manager',
+  BATCH_SIZE: '50'
+};
+
+describe('LeadProcessor against the mock API', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it('pages through every company of a combination and writes them once', async () => {
+    harness = await createHarness({ env: ALABAMA_ENV });
+    const services = harness.createServices();
+
+    await harness.run(services);
+
+    const pages = harness.requests('search/company').map(request => request.body.page);
+    assert.deepEqual(pages.sort(), [1, 2, 3]);
+    assert.equal((await harness.readCompanyRows()).length, 120);
+    assert.equal(services.leadProcessor.metricsStore.records[0].newCompanies, 120);
+    assert.equal(services.stateManager.getCurrentState().completed, true);
+    assert.equal(services.bucketService.getExclusionCount(), 120);
+  });
+
+  it('stops paginating at a page-out-of-range answer and keeps the pages it has', async () => {
+    harness = await createHarness({
+      env: { ...ALABAMA_ENV, PAGE_CONCURRENCY: '1' },
+      faults: [{ endpoint: 'search/company', status: 400, after: 1 }]
+    });
+    const services = harness.createServices();
+
+    await harness.run(services);
+
+    assert.equal(harness.requests('search/company').length, 2);
+    assert.equal((await harness.readCompanyRows()).length, 50);
+    assert.equal(services.stateManager.getCurrentState().completed, true);
+  });
+
+  it('rides out a 429 in the middle of a combination', async () => {
+    harness = await createHarness({
+      env: { ...ALABAMA_ENV, TARGET_STATES: 'CO - Denver', TARGET_NAICS_CODES: '23622' },
+      faults: [{ endpoint: 'search/contact', status: 429, retryAfter: 1, after: 3 }]
+    });
+    const services = harness.createServices();
+
+    await harness.run(services);
+
+    assert.equal((await harness.readCompanyRows()).length, 12);
+    assert.equal(services.zoomInfoService.getErrorCounts().RateLimitError, 1);
+  });
+
+  it('does not mark the run completed after --from, so a later run processes the skipped combinations', async () => {
+    harness = await createHarness({
+      env: { ...ALABAMA_ENV, TARGET_STATES: 'California,CO - Denver', TARGET_NAICS_CODES: '484121,23622' }
+    });
+    const firstRun = harness.createServices();
+    const total = firstRun.leadProcessor.getTotalCombinations();
+
+    await harness.run(firstRun, { from: total - 1 });
+    assert.equal(firstRun.stateManager.getCurrentState().completed, false);
+
+    harness.mock.reset();
+    const secondRun = harness.createServices();
+    await harness.run(secondRun);
+
+    assert.equal(harness.requests('search/company').filter(request => request.body.page === 1).length, total);
+    assert.equal(secondRun.stateManager.getCurrentState().completed, true);
+  });
+
+  it('leaves companies whose contact search was skipped out of the exclusion list', async () => {
+    harness = await createHarness({
+      env: { ...ALABAMA_ENV, TARGET_STATES: 'CO - Denver', TARGET_NAICS_CODES: '23622' },
+      faults: [{ endpoint: 'search/contact', status: 400, message: 'Invalid jobTitle', after: 3 }]
+    });
+    const services = harness.createServices();
+
+    await harness.run(services);
+
+    const skippedId = String(harness.requests('search/contact')[3].body.companyId);
+    assert.equal((await harness.readCompanyRows()).length, 11);
+    assert.equal(services.bucketService.getExclusionCount(), 11);
+    assert.equal(services.bucketService.isCompanyExcluded(skippedId), false);
+  });
+
+  it('with ENRICH_COMPANIES, writes enriched firmographics and skips companies under an excluded parent', async () => {
+    harness = await createHarness({
+      env: { ...ALABAMA_ENV, TARGET_STATES: 'CO - Denver', TARGET_NAICS_CODES: '23622', ENRICH_COMPANIES: 'true', FILTER_EXCLUDED_PARENT_IDS: '' }
+    });
+    const denver = harness.mock.fixtures.companies.filter(company => company.metroRegion === 'CO - Denver');
+    const excluded = denver.find(company => company.parentId);
+    process.env.FILTER_EXCLUDED_PARENT_IDS = String(excluded.parentId);
+    const services = harness.createServices();
+
+    await harness.run(services);
+
+    // Search results carry no parent ids in the mock, so only enrichment can catch the excluded parent
+    const kept = denver.filter(company => company.parentId !== excluded.parentId);
+    assert.equal(harness.requests('enrich/company').length, 1);
+    const searched = new Set(harness.requests('search/contact').map(request => String(request.body.companyId)));
+    assert.equal(searched.has(String(excluded.id)), false);
+
+    const rows = await harness.readCompanyRecords();
+    assert.deepEqual(rows.map(row => row['ZoomInfo ID']).sort(), kept.map(company => String(company.id)).sort());
+    for (const row of rows) {
+      const company = kept.find(candidate => String(candidate.id) === row['ZoomInfo ID']);
+      assert.equal(row['Revenue (USD thousands)'], String(company.revenue));
+      assert.equal(row.City, company.city);
+      assert.equal(row['Address State'], 'CO');
+    }
+  });
+
+  it('resumes a stopped combination from its checkpoint without searching finished companies again', async () => {
+    // Quota runs out on the second page, after the first page's 50 companies are finished
+    harness = await createHarness({
+      env: ALABAMA_ENV,
+      faults: [{ endpoint: 'search/contact', status: 403, after: 60, times: 1000 }]
+    });
+
+    const firstRun = harness.createServices();
+    await assert.rejects(harness.run(firstRun), QuotaExhaustedError);
+    const stoppedState = firstRun.stateManager.getCurrentState();
+    const finished = new Set(stoppedState.completedCompanyIds.map(String));
+    assert.equal(stoppedState.completed, false);
+    assert.deepEqual(stoppedState.completedPages, [1]);
+    assert.equal(finished.size, 50);
+    assert.equal((await harness.readCompanyRows()).length, 0, 'nothing is written before the combination finishes');
+
+    // Quota renewed; a new process picks up from the saved state
+    harness.mock.reset();
+    const secondRun = harness.createServices();
+    await harness.run(secondRun);
+
+    assert.deepEqual(harness.requests('search/company').map(request => request.body.page).sort(), [2, 3]);
+    const searchedAgain = harness.requests('search/contact').map(request => String(request.body.companyId));
+    assert.equal(searchedAgain.filter(companyId => finished.has(companyId)).length, 0);
+    assert.equal(new Set(searchedAgain).size, 120 - finished.size);
+
+    const rows = await harness.readCompanyRows();
+    assert.equal(rows.length, 120);
+    assert.equal(new Set(rows.map(row => row.split(',')[0])).size, 120);
+    assert.equal(secondRun.leadProcessor.metricsStore.records.at(-1).resumed, true);
+    assert.equal(secondRun.stateManager.getCurrentState().completed, true);
+  });
+
+  it('records the same metrics for a resumed combination as for an uninterrupted one', async () => {
+    const metricKeys = ['companiesScanned', 'newCompanies', 'contactsFound', 'enriched', 'kept', 'rejected', 'titles'];
+    const pick = (record) => Object.fromEntries(metricKeys.map(key => [key, record[key]]));
+
+    harness = await createHarness({ env: ALABAMA_ENV });
+    const uninterrupted = harness.createServices();
+    await harness.run(uninterrupted);
+    const expected = pick(uninterrupted.leadProcessor.metricsStore.records.at(-1));
+    await harness.close();
+
+    harness = await createHarness({
+      env: ALABAMA_ENV,
+      faults: [{ endpoint: 'search/contact', status: 403, after: 60, times: 1000 }]
+    });
+    await assert.rejects(harness.run(harness.createServices()), QuotaExhaustedError);
+    harness.mock.reset();
+    const resumed = harness.createServices();
+    await harness.run(resumed);
+
+    const record = resumed.leadProcessor.metricsStore.records.at(-1);
+    assert.equal(record.resumed, true);
+    assert.equal(record.newCompanies, 120);
+    assert.deepEqual(pick(record), expected);
+  });
+
+  describe('adaptive mode', () => {
+    const TITLES = ['CEO', 'Project Manager', 'Estimator'];
+
+    // 23622 keeps 2.5 contacts per 100 companies; 484121 keeps 20, but Estimator found nobody in 200 companies
+    async function createServicesWithHistory(mode, history = {}) {
+      harness = await createHarness({
+        env: { ...ALABAMA_ENV, TARGET_STATES: 'CO - Denver', TARGET_NAICS_CODES: '23622', ADAPTIVE_MODE: mode, ADAPTIVE_MIN_YIELD: '5', ADAPTIVE_MIN_COMPANIES: '100' }
+      });
+      const services = harness.createServices();
+      const { metricsStore } = services.leadProcessor;
+      const titleSet = await metricsStore.registerTitleSet(TITLES);
+      await metricsStore.record({
+        naicsCode: '23622', titleSet, newCompanies: 120, kept: 3,
+        titles: { CEO: { found: 4, kept: 3 } }, ...history['23622']
+      });
+      await metricsStore.record({
+        naicsCode: '484121', titleSet, newCompanies: 200, kept: 40,
+        titles: { CEO: { found: 30, kept: 30 }, 'Project Manager': { found: 12, kept: 10 } }
+      });
+      return services;
+    }
+
+    it('skips a low-yield NAICS code and drops low-yield titles in skip mode', async () => {
+      const { leadProcessor } = await createServicesWithHistory('skip');
+
+      assert.match(leadProcessor.planCombination({ naicsCode: '23622', jobTitles: TITLES }).skip, /NAICS 23622 yields 2\.5 contacts per 100 companies over 120 companies/);
+      assert.deepEqual(leadProcessor.planCombination({ naicsCode: '484121', jobTitles: TITLES }), {
+        skip: null, jobTitles: ['CEO', 'Project Manager'], droppedTitles: ['Estimator'], fallbackTitles: [], maxPages: null
+      });
+    });
+
+    it('limits a low-yield NAICS code to one page and keeps low-yield titles as a fallback when deprioritising', async () => {
+      const { leadProcessor } = await createServicesWithHistory('deprioritise');
+
+      const lowNaics = leadProcessor.planCombination({ naicsCode: '23622', jobTitles: TITLES });
+      assert.equal(lowNaics.skip, null);
+      assert.equal(lowNaics.maxPages, 1);
+      assert.deepEqual(leadProcessor.planCombination({ naicsCode: '484121', jobTitles: TITLES }), {
+        skip: null, jobTitles: ['CEO', 'Project Manager'], droppedTitles: [], fallbackTitles: ['Estimator'], maxPages: null
+      });
+    });
+
+    it('does not judge a NAICS code or title searched at fewer than ADAPTIVE_MIN_COMPANIES companies', async () => {
+      const { leadProcessor } = await createServicesWithHistory('skip', { 23622: { newCompanies: 99, kept: 0, titles: {} } });
+
+      assert.deepEqual(leadProcessor.planCombination({ naicsCode: '23622', jobTitles: TITLES }), {
+        skip: null, jobTitles: TITLES, droppedTitles: [], fallbackTitles: [], maxPages: null
+      });
+    });
+
+    it('records a skipped combination without searching it', async () => {
+      const services = await createServicesWithHistory('skip');
+
+      await harness.run(services);
+
+      assert.equal(harness.requests('search/company').length, 0);
+      const record = services.leadProcessor.metricsStore.records.at(-1);
+      assert.equal(record.naicsCode, '23622');
+      assert.match(record.skipped, /NAICS 23622 yields/);
+      assert.equal(services.stateManager.getCurrentState().completed, true);
+    });
+  });
+
+  describe('contact deduplication', () => {
+    const DENVER_ENV = { ...ALABAMA_ENV, TARGET_STATES: 'CO - Denver', TARGET_NAICS_CODES: '23622', CONTACT_STALE_DAYS: '30' };
+    let oldLowScore;
+    let recentHighScore;
+
+    const enrichedIds = () => new Set(harness.requests('enrich/contact')
+      .flatMap(request => request.body.matchPersonInput.map(input => String(input.personId))));
+
+    // Two contacts a run enriches: one known from an old, low-accuracy enrichment and one from a recent, high-accuracy one
+    before(async () => {
+      harness = await createHarness({ env: DENVER_ENV });
+      await harness.run(harness.createServices());
+      [oldLowScore, recentHighScore] = [...enrichedIds()];
+      await harness.close();
+    });
+
+    async function runWithKnownContacts(policy) {
+      harness = await createHarness({ env: { ...DENVER_ENV, CONTACT_DEDUP_POLICY: policy } });
+      await fs.writeFile(path.join(harness.dir, 'existing_contacts.csv'), [
+        'zi_id,enriched_at,accuracy_score',
+        `${oldLowScore},2020-01-01T00:00:00.000Z,0`,
+        `${recentHighScore},${new Date().toISOString()},100`
+      ].join('\n') + '\n');
+      const services = harness.createServices();
+      await harness.run(services);
+      return { services, enriched: enrichedIds() };
+    }
+
+    it('skip: never enriches a known contact again', async () => {
+      const { enriched } = await runWithKnownContacts('skip');
+
+      assert.ok(enriched.size > 0);
+      assert.equal(enriched.has(oldLowScore), false);
+      assert.equal(enriched.has(recentHighScore), false);
+    });
+
+    it('stale: re-enriches a known contact once its enrichment is older than CONTACT_STALE_DAYS', async () => {
+      const { services, enriched } = await runWithKnownContacts('stale');
+
+      assert.equal(enriched.has(oldLowScore), true);
+      assert.equal(enriched.has(recentHighScore), false);
+      assert.equal(services.bucketService.shouldEnrichContact(oldLowScore), false, 'the new enrichment date is recorded');
+    });
+
+    it('best-accuracy: re-enriches a known contact only when the search shows a higher accuracy score', async () => {
+      const { enriched } = await runWithKnownContacts('best-accuracy');
+
+      assert.equal(enriched.has(oldLowScore), true);
+      assert.equal(enriched.has(recentHighScore), false);
+    });
+
+    it('off: enriches known contacts and records none', async () => {
+      const { services, enriched } = await runWithKnownContacts('off');
+
+      assert.equal(enriched.has(oldLowScore), true);
+      assert.equal(enriched.has(recentHighScore), true);
+      assert.equal(services.bucketService.getContactExclusionCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MetricsStore = require('../services/metricsStore');
+const report = require('../commands/report');
+const { silentLogger } = require('./helpers');
+
+const TITLES = ['CEO', 'Project Manager', 'Estimator'];
+
+describe('MetricsStore', () => {
+  let dir;
+  let store;
+  let titleSet;
+  let records;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    store = new MetricsStore(silentLogger, { metricsDir: dir });
+    titleSet = await store.registerTitleSet(TITLES);
+    records = [
+      {
+        combinationIndex: 0, location: 'CO - Denver', naicsCode: '23622', titleSet,
+        companiesScanned: 150, newCompanies: 120, contactsFound: 6, enriched: 4, kept: 3,
+        titles: { CEO: { found: 4, kept: 2 }, 'Project Manager': { found: 2, kept: 1 } },
+        apiCalls: { 'search/company': 3, 'search/contact': 120 }
+      },
+      { combinationIndex: 1, location: 'Texas', naicsCode: '23622', titleSet, skipped: 'low yield' },
+      {
+        combinationIndex: 2, location: 'California', naicsCode: '484121', titleSet,
+        companiesScanned: 50, newCompanies: 50, contactsFound: 25, enriched: 20, kept: 20,
+        droppedTitles: ['Project Manager'], fallbackTitles: ['Estimator'], fallbackCompanies: 10,
+        titles: { CEO: { found: 22, kept: 18 }, Estimator: { found: 3, kept: 2 } },
+        apiCalls: { 'search/company': 1, 'search/contact': 60, 'enrich/contact': 1 }
+      }
+    ];
+    for (const record of records) await store.record(record);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads back its records and title sets, skipping a truncated last line', async () => {
+    await fs.appendFile(path.join(dir, 'combinations.jsonl'), '{"combinationIndex": 3, "loc');
+    const reloaded = new MetricsStore(silentLogger, { metricsDir: dir });
+
+    assert.deepEqual(await reloaded.load(), records);
+    assert.equal(await reloaded.registerTitleSet([...TITLES]), titleSet);
+    assert.deepEqual(reloaded.searchedTitles(records[2]), ['CEO', 'Estimator']);
+  });
+
+  it('summarises processed combinations, counting skipped ones apart', () => {
+    const totals = store.summarise(store.records);
+
+    assert.deepEqual(totals, {
+      combinations: 2,
+      skipped: 1,
+      companiesScanned: 200,
+      newCompanies: 170,
+      contactsFound: 31,
+      enriched: 24,
+      kept: 23,
+      apiCalls: 185,
+      yield: (23 / 170) * 100
+    });
+    const byNaics = Object.fromEntries(store.groupBy(record => record.naicsCode).map(group => [group.key, group]));
+    assert.equal(byNaics['23622'].yield, 2.5);
+    assert.equal(byNaics['23622'].skipped, 1);
+    assert.equal(byNaics['484121'].yield, 40);
+  });
+
+  it('counts fallback titles only at the companies they were searched at, and dropped titles not at all', () => {
+    const titles = store.titleYields();
+
+    assert.deepEqual(titles.get('CEO'), { companies: 170, found: 26, kept: 20, yield: (20 / 170) * 100 });
+    assert.deepEqual(titles.get('Project Manager'), { companies: 120, found: 2, kept: 1, yield: (1 / 120) * 100 });
+    assert.deepEqual(titles.get('Estimator'), { companies: 130, found: 3, kept: 2, yield: (2 / 130) * 100 });
+  });
+
+  describe('report', () => {
+    let output;
+
+    beforeEach((t) => {
+      output = [];
+      t.mock.method(console, 'log', (line = '') => output.push(line));
+    });
+
+    it('prints groups by yield, highest first, with the totals', async () => {
+      await report({ by: 'naics', metricsDir: dir }, silentLogger);
+
+      const rows = output.slice(1, output.indexOf('')).map(line => line.split('\t'));
+      assert.deepEqual(rows.map(row => row[0]), ['484121', '23622']);
+      assert.deepEqual(rows[1], ['23622', '1', '1', '150', '120', '6', '4', '3', '123', '2.5', '0.02']);
+      assert.ok(output.includes('Combinations: 2 processed, 1 skipped'));
+    });
+
+    it('prints title yields for one NAICS code', async () => {
+      await report({ by: 'title', naics: '23622', metricsDir: dir }, silentLogger);
+
+      assert.equal(output[0], 'title\tcompanies\tfound\tkept\tyield');
+      assert.deepEqual(output.slice(1, 4), ['CEO\t120\t4\t2\t1.7', 'Project Manager\t120\t2\t1\t0.8', 'Estimator\t120\t0\t0\t0.0']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const MonitoringServer = require('../services/monitoringServer');
+const telemetry = require('../services/telemetry');
+const { silentLogger } = require('./helpers');
+
+describe('MonitoringServer', () => {
+  let server;
+  let baseURL;
+  let stateReason = null;
+
+  before(async () => {
+    telemetry.addReadinessCheck('state', () => stateReason);
+    server = new MonitoringServer(silentLogger, { port: 0 });
+    const port = await server.start();
+    baseURL = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('is only enabled with a port, and binds to loopback by default', () => {
+    assert.equal(new MonitoringServer(silentLogger, { port: NaN }).isEnabled(), false);
+    assert.equal(server.isEnabled(), true);
+    assert.equal(server.host, '127.0.0.1');
+    assert.ok(server.port > 0);
+  });
+
+  it('answers /healthz while the process is alive', async () => {
+    const response = await fetch(`${baseURL}/healthz`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+
+  it('answers /readyz with 200 when every check passes and 503 with the failing check otherwise', async () => {
+    stateReason = null;
+    const ready = await fetch(`${baseURL}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.deepEqual(await ready.json(), { ready: true, checks: { state: 'ok' } });
+
+    stateReason = 'No checkpoint for 600s';
+    const notReady = await fetch(`${baseURL}/readyz`);
+    assert.equal(notReady.status, 503);
+    assert.deepEqual(await notReady.json(), { ready: false, checks: { state: 'No checkpoint for 600s' } });
+    stateReason = null;
+  });
+
+  it('serves the metrics in the Prometheus text format', async () => {
+    telemetry.metrics.apiRequests.inc({ endpoint: 'search/company', status: 200 });
+    telemetry.metrics.apiRequests.inc({ endpoint: 'search/company', status: 200 });
+    telemetry.metrics.exclusionSetSize.set(42, { list: 'company' });
+
+    const response = await fetch(`${baseURL}/metrics`);
+    const body = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(body, /^# HELP zi_api_requests_total .+\n# TYPE zi_api_requests_total counter$/m);
+    assert.match(body, /^zi_api_requests_total\{endpoint="search\/company",status="200"\} 2$/m);
+    assert.match(body, /^zi_exclusion_set_size\{list="company"\} 42$/m);
+    assert.match(body, /^process_resident_memory_bytes \d+$/m);
+    assert.ok(body.endsWith('\n'));
+  });
+
+  it('answers 404 for unknown paths and 405 for anything but GET', async () => {
+    assert.equal((await fetch(`${baseURL}/nope`)).status, 404);
+    assert.equal((await fetch(`${baseURL}/metrics`, { method: 'POST' })).status, 405);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const RunSummary = require('../services/runSummary');
+const MockWebhookReceiver = require('../mock/webhookReceiver');
+const { QuotaExhaustedError } = require('../services/zoomInfoErrors');
+const { createHarness } = require('./helpers');
+
+// 12 companies in the fixtures
+const DENVER_ENV = {
+  TARGET_STATES: 'CO - Denver',
+  TARGET_NAICS_CODES: '23622',
+  TARGET_JOB_TITLES: 'CEO,President,Project Manager'
+};
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => entry.isFile()).map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)));
+}
+
+describe('RunSummary', () => {
+  let harness;
+  let receiver;
+  let services;
+
+  beforeEach(async () => {
+    harness = await createHarness({ env: DENVER_ENV });
+    services = harness.createServices();
+  });
+
+  afterEach(async () => {
+    await receiver?.stop();
+    receiver = null;
+    await harness.close();
+  });
+
+  function createSummary(options = {}) {
+    return new RunSummary(services.leadProcessor, harness.logger, { outputDir: path.join(harness.dir, 'summaries'), webhookUrl: '', ...options });
+  }
+
+  it('summarises the run, writes JSON and Markdown and uploads them with the results', async () => {
+    const summary = createSummary();
+    await harness.run(services);
+
+    const built = await summary.publish('completed');
+
+    assert.equal(built.status, 'completed');
+    assert.equal(built.searchStrategy, 'env');
+    assert.deepEqual(built.combinations, { processed: 1, skipped: 0, nextIndex: 1, total: 1, progressPercent: 100 });
+    assert.equal(built.companies.searchedForContacts, 12);
+    assert.equal(built.contacts.kept, services.stateManager.getCurrentState().processedContacts);
+    assert.equal(built.api.calls['search/company'], 1);
+    assert.equal(built.errors.fatal, null);
+
+    const written = JSON.parse(await fs.readFile(path.join(harness.dir, 'summaries', `run-${built.runId}.json`), 'utf8'));
+    assert.deepEqual(written, built);
+    const markdown = await fs.readFile(path.join(harness.dir, 'summaries', `run-${built.runId}.md`), 'utf8');
+    assert.match(markdown, /^\*\*Status:\*\* completed$/m);
+    const uploaded = await listFiles(path.join(harness.dir, 'bucket'));
+    assert.equal(uploaded.filter(file => file.includes('summaries') && file.includes(built.runId)).length, 2);
+  });
+
+  it('posts the summary to the webhook for the configured events only', async () => {
+    receiver = new MockWebhookReceiver();
+    const summary = createSummary({ webhookUrl: await receiver.start() });
+    await harness.run(services);
+
+    await summary.publish('running');
+    await summary.publish('completed');
+
+    assert.equal(receiver.messages.length, 1);
+    const [message] = receiver.messages;
+    assert.deepEqual(Object.keys(message), ['text']);
+    assert.match(message.text, /^\*Lead generation run completed\* \(env, started /);
+    assert.match(message.text, /^Combinations: 1 processed, 0 skipped - 100% of 1 done$/m);
+    assert.match(message.text, /^Contacts: \d+ kept of \d+ found, 12 companies searched$/m);
+  });
+
+  it('names the error that stopped the run', async () => {
+    receiver = new MockWebhookReceiver();
+    const summary = createSummary({ webhookUrl: await receiver.start() });
+    const error = new QuotaExhaustedError('Record credit quota exhausted', { endpoint: 'enrich/contact', status: 403 });
+
+    const built = await summary.publish('stopped', error);
+
+    assert.deepEqual(built.errors.fatal, { type: 'QuotaExhaustedError', message: error.message, endpoint: 'enrich/contact', status: 403 });
+    assert.match(receiver.messages[0].text, /^Stopped by QuotaExhaustedError from enrich\/contact: Record credit quota exhausted$/m);
+  });
+
+  it('does not fail the run when the webhook answers with an error or cannot be reached', async () => {
+    receiver = new MockWebhookReceiver({ status: 500 });
+    const failingUrl = await receiver.start();
+    await harness.run(services);
+
+    const answeredWithError = await createSummary({ webhookUrl: failingUrl }).publish('completed');
+    assert.equal(answeredWithError.status, 'completed');
+    assert.equal(receiver.messages.length, 1);
+
+    await receiver.stop();
+    const unreachable = await createSummary({ webhookUrl: failingUrl }).publish('failed', new Error('boom'));
+    assert.equal(unreachable.status, 'failed');
+  });
+
+  it('rejects unknown webhook events', () => {
+    assert.throws(() => createSummary({ webhookEvents: 'completed,finished' }), /Unknown SUMMARY_WEBHOOK_EVENTS finished/);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { TokenManager } = require('../services/auth');
+const { AuthError } = require('../services/zoomInfoErrors');
+const { createHarness, silentLogger } = require('./helpers');
+
+function createJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.signature`;
+}
+
+// Provider issuing numbered tokens that expire `lifetimeSeconds` after Date.now()
+function createProvider(lifetimeSeconds = 3600) {
+  const provider = {
+    calls: 0,
+    failWith: null,
+    describe: () => 'test provider',
+    async authenticate() {
+      const call = ++provider.calls;
+      await new Promise(resolve => setImmediate(resolve));
+      if (provider.failWith) throw provider.failWith;
+      return createJwt({ sub: `token-${call}`, exp: Math.floor(Date.now() / 1000) + lifetimeSeconds });
+    }
+  };
+  return provider;
+}
+
+describe('TokenManager', () => {
+  let dir;
+  let now;
+
+  beforeEach(async (t) => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+    now = Date.UTC(2026, 9, 19, 9, 0, 0);
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function createTokenManager(provider, options = {}) {
+    return new TokenManager(silentLogger, provider, { tokenFile: path.join(dir, 'zi-token.json'), cache: 'memory', refreshMarginMs: 300 * 1000, ...options });
+  }
+
+  it('shares one authenticate call between concurrent callers', async () => {
+    const provider = createProvider();
+    const tokenManager = createTokenManager(provider);
+
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => tokenManager.getToken()));
+
+    assert.equal(provider.calls, 1);
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(await tokenManager.getToken(), tokens[0]);
+    assert.equal(provider.calls, 1);
+  });
+
+  it('refreshes the refresh margin before the token expires', async () => {
+    const provider = createProvider(3600);
+    const tokenManager = createTokenManager(provider);
+    const first = await tokenManager.getToken();
+
+    now += (3600 - 301) * 1000;
+    assert.equal(await tokenManager.getToken(), first);
+
+    now += 2 * 1000;
+    const second = await tokenManager.getToken();
+    assert.notEqual(second, first);
+    assert.equal(provider.calls, 2);
+    assert.ok(tokenManager.expiresAt > now + 3000 * 1000);
+  });
+
+  it('refreshes a token shorter-lived than the margin halfway through its life', async () => {
+    const provider = createProvider(120);
+    const tokenManager = createTokenManager(provider);
+    const first = await tokenManager.getToken();
+
+    now += 59 * 1000;
+    assert.equal(await tokenManager.getToken(), first);
+    now += 2 * 1000;
+    assert.notEqual(await tokenManager.getToken(), first);
+  });
+
+  it('only drops the token the API rejected, not one that already replaced it', async () => {
+    const provider = createProvider();
+    const tokenManager = createTokenManager(provider);
+    const first = await tokenManager.getToken();
+
+    await tokenManager.invalidate(first);
+    const second = await tokenManager.getToken();
+    await tokenManager.invalidate(first);
+
+    assert.equal(await tokenManager.getToken(), second);
+    assert.equal(provider.calls, 2);
+  });
+
+  it('rejects every waiting caller with AuthError when authentication fails, and tries again on the next call', async () => {
+    const provider = createProvider();
+    provider.failWith = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+    const tokenManager = createTokenManager(provider);
+
+    const results = await Promise.allSettled([tokenManager.getToken(), tokenManager.getToken()]);
+
+    assert.deepEqual(results.map(result => result.reason instanceof AuthError), [true, true]);
+    assert.equal(provider.calls, 1);
+    provider.failWith = null;
+    assert.ok(await tokenManager.getToken());
+    assert.equal(provider.calls, 2);
+  });
+
+  it('shares a file-cached token with the next process, readable by its owner only', async () => {
+    const provider = createProvider();
+    const token = await createTokenManager(provider, { cache: 'file' }).getToken();
+
+    assert.equal(await createTokenManager(provider, { cache: 'file' }).getToken(), token);
+    assert.equal(provider.calls, 1);
+    assert.equal((await fs.stat(path.join(dir, 'zi-token.json'))).mode & 0o777, 0o600);
+
+    // Back in memory mode the cached file is removed
+    await createTokenManager(provider).getToken();
+    await assert.rejects(fs.stat(path.join(dir, 'zi-token.json')), { code: 'ENOENT' });
+  });
+
+  it('sends one authenticate request to the API for concurrent callers', async (t) => {
+    t.mock.restoreAll();
+    const harness = await createHarness();
+    try {
+      const service = harness.createZoomInfoService();
+      await Promise.all([service.auth.getToken(), service.auth.getToken(), service.auth.getToken()]);
+      assert.equal(harness.requests('authenticate').length, 1);
+    } finally {
+      await harness.close();
+    }
+  });
+});
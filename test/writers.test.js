@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const parquet = require('parquetjs-lite');
+const JsonlWriter = require('../utils/writers/jsonlWriter');
+const ParquetWriter = require('../utils/writers/parquetWriter');
+const CrmWriter = require('../utils/writers/crmWriter');
+const { readCsvRecords } = require('../utils/csvReader');
+const { silentLogger } = require('./helpers');
+
+const COMPANIES = [
+  {
+    ziId: '1', name: 'Acme, Inc.', state: 'Texas', naicsCode: '236118', website: 'https://www.acme.example/about',
+    phone: '(512) 555-0100', revenue: '2500', employeeCount: '40', contactCount: 2, createdAt: '2026-10-19',
+    raw: { search: { id: 1, name: 'Acme, Inc.' } }
+  },
+  { ziId: '2', name: 'Beta "Builders"', state: 'Texas', naicsCode: '236118', contactCount: 0 }
+];
+
+const CONTACTS = [
+  {
+    ziId: '101', companyZiId: '1', companyName: 'Acme, Inc.', name: 'Ann Marie Lee', jobTitle: 'Project Manager',
+    email: ' Ann.Lee@Acme.example ', phone: '512-555-0101 ext 12', state: 'Texas', naicsCode: '236118',
+    createdAt: '2026-10-19', raw: { search: { id: 101 }, enrich: { email: 'ann.lee@acme.example' } }
+  },
+  { ziId: '102', companyZiId: '1', companyName: 'Acme, Inc.', firstName: 'Bob', lastName: 'Ray', metroRegion: 'TX - Austin', email: 'not-an-email' }
+];
+
+async function readCsv(filePath) {
+  const rows = [];
+  for await (const record of readCsvRecords(filePath)) rows.push(record);
+  return rows;
+}
+
+async function readParquet(filePath) {
+  const reader = await parquet.ParquetReader.openFile(filePath);
+  const rows = [];
+  try {
+    const cursor = reader.getCursor();
+    let row;
+    while ((row = await cursor.next())) rows.push(row);
+  } finally {
+    await reader.close();
+  }
+  return rows;
+}
+
+describe('output writers', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zi-lead-generation-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('JSONL writes one record per line that parses back to the record, raw payloads included', async () => {
+    const writer = new JsonlWriter(silentLogger, { outputDir: dir });
+    const files = await writer.writeResults(COMPANIES, CONTACTS, 'Texas-236118');
+
+    assert.deepEqual(files.map(file => file.kind), ['companies', 'contacts']);
+    for (const [file, records] of [[files[0], COMPANIES], [files[1], CONTACTS]]) {
+      const lines = (await fs.readFile(file.path, 'utf8')).trimEnd().split('\n');
+      assert.deepEqual(lines.map(line => JSON.parse(line)), records);
+    }
+  });
+
+  it('Parquet reads back the mapped columns, contactCount as a number and raw as JSON', async () => {
+    const writer = new ParquetWriter(silentLogger, { outputDir: dir });
+    const files = await writer.writeResults(COMPANIES, CONTACTS, 'Texas-236118');
+
+    const companies = await readParquet(files.find(file => file.kind === 'companies').path);
+    assert.equal(companies.length, 2);
+    assert.equal(companies[0].ziId, '1');
+    assert.equal(companies[0].name, 'Acme, Inc.');
+    assert.equal(companies[0].contactCount, 2);
+    assert.equal(companies[0].createdAt, '2026-10-19');
+    assert.deepEqual(JSON.parse(companies[0].raw), COMPANIES[0].raw);
+    assert.equal(companies[1].name, 'Beta "Builders"');
+    assert.equal(companies[1].website, undefined);
+    assert.equal(companies[1].raw, undefined);
+
+    const contacts = await readParquet(files.find(file => file.kind === 'contacts').path);
+    assert.deepEqual(contacts.map(contact => contact.ziId), ['101', '102']);
+    assert.equal(contacts[0].companyZiId, '1');
+    assert.equal(contacts[0].jobTitle, 'Project Manager');
+    assert.deepEqual(JSON.parse(contacts[0].raw), CONTACTS[0].raw);
+  });
+
+  it('Salesforce writes a lead file with normalised contact details and company fields', async () => {
+    const writer = new CrmWriter(silentLogger, { profile: 'salesforce', outputDir: dir, owner: 'sales@acme.example', leadSource: 'ZoomInfo' });
+    const files = await writer.writeResults(COMPANIES, CONTACTS, 'Texas-236118');
+
+    assert.deepEqual(files.map(file => file.kind), ['leads']);
+    const [ann, bob] = await readCsv(files[0].path);
+    assert.equal(ann['First Name'], 'Ann Marie');
+    assert.equal(ann['Last Name'], 'Lee');
+    assert.equal(ann.Company, 'Acme, Inc.');
+    assert.equal(ann.Email, 'ann.lee@acme.example');
+    assert.equal(ann.Phone, '+15125550101');
+    assert.equal(ann.Website, 'https://www.acme.example/about');
+    assert.equal(ann['State/Province'], 'Texas');
+    assert.equal(ann['Annual Revenue'], '2500000');
+    assert.equal(ann['Lead Owner'], 'sales@acme.example');
+    assert.equal(bob['First Name'], 'Bob');
+    assert.equal(bob.Email, '');
+    assert.equal(bob['State/Province'], 'TX');
+  });
+
+  it('HubSpot writes contacts and companies linked by company domain', async () => {
+    const writer = new CrmWriter(silentLogger, { profile: 'hubspot', outputDir: dir, owner: '', leadSource: 'ZoomInfo' });
+    const files = await writer.writeResults(COMPANIES, CONTACTS, 'Texas-236118');
+
+    assert.deepEqual(files.map(file => file.kind), ['contacts', 'companies']);
+    const contacts = await readCsv(files[0].path);
+    assert.deepEqual(contacts.map(contact => contact['ZoomInfo Contact ID']), ['101', '102']);
+    assert.equal(contacts[0]['Company Domain Name'], 'acme.example');
+
+    const companies = await readCsv(files[1].path);
+    assert.deepEqual(companies.map(company => company['Company name']), ['Acme, Inc.', 'Beta "Builders"']);
+    assert.equal(companies[0]['Company Domain Name'], 'acme.example');
+    assert.equal(companies[0]['Phone Number'], '+15125550100');
+    assert.equal(companies[1]['Company Domain Name'], '');
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./helpers');
+const { AuthError, BudgetExceededError, PageOutOfRangeError, QuotaExhaustedError, TransientError, ValidationError } = require('../services/zoomInfoErrors');
+
+const ALABAMA_SEARCH = { state: 'usa.alabama', naicsCodes: '236118', rpp: 50, page: 1 };
+
+describe('ZoomInfoService against the mock API', () => {
+  let harness;
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  describe('without faults', () => {
+    beforeEach(async () => {
+      harness = await createHarness();
+    });
+
+    it('authenticates once and pages through company search results', async () => {
+      const service = harness.createZoomInfoService();
+      const first = await service.searchCompanies(ALABAMA_SEARCH);
+      const third = await service.searchCompanies({ ...ALABAMA_SEARCH, page: 3 });
+
+      assert.equal(first.totalResults, 120);
+      assert.equal(first.data.length, 50);
+      assert.equal(third.data.length, 20);
+      assert.equal(harness.requests('authenticate').length, 1);
+    });
+
+    it('throws PageOutOfRangeError for a page past the end', async () => {
+      const service = harness.createZoomInfoService();
+      await assert.rejects(service.searchCompanies({ ...ALABAMA_SEARCH, page: 4 }), PageOutOfRangeError);
+      assert.equal(harness.requests('search/company').length, 1);
+    });
+
+    it('authenticates again after a 401 and retries the request', async () => {
+      const service = harness.createZoomInfoService();
+      await service.searchCompanies(ALABAMA_SEARCH);
+      harness.mock.expireTokens();
+
+      const result = await service.searchCompanies(ALABAMA_SEARCH);
+
+      assert.equal(result.data.length, 50);
+      assert.equal(harness.requests('authenticate').length, 2);
+      assert.equal(harness.requests('search/company').length, 3);
+    });
+
+    it('enriches in batches of 25 and reports unmatched ids', async () => {
+      const service = harness.createZoomInfoService();
+      const personIds = harness.mock.fixtures.contacts.slice(0, 30).map(contact => contact.id);
+
+      const { results, failures } = await service.enrichContacts([...personIds, 'no-such-person'], ['id', 'email']);
+
+      assert.equal(results.size, 30);
+      assert.deepEqual(failures.map(failure => failure.personId), ['no-such-person']);
+      assert.equal(harness.requests('enrich/contact').length, 2);
+      assert.deepEqual(service.getEnrichCounts(), { contacts: { requested: 31, matched: 30 } });
+    });
+
+    it('enriches companies in batches of 25 with only the requested firmographics', async () => {
+      const service = harness.createZoomInfoService();
+      const companies = harness.mock.fixtures.companies.slice(0, 30);
+      const companyIds = companies.map(company => company.id);
+      const batches = [];
+
+      const { results, failures } = await service.enrichCompanies([...companyIds, companyIds[0], 'no-such-company'], ['id', 'revenue', 'employeeCount', 'city'], {
+        onBatch: (batchResults) => batches.push(batchResults.size)
+      });
+
+      assert.equal(results.size, 30);
+      assert.deepEqual(results.get(String(companies[0].id)), {
+        id: companies[0].id,
+        revenue: companies[0].revenue,
+        employeeCount: companies[0].employeeCount,
+        city: companies[0].city
+      });
+      assert.deepEqual(failures, [{ companyId: 'no-such-company', reason: 'NO_MATCH' }]);
+      assert.deepEqual(harness.requests('enrich/company').map(request => request.body.matchCompanyInput.length).sort(), [25, 6]);
+      assert.deepEqual(batches.sort(), [25, 5]);
+      assert.deepEqual(service.getEnrichCounts(), { companies: { requested: 31, matched: 30 } });
+    });
+  });
+
+  it('reads account usage only when it is due, and every time once a limit is nearly used up', async () => {
+    harness = await createHarness({ mock: { usageLimits: { recordLimit: 32 } } });
+    const service = harness.createZoomInfoService();
+    await service.budget.load();
+
+    await service.syncUsage();
+    assert.equal(await service.syncUsageIfDue(), null);
+    assert.equal(harness.requests('lookup/usage').length, 1);
+
+    await service.enrichContacts(harness.mock.fixtures.contacts.slice(0, 30).map(contact => contact.id), ['id']);
+    await service.syncUsage();
+    assert.ok(await service.syncUsageIfDue());
+    assert.equal(harness.requests('lookup/usage').length, 3);
+  });
+
+  it('waits for retry-after on a 429 and then succeeds', async () => {
+    harness = await createHarness({ faults: [{ endpoint: 'search/company', status: 429, retryAfter: 1 }] });
+    const service = harness.createZoomInfoService();
+
+    const startedAt = Date.now();
+    const result = await service.searchCompanies(ALABAMA_SEARCH);
+
+    assert.equal(result.data.length, 50);
+    assert.ok(Date.now() - startedAt >= 900, 'the retry waited for retry-after');
+    assert.equal(harness.requests('search/company').length, 2);
+  });
+
+  it('retries 5xx responses and dropped connections with backoff', async () => {
+    harness = await createHarness({
+      faults: [
+        { endpoint: 'search/company', status: 503 },
+        { endpoint: 'search/company', status: 0 }
+      ]
+    });
+    const service = harness.createZoomInfoService();
+
+    const result = await service.searchCompanies(ALABAMA_SEARCH);
+
+    assert.equal(result.data.length, 50);
+    assert.equal(harness.requests('search/company').length, 3);
+    assert.deepEqual(service.getErrorCounts(), { TransientError: 2 });
+  });
+
+  it('throws TransientError once retries are used up while the breaker stays closed', async () => {
+    harness = await createHarness({
+      env: { MAX_RETRIES: '2', CIRCUIT_BREAKER_THRESHOLD: '100' },
+      faults: [{ endpoint: 'search/company', status: 500, times: 10 }]
+    });
+    const service = harness.createZoomInfoService();
+
+    await assert.rejects(service.searchCompanies(ALABAMA_SEARCH), TransientError);
+    assert.equal(harness.requests('search/company').length, 3);
+  });
+
+  it('opens the circuit breaker during an outage and resumes when the API recovers', async () => {
+    harness = await createHarness({
+      env: { MAX_RETRIES: '1', CIRCUIT_BREAKER_THRESHOLD: '2', CIRCUIT_BREAKER_COOLDOWN_MS: '50' },
+      faults: [{ endpoint: 'search/company', status: 503, times: 4 }]
+    });
+    const service = harness.createZoomInfoService();
+
+    const result = await service.searchCompanies(ALABAMA_SEARCH);
+
+    assert.equal(result.data.length, 50);
+    assert.equal(harness.requests('search/company').length, 5);
+    assert.equal(service.circuitBreaker.isOpen(), false);
+  });
+
+  it('gives up waiting behind the circuit breaker after CIRCUIT_BREAKER_MAX_WAIT_MS', async () => {
+    harness = await createHarness({
+      env: { MAX_RETRIES: '1', CIRCUIT_BREAKER_THRESHOLD: '1', CIRCUIT_BREAKER_COOLDOWN_MS: '20', CIRCUIT_BREAKER_MAX_COOLDOWN_MS: '20', CIRCUIT_BREAKER_MAX_WAIT_MS: '200' },
+      faults: [{ endpoint: 'search/company', status: 503, times: 1000 }]
+    });
+    const service = harness.createZoomInfoService();
+
+    const startedAt = Date.now();
+    await assert.rejects(service.searchCompanies(ALABAMA_SEARCH), TransientError);
+
+    assert.ok(Date.now() - startedAt >= 200);
+    assert.ok(harness.requests('search/company').length < 50);
+  });
+
+  it('frees the half-open probe when the budget stops the request before it is sent', async () => {
+    harness = await createHarness({ env: { BUDGET_RUN_REQUESTS: '1', CIRCUIT_BREAKER_COOLDOWN_MS: '20' } });
+    const service = harness.createZoomInfoService();
+    await service.searchCompanies(ALABAMA_SEARCH);
+    service.circuitBreaker.open('test outage');
+
+    await assert.rejects(service.searchCompanies(ALABAMA_SEARCH), BudgetExceededError);
+    assert.equal(service.circuitBreaker.state, 'half-open');
+    assert.equal(service.circuitBreaker.probing, false);
+
+    service.budget.limits.run.requests = 0;
+    await service.searchCompanies(ALABAMA_SEARCH);
+    assert.equal(service.circuitBreaker.isOpen(), false);
+    assert.equal(harness.requests('search/company').length, 2);
+  });
+
+  it('does not retry quota or validation errors', async () => {
+    harness = await createHarness({
+      faults: [
+        { endpoint: 'enrich/contact', status: 403 },
+        { endpoint: 'search/contact', status: 400, message: 'Invalid jobTitle' }
+      ]
+    });
+    const service = harness.createZoomInfoService();
+
+    await assert.rejects(service.enrichContact({ matchPersonInput: [{ personId: '1' }] }), QuotaExhaustedError);
+    await assert.rejects(service.searchContacts({ companyId: '1' }), ValidationError);
+    assert.equal(harness.requests('enrich/contact').length, 1);
+    assert.equal(harness.requests('search/contact').length, 1);
+  });
+
+  it('fails a rejected company batch without stopping, but stops on an exhausted quota', async () => {
+    harness = await createHarness({ faults: [{ endpoint: 'enrich/company', status: 400, message: 'Invalid outputFields' }] });
+    const service = harness.createZoomInfoService();
+    const companyIds = harness.mock.fixtures.companies.slice(0, 3).map(company => String(company.id));
+
+    const { results, failures } = await service.enrichCompanies(companyIds, ['id', 'revenue']);
+
+    assert.equal(results.size, 0);
+    assert.deepEqual(failures.map(failure => failure.companyId), companyIds);
+    assert.equal(harness.requests('enrich/company').length, 1);
+
+    harness.mock.reset();
+    harness.mock.addFault({ endpoint: 'enrich/company', status: 403 });
+    await assert.rejects(service.enrichCompanies(companyIds, ['id', 'revenue']), QuotaExhaustedError);
+  });
+
+  it('keeps credentials out of token refresh errors', async () => {
+    harness = await createHarness({ faults: [{ endpoint: 'authenticate', status: 401, times: 10 }] });
+    const service = harness.createZoomInfoService();
+
+    const error = await service.searchCompanies(ALABAMA_SEARCH).catch(caught => caught);
+
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.status, 401);
+    assert.doesNotMatch(JSON.stringify({ ...error, cause: error.cause }), /test-password/);
+    assert.deepEqual(Object.keys(error.cause).sort(), ['code', 'message', 'name']);
+  });
+});
@@ -0,0 +1,82 @@
+// Circuit breaker shared by every ZoomInfo API call.
+// After `threshold` consecutive transient failures the circuit opens and every caller waits out a
+// cooldown (doubling on each reopen, up to `maxCooldownMs`) instead of failing. When it ends a single
+// probe request is let through: success closes the circuit, failure reopens it. A run therefore pauses
+// through an outage rather than skipping the pages and companies it could not fetch.
+class CircuitBreaker {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.threshold = options.threshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.maxCooldownMs = Math.max(options.maxCooldownMs || 600000, this.cooldownMs);
+    // How often callers waiting on a probe check its outcome
+    this.probeWaitMs = options.probeWaitMs || 250;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.opens = 0;
+    this.openUntil = 0;
+    this.probing = false;
+  }
+
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  // Resolves when the caller may send a request
+  async acquire() {
+    for (;;) {
+      if (this.state === 'closed') return;
+
+      const now = Date.now();
+      if (this.state === 'open' && now >= this.openUntil) {
+        this.state = 'half-open';
+        this.probing = false;
+      }
+      if (this.state === 'half-open' && !this.probing) {
+        this.probing = true;
+        this.logger.info('Circuit breaker half-open - sending a probe request');
+        return;
+      }
+
+      await this.sleep(this.state === 'open' ? this.openUntil - now : this.probeWaitMs);
+    }
+  }
+
+  // Give back a slot taken by acquire() for a request that was never sent, so a probe that did not
+  // go out does not hold the other callers forever
+  release() {
+    if (this.state === 'half-open') this.probing = false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      this.logger.info(`Circuit breaker closed after ${this.opens} opening(s) - resuming`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.opens = 0;
+    this.probing = false;
+  }
+
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.threshold)) {
+      this.open(reason);
+    }
+  }
+
+  open(reason) {
+    const cooldown = Math.min(this.cooldownMs * 2 ** this.opens, this.maxCooldownMs);
+    this.opens++;
+    this.state = 'open';
+    this.probing = false;
+    this.openUntil = Date.now() + cooldown;
+    this.logger.warn(`Circuit breaker open after ${this.consecutiveFailures} consecutive failures${reason ? ` (${reason})` : ''} - pausing requests for ${cooldown}ms`);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,28 @@
+// Run `worker` over `items` with at most `limit` calls in flight.
+// Results are returned in the same order as `items`. After the first rejection no new items are
+// started (calls already in flight run to completion) and the returned promise rejects with it.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let stopped = false;
+
+  const workerCount = Math.min(Math.max(1, limit || 1), items.length);
+  const runners = Array.from({ length: workerCount }, async () => {
+    while (!stopped && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        stopped = true;
+        throw error;
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
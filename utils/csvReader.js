@@ -0,0 +1,66 @@
+const fs = require('fs');
+
+// Stream the records of a CSV file as objects keyed by the header row's titles.
+// Handles the quoting csv-writer produces: quoted fields with commas, doubled quotes and newlines.
+async function* readCsvRecords(filePath) {
+  let header = null;
+  for await (const row of readCsvRows(filePath)) {
+    if (!header) {
+      header = row.map(title => title.replace(/^\uFEFF/, ''));
+      continue;
+    }
+    if (row.length === 1 && row[0] === '') continue;
+    yield Object.fromEntries(header.map((title, index) => [title, row[index] ?? '']));
+  }
+}
+
+async function* readCsvRows(filePath) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let pendingQuote = false;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    for (const char of chunk) {
+      if (inQuotes) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          pendingQuote = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        row.push(field.replace(/\r$/, ''));
+        yield row;
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field.replace(/\r$/, ''));
+    yield row;
+  }
+}
+
+module.exports = {
+  readCsvRecords
+};
@@ -1,11 +1,28 @@
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const path = require('path');
 const fs = require('fs').promises;
+const { getFieldMapping, getOutputColumns, getCombinedColumns } = require('../config/fieldMapping');
 
 class CSVWriter {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
-    this.outputDir = path.join(__dirname, '../data/csv');
+    this.format = 'csv';
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/csv');
+    // Column names and order come from the field mapping (config/fieldMapping.js)
+    const fieldMapping = options.fieldMapping || getFieldMapping();
+    this.companyColumns = getOutputColumns(fieldMapping.company);
+    this.contactColumns = getOutputColumns(fieldMapping.contact);
+    this.combinedColumns = getCombinedColumns(fieldMapping);
+  }
+
+  // Output writer interface (see utils/writers) - one companies and one contacts file
+  async writeResults(companies, contacts, identifier) {
+    const files = [];
+    const companiesFile = companies.length > 0 ? await this.writeCompanies(companies, identifier) : null;
+    const contactsFile = contacts.length > 0 ? await this.writeContacts(contacts, identifier) : null;
+    if (companiesFile) files.push({ kind: 'companies', path: companiesFile });
+    if (contactsFile) files.push({ kind: 'contacts', path: contactsFile });
+    return files;
   }
 
   async ensureOutputDir() {
@@ -25,24 +42,14 @@ class CSVWriter {
     
     const csvWriter = createCsvWriter({
       path: filePath,
-      header: [
-        { id: 'ziId', title: 'ZoomInfo ID' },
-        { id: 'name', title: 'Company Name' },
-        { id: 'state', title: 'State' },
-        { id: 'metroRegion', title: 'Metro Region' },
-        { id: 'naicsCode', title: 'NAICS Code' },
-        { id: 'website', title: 'Website' },
-        { id: 'phone', title: 'Phone' },
-        { id: 'contactCount', title: 'Contact Count' },
-        { id: 'createdAt', title: 'Date Found' }
-      ]
+      header: this.companyColumns
     });
 
-    // Add metadata to companies
+    // Add metadata to companies, keeping the original date for records merged from earlier files
     const companiesWithMeta = companies.map(company => ({
       ...company,
-      contactCount: 0, // Will be updated if we track this
-      createdAt: new Date().toISOString().split('T')[0]
+      contactCount: company.contactCount ?? 0,
+      createdAt: company.createdAt || new Date().toISOString().split('T')[0]
     }));
 
     await csvWriter.writeRecords(companiesWithMeta);
@@ -64,26 +71,13 @@ class CSVWriter {
     
     const csvWriter = createCsvWriter({
       path: filePath,
-      header: [
-        { id: 'ziId', title: 'Contact ZoomInfo ID' },
-        { id: 'companyZiId', title: 'Company ZoomInfo ID' },
-        { id: 'companyName', title: 'Company Name' },
-        { id: 'name', title: 'Contact Name' },
-        { id: 'jobTitle', title: 'Job Title' },
-        { id: 'email', title: 'Email' },
-        { id: 'phone', title: 'Phone' },
-        { id: 'mobilePhone', title: 'Mobile Phone' },
-        { id: 'state', title: 'State' },
-        { id: 'metroRegion', title: 'Metro Region' },
-        { id: 'naicsCode', title: 'NAICS Code' },
-        { id: 'createdAt', title: 'Date Found' }
-      ]
+      header: this.contactColumns
     });
 
     // Add metadata to contacts
     const contactsWithMeta = contacts.map(contact => ({
       ...contact,
-      createdAt: new Date().toISOString().split('T')[0]
+      createdAt: contact.createdAt || new Date().toISOString().split('T')[0]
     }));
 
     await csvWriter.writeRecords(contactsWithMeta);
@@ -94,51 +88,31 @@ class CSVWriter {
 
   async writeCombined(companies, contacts, identifier) {
     const results = [];
+    const today = new Date().toISOString().split('T')[0];
+    
+    // Group contacts by company once, rather than scanning every contact per company
+    const contactsByCompany = new Map();
+    for (const contact of contacts || []) {
+      if (!contactsByCompany.has(contact.companyZiId)) {
+        contactsByCompany.set(contact.companyZiId, []);
+      }
+      contactsByCompany.get(contact.companyZiId).push(contact);
+    }
     
-    // Create combined records
+    // Create combined records: one row per company and contact, or one row for a company without contacts
+    const prefixed = (prefix, record) => Object.fromEntries(
+      Object.entries(record || {}).map(([key, value]) => [`${prefix}_${key}`, value])
+    );
     for (const company of companies || []) {
-      const companyContacts = contacts?.filter(contact => 
-        contact.companyZiId === company.ziId
-      ) || [];
+      const companyContacts = contactsByCompany.get(company.ziId) || [];
+      const companyFields = prefixed('company', company);
       
-      if (companyContacts.length === 0) {
-        // Company with no contacts
+      for (const contact of companyContacts.length > 0 ? companyContacts : [null]) {
         results.push({
-          companyZiId: company.ziId,
-          companyName: company.name,
-          state: company.state,
-          metroRegion: company.metroRegion,
-          naicsCode: company.naicsCode,
-          website: company.website,
-          companyPhone: company.phone,
-          contactZiId: '',
-          contactName: '',
-          jobTitle: '',
-          email: '',
-          phone: '',
-          mobilePhone: '',
-          createdAt: new Date().toISOString().split('T')[0]
+          ...companyFields,
+          ...prefixed('contact', contact),
+          contact_createdAt: (contact && contact.createdAt) || company.createdAt || today
         });
-      } else {
-        // Company with contacts
-        for (const contact of companyContacts) {
-          results.push({
-            companyZiId: company.ziId,
-            companyName: company.name,
-            state: company.state,
-            metroRegion: company.metroRegion,
-            naicsCode: company.naicsCode,
-            website: company.website,
-            companyPhone: company.phone,
-            contactZiId: contact.ziId,
-            contactName: contact.name,
-            jobTitle: contact.jobTitle,
-            email: contact.email,
-            phone: contact.phone,
-            mobilePhone: contact.mobilePhone,
-            createdAt: new Date().toISOString().split('T')[0]
-          });
-        }
       }
     }
 
@@ -154,22 +128,7 @@ class CSVWriter {
     
     const csvWriter = createCsvWriter({
       path: filePath,
-      header: [
-        { id: 'companyZiId', title: 'Company ZoomInfo ID' },
-        { id: 'companyName', title: 'Company Name' },
-        { id: 'state', title: 'State' },
-        { id: 'metroRegion', title: 'Metro Region' },
-        { id: 'naicsCode', title: 'NAICS Code' },
-        { id: 'website', title: 'Website' },
-        { id: 'companyPhone', title: 'Company Phone' },
-        { id: 'contactZiId', title: 'Contact ZoomInfo ID' },
-        { id: 'contactName', title: 'Contact Name' },
-        { id: 'jobTitle', title: 'Job Title' },
-        { id: 'email', title: 'Email' },
-        { id: 'phone', title: 'Phone' },
-        { id: 'mobilePhone', title: 'Mobile Phone' },
-        { id: 'createdAt', title: 'Date Found' }
-      ]
+      header: this.combinedColumns
     });
 
     await csvWriter.writeRecords(results);
@@ -179,4 +138,4 @@ class CSVWriter {
   }
 }
 
-module.exports = CSVWriter;
\ No newline at end of file
+module.exports = CSVWriter;
@@ -0,0 +1,29 @@
+const winston = require('winston');
+
+// Application logger: JSON files under logs/ plus a colourised console.
+// `consoleLevel` lets read-only CLI commands keep the console quiet.
+function createLogger(options = {}) {
+  const level = process.env.LOG_LEVEL || 'info';
+
+  return winston.createLogger({
+    level: level,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      winston.format.json()
+    ),
+    transports: [
+      new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+      new winston.transports.File({ filename: 'logs/combined.log' }),
+      new winston.transports.Console({
+        level: options.consoleLevel || level,
+        format: winston.format.combine(
+          winston.format.colorize(),
+          winston.format.simple()
+        )
+      })
+    ]
+  });
+}
+
+module.exports = createLogger;
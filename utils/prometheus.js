@@ -0,0 +1,108 @@
+// Minimal Prometheus registry: counters and gauges with labels, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Gauges can take a `collect` callback
+// that refreshes their values just before each scrape.
+class Metric {
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.collect = options.collect || null;
+    // Label set key -> { labels, value }
+    this.values = new Map();
+  }
+
+  entry(labels) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    if (!this.values.has(key)) this.values.set(key, { labels, value: 0 });
+    return this.values.get(key);
+  }
+
+  get(labels = {}) {
+    return this.entry(labels).value;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(value, labels = {}) {
+    this.entry(labels).value = value;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  // Every metric in the text format; a failing collect callback leaves that metric's last values
+  async render() {
+    const sections = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          // Keep serving the other metrics
+        }
+      }
+      sections.push(metric.render());
+    }
+    return `${sections.join('\n')}\n`;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(Number(value)) ? 'NaN' : String(value);
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge
+};
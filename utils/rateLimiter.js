@@ -0,0 +1,98 @@
+// Token-bucket rate limiter shared by every ZoomInfo API call.
+// Tokens refill continuously at `requestsPerSecond`; the bucket is additionally
+// paused when the API reports (via x-ratelimit-* headers or a 429) that the
+// quota is exhausted, so concurrent callers all back off together.
+class RateLimiter {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.requestsPerSecond = options.requestsPerSecond || 10;
+    this.capacity = options.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    // Pause once the server reports this many (or fewer) requests remaining
+    this.reserve = options.reserve !== undefined ? options.reserve : 5;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  // Resolves when the caller may send one request
+  acquire() {
+    // Chain callers so tokens are handed out in arrival order
+    const ticket = this.queue.then(() => this.waitForToken());
+    this.queue = ticket.catch(() => {});
+    return ticket;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await this.sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this.sleep(Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000));
+    }
+  }
+
+  refill(now) {
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  pauseFor(ms, reason) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.logger.warn(`Rate limiter paused for ${ms}ms${reason ? ` (${reason})` : ''}`);
+    }
+  }
+
+  // Sync with the server's view of the quota from the x-ratelimit-* response headers
+  updateFromHeaders(remaining, reset) {
+    const remainingCount = parseInt(remaining);
+    if (isNaN(remainingCount)) return;
+
+    // Never hand out more tokens than the server says remain
+    this.tokens = Math.min(this.tokens, remainingCount);
+
+    if (remainingCount <= this.reserve) {
+      this.pauseFor(this.parseResetMs(reset), `${remainingCount} requests remaining`);
+    }
+  }
+
+  // Reset header may be seconds-from-now, an epoch timestamp or a duration like "1m30s"
+  parseResetMs(reset) {
+    if (reset === undefined || reset === null || reset === '') return 1000;
+
+    const value = reset.toString().trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const number = parseFloat(value);
+      if (number > 1e12) return Math.max(0, number - Date.now());
+      if (number > 1e9) return Math.max(0, number * 1000 - Date.now());
+      return number * 1000;
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+      total += parseFloat(amount) * units[unit];
+      matched = true;
+    }
+    return matched ? total : 1000;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,133 @@
+// Import layouts for CRMs. Each profile lists the files it produces; each file maps our company or
+// contact records to the CRM's import column names. `context` carries the record's company (for
+// contacts) and the run options: owner (CRM_OWNER) and leadSource (CRM_LEAD_SOURCE).
+
+// Normalise to E.164, assuming North American numbers when there is no country code.
+// Extensions are dropped; anything too short to be a phone number becomes empty.
+function normalisePhone(value) {
+  const [number] = (value || '').toString().split(/\s*(?:x|ext\.?|extension)\s*\d*$/i);
+  const digits = number.replace(/\D/g, '');
+  if (number.trim().startsWith('+')) return digits.length >= 8 ? `+${digits}` : '';
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return digits.length >= 8 ? `+${digits}` : '';
+}
+
+function normaliseEmail(value) {
+  const email = (value || '').toString().trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+function domainOf(website) {
+  return (website || '').toString().trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0];
+}
+
+// Two-letter state for records that only carry a "ST - Metro" region
+function stateOf(record) {
+  return record.state || ((record.metroRegion || '').match(/^([A-Z]{2}) - /) || [])[1] || '';
+}
+
+// Company revenue is recorded in thousands of USD; CRMs expect whole dollars
+function revenueOf(company) {
+  const thousands = parseFloat(company?.revenue);
+  return Number.isFinite(thousands) ? String(Math.round(thousands * 1000)) : '';
+}
+
+function nameParts(contact) {
+  if (contact.firstName || contact.lastName) {
+    return { firstName: contact.firstName || '', lastName: contact.lastName || '' };
+  }
+  const words = (contact.name || '').trim().split(/\s+/);
+  return { firstName: words.length > 1 ? words.slice(0, -1).join(' ') : '', lastName: words[words.length - 1] || '' };
+}
+
+const profiles = {
+  salesforce: {
+    description: 'Salesforce Data Import Wizard lead file',
+    files: [
+      {
+        kind: 'leads',
+        source: 'contacts',
+        columns: [
+          { title: 'First Name', value: (contact) => nameParts(contact).firstName },
+          // Last Name and Company are required on Salesforce leads
+          { title: 'Last Name', value: (contact) => nameParts(contact).lastName || 'Unknown' },
+          { title: 'Title', value: (contact) => contact.jobTitle },
+          { title: 'Company', value: (contact, { company }) => contact.companyName || company?.name || 'Unknown' },
+          { title: 'Email', value: (contact) => normaliseEmail(contact.email) },
+          { title: 'Phone', value: (contact) => normalisePhone(contact.phone) },
+          { title: 'Mobile Phone', value: (contact) => normalisePhone(contact.mobilePhone) },
+          { title: 'Website', value: (contact, { company }) => company?.website },
+          { title: 'Street', value: (contact, { company }) => company?.street },
+          { title: 'City', value: (contact, { company }) => company?.city },
+          { title: 'State/Province', value: (contact) => stateOf(contact) },
+          { title: 'Zip/Postal Code', value: (contact, { company }) => company?.zipCode },
+          { title: 'Annual Revenue', value: (contact, { company }) => revenueOf(company) },
+          { title: 'No. of Employees', value: (contact, { company }) => company?.employeeCount },
+          { title: 'Lead Source', value: (contact, { options }) => options.leadSource },
+          { title: 'Lead Owner', value: (contact, { options }) => options.owner },
+          { title: 'Lead Status', value: () => 'Open - Not Contacted' },
+          { title: 'Description', value: (contact) => `ZoomInfo contact ${contact.ziId}, company ${contact.companyZiId}, NAICS ${contact.naicsCode}` }
+        ]
+      }
+    ]
+  },
+  hubspot: {
+    description: 'HubSpot contact and company import files',
+    files: [
+      {
+        kind: 'contacts',
+        source: 'contacts',
+        columns: [
+          { title: 'First Name', value: (contact) => nameParts(contact).firstName },
+          { title: 'Last Name', value: (contact) => nameParts(contact).lastName },
+          { title: 'Email', value: (contact) => normaliseEmail(contact.email) },
+          { title: 'Phone Number', value: (contact) => normalisePhone(contact.phone) },
+          { title: 'Mobile Phone Number', value: (contact) => normalisePhone(contact.mobilePhone) },
+          { title: 'Job Title', value: (contact) => contact.jobTitle },
+          { title: 'Company Name', value: (contact, { company }) => contact.companyName || company?.name },
+          // HubSpot associates the contact with the company that has this domain
+          { title: 'Company Domain Name', value: (contact, { company }) => domainOf(company?.website) },
+          { title: 'State/Region', value: (contact) => stateOf(contact) },
+          { title: 'Contact owner', value: (contact, { options }) => options.owner },
+          { title: 'Lifecycle Stage', value: () => 'lead' },
+          { title: 'Lead Status', value: () => 'NEW' },
+          { title: 'Lead Source', value: (contact, { options }) => options.leadSource },
+          { title: 'ZoomInfo Contact ID', value: (contact) => contact.ziId }
+        ]
+      },
+      {
+        kind: 'companies',
+        source: 'companies',
+        columns: [
+          { title: 'Company name', value: (company) => company.name },
+          { title: 'Company Domain Name', value: (company) => domainOf(company.website) },
+          { title: 'Phone Number', value: (company) => normalisePhone(company.phone) },
+          { title: 'Street Address', value: (company) => company.street },
+          { title: 'City', value: (company) => company.city },
+          { title: 'State/Region', value: (company) => stateOf(company) },
+          { title: 'Postal Code', value: (company) => company.zipCode },
+          { title: 'Annual Revenue', value: (company) => revenueOf(company) },
+          { title: 'Number of Employees', value: (company) => company.employeeCount },
+          { title: 'Company owner', value: (company, { options }) => options.owner },
+          { title: 'Lifecycle Stage', value: () => 'lead' },
+          { title: 'NAICS Code', value: (company) => company.naicsCode },
+          { title: 'ZoomInfo Company ID', value: (company) => company.ziId }
+        ]
+      }
+    ]
+  }
+};
+
+module.exports = {
+  profiles,
+  normalisePhone,
+  normaliseEmail,
+  domainOf,
+  stateOf,
+  revenueOf,
+  nameParts
+};
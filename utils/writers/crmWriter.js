@@ -0,0 +1,51 @@
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const path = require('path');
+const fs = require('fs').promises;
+const { profiles } = require('./crmProfiles');
+
+// CRM-ready import CSVs built from a mapping profile in crmProfiles.js
+class CrmWriter {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.format = options.profile;
+    this.profile = profiles[options.profile];
+    if (!this.profile) {
+      throw new Error(`Unknown CRM profile "${options.profile}". Available: ${Object.keys(profiles).join(', ')}`);
+    }
+    this.outputDir = options.outputDir || path.join(__dirname, '../../data', options.profile);
+    this.options = {
+      owner: options.owner ?? process.env.CRM_OWNER ?? '',
+      leadSource: options.leadSource ?? process.env.CRM_LEAD_SOURCE ?? 'ZoomInfo'
+    };
+  }
+
+  async writeResults(companies, contacts, identifier) {
+    const companiesById = new Map(companies.map(company => [company.ziId, company]));
+    const files = [];
+
+    for (const file of this.profile.files) {
+      const records = file.source === 'companies' ? companies : contacts;
+      if (records.length === 0) continue;
+
+      await fs.mkdir(this.outputDir, { recursive: true });
+      const filePath = path.join(this.outputDir, `${file.kind}-${identifier}.csv`);
+      const csvWriter = createCsvWriter({
+        path: filePath,
+        header: file.columns.map(({ title }, index) => ({ id: `column${index}`, title }))
+      });
+
+      const rows = records.map(record => {
+        const context = { company: companiesById.get(record.companyZiId), options: this.options };
+        return Object.fromEntries(file.columns.map(({ value }, index) => [`column${index}`, value(record, context) ?? '']));
+      });
+      await csvWriter.writeRecords(rows);
+
+      this.logger.info(`${this.format} ${file.kind} CSV written: ${filePath} (${rows.length} records)`);
+      files.push({ kind: file.kind, path: filePath });
+    }
+
+    return files;
+  }
+}
+
+module.exports = CrmWriter;
@@ -0,0 +1,40 @@
+// Output formats for combination results. Every writer has a `format` name and
+//   writeResults(companies, contacts, identifier) -> [{ kind, path }]
+// Formats are chosen per run with --formats or OUTPUT_FORMATS (comma-separated, default: csv).
+const CSVWriter = require('../csvWriter');
+const JsonlWriter = require('./jsonlWriter');
+const ParquetWriter = require('./parquetWriter');
+const CrmWriter = require('./crmWriter');
+const { profiles } = require('./crmProfiles');
+
+const formats = {
+  csv: { description: 'Companies and contacts CSVs (read by the export command)', create: (logger) => new CSVWriter(logger) },
+  jsonl: { description: 'JSON Lines with every raw ZoomInfo field', create: (logger) => new JsonlWriter(logger) },
+  parquet: { description: 'Parquet files for warehouse loads', create: (logger) => new ParquetWriter(logger) }
+};
+for (const [name, profile] of Object.entries(profiles)) {
+  formats[name] = { description: profile.description, create: (logger) => new CrmWriter(logger, { profile: name }) };
+}
+
+function parseFormats(value) {
+  const names = (value || process.env.OUTPUT_FORMATS || 'csv').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !formats[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output format "${unknown.join('", "')}". Available: ${Object.keys(formats).join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+function createWriters(logger, value) {
+  return parseFormats(value).map(name => formats[name].create(logger));
+}
+
+function listFormats() {
+  return Object.entries(formats).map(([name, { description }]) => ({ name, description }));
+}
+
+module.exports = {
+  createWriters,
+  listFormats,
+  parseFormats
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+
+// JSON Lines output: one record per line with every field we hold, including the raw
+// ZoomInfo search/enrich payloads under `raw`
+class JsonlWriter {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.format = 'jsonl';
+    this.outputDir = options.outputDir || path.join(__dirname, '../../data/jsonl');
+  }
+
+  async writeResults(companies, contacts, identifier) {
+    const files = [];
+    if (companies.length > 0) {
+      files.push({ kind: 'companies', path: await this.writeRecords(companies, `companies-${identifier}.jsonl`) });
+    }
+    if (contacts.length > 0) {
+      files.push({ kind: 'contacts', path: await this.writeRecords(contacts, `contacts-${identifier}.jsonl`) });
+    }
+    return files;
+  }
+
+  async writeRecords(records, fileName) {
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+    const filePath = path.join(this.outputDir, fileName);
+    const stream = fs.createWriteStream(filePath);
+
+    for (const record of records) {
+      if (!stream.write(`${JSON.stringify(record)}\n`)) {
+        await once(stream, 'drain');
+      }
+    }
+    stream.end();
+    await once(stream, 'finish');
+
+    this.logger.info(`JSONL written: ${filePath} (${records.length} records)`);
+    return filePath;
+  }
+}
+
+module.exports = JsonlWriter;
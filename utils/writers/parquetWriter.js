@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getFieldMapping, getOutputColumns } = require('../../config/fieldMapping');
+
+// Parquet output for warehouse loads. Columns are the field mapping's output fields by id (all optional
+// UTF8 strings, contactCount as INT32), plus `raw` holding the raw ZoomInfo payloads as a JSON string.
+class ParquetWriter {
+  constructor(logger, options = {}) {
+    // Required lazily so other formats work without the Parquet library installed
+    this.parquet = require('parquetjs-lite');
+    this.logger = logger;
+    this.format = 'parquet';
+    this.outputDir = options.outputDir || path.join(__dirname, '../../data/parquet');
+    const fieldMapping = options.fieldMapping || getFieldMapping();
+    this.companyColumns = getOutputColumns(fieldMapping.company);
+    this.contactColumns = getOutputColumns(fieldMapping.contact);
+  }
+
+  async writeResults(companies, contacts, identifier) {
+    const files = [];
+    if (companies.length > 0) {
+      files.push({ kind: 'companies', path: await this.writeRecords(companies, this.companyColumns, `companies-${identifier}.parquet`) });
+    }
+    if (contacts.length > 0) {
+      files.push({ kind: 'contacts', path: await this.writeRecords(contacts, this.contactColumns, `contacts-${identifier}.parquet`) });
+    }
+    return files;
+  }
+
+  buildSchema(columns) {
+    const fields = {};
+    for (const { id } of columns) {
+      fields[id] = id === 'contactCount'
+        ? { type: 'INT32', optional: true }
+        : { type: 'UTF8', optional: true };
+    }
+    fields.raw = { type: 'UTF8', optional: true };
+    return new this.parquet.ParquetSchema(fields);
+  }
+
+  async writeRecords(records, columns, fileName) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const filePath = path.join(this.outputDir, fileName);
+    const writer = await this.parquet.ParquetWriter.openFile(this.buildSchema(columns), filePath);
+    const today = new Date().toISOString().split('T')[0];
+
+    try {
+      for (const record of records) {
+        const row = {};
+        for (const { id } of columns) {
+          const value = id === 'createdAt' ? record.createdAt || today : record[id];
+          if (value === undefined || value === null || value === '') continue;
+          row[id] = id === 'contactCount' ? parseInt(value) || 0 : String(value);
+        }
+        if (record.raw) {
+          row.raw = JSON.stringify(record.raw);
+        }
+        await writer.appendRow(row);
+      }
+    } finally {
+      await writer.close();
+    }
+
+    this.logger.info(`Parquet written: ${filePath} (${records.length} records)`);
+    return filePath;
+  }
+}
+
+module.exports = ParquetWriter;